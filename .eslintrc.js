@@ -6,6 +6,8 @@ module.exports = {
     extends: ['eslint:recommended', 'plugin:react/recommended'],
     globals: {
         Atomics: 'readonly',
+        CompressionStream: 'readonly',
+        DecompressionStream: 'readonly',
         SharedArrayBuffer: 'readonly',
     },
     parserOptions: {
@@ -0,0 +1,54 @@
+import {useContext, useEffect} from 'react';
+import PropTypes from 'prop-types';
+
+import {SvgPanZoomContext, VIEWPORT_CHANGE_EVENT} from './SvgPanZoomWrapper';
+
+const GRID_LINE_COLOR = 'rgba(0, 0, 0, 0.07)';
+const GRID_BACKGROUND_IMAGE = `
+    linear-gradient(to right, ${GRID_LINE_COLOR} 1px, transparent 1px),
+    linear-gradient(to bottom, ${GRID_LINE_COLOR} 1px, transparent 1px)
+`;
+// The grid isn't drawn when zoomed out so far that its cells would be smaller than this, in px
+const MIN_GRID_CELL_SIZE = 6;
+
+/**
+ * Draws the grid tables snap to behind the diagram.
+ *
+ * The grid is the background of the root SVG element rather than part of the diagram, so that it
+ * covers the whole canvas without affecting the bounds of the diagram (eg, when fitting the diagram
+ * in view, or exporting it). It's moved and scaled to follow the `svgPanZoom` pan & zoom.
+ *
+ * @param {number} props.gridSize size of each grid cell, in diagram units
+ */
+export default function CanvasGrid({gridSize}) {
+    const svgPanZoom = useContext(SvgPanZoomContext);
+
+    useEffect(() => {
+        if (!svgPanZoom) {
+            return undefined;
+        }
+        const rootElement = document.getElementById('root');
+        const updateGrid = () => {
+            const {realZoom} = svgPanZoom.getSizes();
+            const {x, y} = svgPanZoom.getPan();
+            const cellSize = gridSize * realZoom;
+            rootElement.style.backgroundImage =
+                cellSize >= MIN_GRID_CELL_SIZE ? GRID_BACKGROUND_IMAGE : '';
+            rootElement.style.backgroundSize = `${cellSize}px ${cellSize}px`;
+            rootElement.style.backgroundPosition = `${x}px ${y}px`;
+        };
+
+        updateGrid();
+        rootElement.addEventListener(VIEWPORT_CHANGE_EVENT, updateGrid);
+        return () => {
+            rootElement.removeEventListener(VIEWPORT_CHANGE_EVENT, updateGrid);
+            rootElement.style.backgroundImage = '';
+        };
+    }, [svgPanZoom, gridSize]);
+
+    return null;
+}
+
+CanvasGrid.propTypes = {
+    gridSize: PropTypes.number.isRequired,
+};
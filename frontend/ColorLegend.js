@@ -0,0 +1,54 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {Box, Text, colorUtils} from '@airtable/blocks/ui';
+
+/**
+ * Legend explaining the table header colors, when headers are colored automatically by a rule.
+ * Shown over the bottom-left corner of the diagram, stacked above the hover tooltip.
+ *
+ * @param {Array<{color: string, label: string}>} props.legendItems what each header color means
+ */
+export default function ColorLegend({legendItems}) {
+    if (legendItems.length === 0) {
+        return null;
+    }
+
+    return (
+        <Box
+            position="absolute"
+            bottom="40px" // leave room for the hover tooltip below it
+            left={0}
+            margin={2}
+            padding={2}
+            maxWidth="240px"
+            backgroundColor="white"
+            borderRadius="large"
+            border="default"
+        >
+            {legendItems.map(({color, label}) => (
+                <Box key={`${color}-${label}`} display="flex" alignItems="center" paddingY="2px">
+                    <Box
+                        flex="none"
+                        width="12px"
+                        height="12px"
+                        marginRight={2}
+                        borderRadius="default"
+                        style={{backgroundColor: colorUtils.getHexForColor(color)}}
+                    />
+                    <Text size="small" style={{overflow: 'hidden', textOverflow: 'ellipsis'}}>
+                        {label}
+                    </Text>
+                </Box>
+            ))}
+        </Box>
+    );
+}
+
+ColorLegend.propTypes = {
+    legendItems: PropTypes.arrayOf(
+        PropTypes.shape({
+            color: PropTypes.string.isRequired,
+            label: PropTypes.string.isRequired,
+        }),
+    ).isRequired,
+};
@@ -0,0 +1,130 @@
+import React, {useContext} from 'react';
+import ReactDOM from 'react-dom';
+import PropTypes from 'prop-types';
+import {Box, Button, Heading, Label, Text, colors} from '@airtable/blocks/ui';
+import _ from 'lodash';
+
+import FullscreenBox from './FullscreenBox';
+import {useNavigateToNode} from './ViewportCullingWrapper';
+import {HighlightContext} from './HighlightWrapper';
+import {NODE_PROP_TYPE} from './constants';
+
+/**
+ * Returns a label for how far an impacted field is from the deleted field or table.
+ *
+ * @param {number} distance number of dependencies between the deleted node and the impacted field
+ * @returns {string}
+ */
+function getDistanceLabel(distance) {
+    return distance === 1 ? 'Directly' : `${distance} steps away`;
+}
+
+/**
+ * Deletion impact panel component, listing every field that would break if the field or table
+ * shown in the deletion impact were deleted (@see getDeletionImpact). Impacted fields are grouped by
+ * table, then by how far they are from the deleted node, and clicking a field navigates to it in the
+ * diagram. Uses `ReactDOM#createPortal` to lift the HTMLElements out of SVG world.
+ *
+ * @param {Object} props.nodesById all nodes (field or table header), by node id
+ */
+export default function DeletionImpactPanel({nodesById}) {
+    const navigateToNode = useNavigateToNode();
+    const {deletionImpact, hideDeletionImpact} = useContext(HighlightContext);
+    if (!deletionImpact) {
+        return null;
+    }
+
+    const deletedNode = nodesById[deletionImpact.nodeId];
+    const impactedNodes = Object.keys(deletionImpact.distancesByNodeId)
+        .map(nodeId => nodesById[nodeId])
+        .filter(Boolean);
+    // Tables with the most directly impacted fields first
+    const impactedNodesByTableId = _.groupBy(impactedNodes, 'tableId');
+    const impactedTableIds = _.sortBy(Object.keys(impactedNodesByTableId), [
+        tableId =>
+            _.min(
+                impactedNodesByTableId[tableId].map(
+                    node => deletionImpact.distancesByNodeId[node.id],
+                ),
+            ),
+        tableId => nodesById[tableId].name,
+    ]);
+
+    const selectNode = node => {
+        navigateToNode(node);
+    };
+
+    return ReactDOM.createPortal(
+        <FullscreenBox
+            left="initial" // show the impact in right sidebar
+            width="360px"
+            backgroundColor="white"
+            display="flex"
+            flexDirection="column"
+            borderLeft="thick"
+        >
+            <Box flex="auto" overflow="auto" padding={3}>
+                <Heading marginBottom={1} style={{wordBreak: 'break-word'}}>
+                    If {deletedNode.type === 'table' ? 'table' : 'field'} {deletedNode.name} is
+                    deleted
+                </Heading>
+                <Text textColor="light" marginBottom={3}>
+                    {impactedNodes.length === 0
+                        ? 'Nothing depends on it.'
+                        : `${impactedNodes.length} ${
+                              impactedNodes.length === 1 ? 'field' : 'fields'
+                          } in ${impactedTableIds.length} ${
+                              impactedTableIds.length === 1 ? 'table' : 'tables'
+                          } would break.`}
+                </Text>
+                {impactedTableIds.map(tableId => {
+                    const nodesByDistance = _.groupBy(
+                        impactedNodesByTableId[tableId],
+                        node => deletionImpact.distancesByNodeId[node.id],
+                    );
+                    return (
+                        <Box key={tableId} marginBottom={3}>
+                            <Label marginBottom={1}>{nodesById[tableId].name}</Label>
+                            {_.sortBy(Object.keys(nodesByDistance), Number).map(distance => (
+                                <Box key={distance} marginBottom={1}>
+                                    <Text size="small" textColor="light">
+                                        {getDistanceLabel(Number(distance))}
+                                    </Text>
+                                    {_.sortBy(nodesByDistance[distance], 'name').map(node => (
+                                        <Box
+                                            key={node.id}
+                                            paddingY={1}
+                                            paddingX={2}
+                                            marginX={-2}
+                                            borderRadius="default"
+                                            style={{cursor: 'pointer'}}
+                                            onClick={() => selectNode(node)}
+                                        >
+                                            <Text textColor={colors.BLUE_DARK_1}>{node.name}</Text>
+                                        </Box>
+                                    ))}
+                                </Box>
+                            ))}
+                        </Box>
+                    );
+                })}
+            </Box>
+            <Box
+                flex="none"
+                borderTop="thick"
+                display="flex"
+                justifyContent="flex-end"
+                alignItems="center"
+            >
+                <Button margin={3} variant="primary" size="large" onClick={hideDeletionImpact}>
+                    Done
+                </Button>
+            </Box>
+        </FullscreenBox>,
+        document.getElementById('index'),
+    );
+}
+
+DeletionImpactPanel.propTypes = {
+    nodesById: PropTypes.objectOf(NODE_PROP_TYPE).isRequired,
+};
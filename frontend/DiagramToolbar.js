@@ -0,0 +1,142 @@
+import React, {useContext, useEffect, useState} from 'react';
+import ReactDOM from 'react-dom';
+import PropTypes from 'prop-types';
+import {Box, Button, Text} from '@airtable/blocks/ui';
+
+import {LayoutHistoryContext} from './LayoutHistoryWrapper';
+import {SvgPanZoomContext, VIEWPORT_CHANGE_EVENT} from './SvgPanZoomWrapper';
+import {DragContext} from './DragWrapper';
+import {fitBounds, zoomToRealZoom} from './panZoomHelpers';
+import {calculateTablesBounds} from './coordinateHelpers';
+import {COORDS_PROP_TYPE, TABLE_CONFIG_PROP_TYPE} from './constants';
+
+// "Fit all" zooms in no further than actual size, so small diagrams aren't blown up
+const FIT_ALL_MAX_REAL_ZOOM = 1;
+
+/**
+ * Toolbar shown over the top-right corner of the diagram, with buttons to zoom, to fit all tables or
+ * the selected tables in view, and to undo and redo changes to the layout (@see
+ * LayoutHistoryWrapper). The zoom level is shown as a percentage of actual size, and kept up to
+ * date as the diagram is zoomed (@see VIEWPORT_CHANGE_EVENT).
+ *
+ * Uses `ReactDOM#createPortal` to lift the HTMLElements out of SVG world.
+ *
+ * @param {Object} props.tableCoordsByTableId table x,y coordinates, by table id
+ * @param {Object} props.tableConfigsByTableId rendered table header & field nodes for each visible
+ *     table, by table id
+ */
+export default function DiagramToolbar({tableCoordsByTableId, tableConfigsByTableId}) {
+    const svgPanZoom = useContext(SvgPanZoomContext);
+    const {selectedTableIds} = useContext(DragContext);
+    const {canUndo, canRedo, undo, redo} = useContext(LayoutHistoryContext);
+    const [realZoom, setRealZoom] = useState(null);
+
+    useEffect(() => {
+        if (!svgPanZoom) {
+            return undefined;
+        }
+        const rootElement = document.getElementById('root');
+        const updateRealZoom = () => setRealZoom(svgPanZoom.getSizes().realZoom);
+        updateRealZoom();
+        rootElement.addEventListener(VIEWPORT_CHANGE_EVENT, updateRealZoom);
+        return () => rootElement.removeEventListener(VIEWPORT_CHANGE_EVENT, updateRealZoom);
+    }, [svgPanZoom]);
+
+    const allTablesBounds = calculateTablesBounds(
+        Object.keys(tableConfigsByTableId),
+        tableCoordsByTableId,
+        tableConfigsByTableId,
+    );
+    const selectedTablesBounds = calculateTablesBounds(
+        selectedTableIds,
+        tableCoordsByTableId,
+        tableConfigsByTableId,
+    );
+
+    // The portal container is rendered in the same commit as the diagram, so wait for svgPanZoom,
+    // which is only set up once the diagram has mounted
+    if (!svgPanZoom) {
+        return null;
+    }
+
+    return ReactDOM.createPortal(
+        <Box
+            position="absolute"
+            top={0}
+            right={0}
+            margin={2}
+            padding={1}
+            display="flex"
+            alignItems="center"
+            backgroundColor="white"
+            borderRadius="large"
+            border="default"
+        >
+            <Button
+                icon="minus"
+                size="small"
+                variant="secondary"
+                aria-label="Zoom out"
+                onClick={() => svgPanZoom.zoomOut()}
+            />
+            <Text width="48px" textAlign="center" aria-live="polite">
+                {realZoom === null ? '' : `${Math.round(realZoom * 100)}%`}
+            </Text>
+            <Button
+                icon="plus"
+                size="small"
+                variant="secondary"
+                aria-label="Zoom in"
+                onClick={() => svgPanZoom.zoomIn()}
+            />
+            <Button
+                size="small"
+                variant="secondary"
+                marginLeft={1}
+                onClick={() => zoomToRealZoom(svgPanZoom, 1)}
+            >
+                Reset
+            </Button>
+            <Button
+                size="small"
+                variant="secondary"
+                onClick={() => fitBounds(svgPanZoom, allTablesBounds, FIT_ALL_MAX_REAL_ZOOM)}
+                disabled={!allTablesBounds}
+            >
+                Fit all
+            </Button>
+            <Button
+                size="small"
+                variant="secondary"
+                onClick={() => fitBounds(svgPanZoom, selectedTablesBounds)}
+                disabled={!selectedTablesBounds}
+            >
+                Fit selection
+            </Button>
+            <Button
+                icon="undo"
+                size="small"
+                variant="secondary"
+                marginLeft={2}
+                aria-label="Undo"
+                onClick={undo}
+                disabled={!canUndo}
+            />
+            <Button
+                icon="redo"
+                size="small"
+                variant="secondary"
+                marginLeft={1}
+                aria-label="Redo"
+                onClick={redo}
+                disabled={!canRedo}
+            />
+        </Box>,
+        document.getElementById('index'),
+    );
+}
+
+DiagramToolbar.propTypes = {
+    tableCoordsByTableId: PropTypes.objectOf(COORDS_PROP_TYPE).isRequired,
+    tableConfigsByTableId: PropTypes.objectOf(TABLE_CONFIG_PROP_TYPE).isRequired,
+};
@@ -1,86 +1,261 @@
-import React, {createContext, useContext, useCallback} from 'react';
+import React, {createContext, useContext, useCallback, useEffect, useState} from 'react';
 import {globalConfig} from '@airtable/blocks';
+import _ from 'lodash';
 import PropTypes from 'prop-types';
 
 import {SvgPanZoomContext} from './SvgPanZoomWrapper';
-import {calculateLinkCoords, calculateLinkPath} from './coordinateHelpers';
-import {COORDS_PROP_TYPE, LINK_PROP_TYPE, TABLE_CONFIG_PROP_TYPE} from './constants';
-import {ConfigKeys} from './settings';
+import {LayoutHistoryContext} from './LayoutHistoryWrapper';
+import {
+    calculateBundledLinkPaths,
+    calculateGroupFrameBounds,
+    calculateLinkPathForLink,
+    getTableHeight,
+    LinkRoutings,
+} from './coordinateHelpers';
+import {
+    CLICK_MOVE_TOLERANCE,
+    COORDS_PROP_TYPE,
+    GROUP_PROP_TYPE,
+    LINK_PROP_TYPE,
+    ROW_WIDTH,
+    TABLE_BORDER_WIDTH,
+    TABLE_CONFIG_PROP_TYPE,
+} from './constants';
+import {getLayoutConfigPath, LayoutKeys} from './settings';
+import {snapTableMove} from './snapHelpers';
 
-export const DragContext = createContext({handleTableDrag() {}});
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+export const DragContext = createContext({
+    selectedTableIds: [],
+    setSelectedTableIds() {},
+    handleTableDrag() {},
+    handleGroupDrag() {},
+});
+
+/**
+ * Resize and reposition a rect element, such as a group frame, to the given bounds.
+ *
+ * @param {Element} rectElement
+ * @param {{x: number, y: number, width: number, height: number}} bounds
+ */
+function setRectElementBounds(rectElement, {x, y, width, height}) {
+    rectElement.setAttribute('x', x);
+    rectElement.setAttribute('y', y);
+    rectElement.setAttribute('width', width);
+    rectElement.setAttribute('height', height);
+}
+
+/**
+ * Replaces the alignment guides shown while dragging with the given lines.
+ *
+ * @param {Array<{x1: number, y1: number, x2: number, y2: number}>} guides
+ */
+function drawAlignmentGuides(guides) {
+    const guideContainerElement = document.getElementById('alignment-guides');
+    guideContainerElement.textContent = '';
+    for (const guide of guides) {
+        const lineElement = document.createElementNS(SVG_NAMESPACE, 'line');
+        lineElement.setAttribute('class', 'AlignmentGuide');
+        for (const [attribute, value] of Object.entries(guide)) {
+            lineElement.setAttribute(attribute, value);
+        }
+        guideContainerElement.appendChild(lineElement);
+    }
+}
+
+/**
+ * Returns the position of a mouse event in diagram coordinates, ie the coordinate space tables are
+ * positioned in, taking the current `svgPanZoom` pan & zoom into account.
+ *
+ * @param {MouseEvent} event
+ * @returns {{x: number, y: number}}
+ */
+function getDiagramPoint(event) {
+    const point = document.getElementById('root').createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    const {x, y} = point.matrixTransform(
+        document.getElementById('active-container').getScreenCTM().inverse(),
+    );
+    return {x, y};
+}
 
 /**
- * Wraps children in a context provider to handle the dragging of a table.
+ * Wraps children in a context provider to handle the dragging of a table, or of a group frame
+ * along with all of its tables.
  *
- * This entails recalculating the paths for links attached to the table being dragged, and
- * setting the event handlers to update during and after drag.
+ * This entails recalculating the paths for links (and link bundles) attached to the tables being
+ * dragged, resizing the frames of any groups they belong to, and setting the event handlers to
+ * update during and after drag. Orthogonal links are only routed around other tables once the
+ * tables are dropped. A table dropped inside the frame of another group joins that group. Each drag
+ * is recorded in the layout history, so it can be undone. Dragged tables can snap to the grid, and
+ * into line with other tables (@see snapTableMove), in which case guides are drawn along the lines
+ * they share.
+ *
+ * Also keeps track of the selected tables. Shift-clicking a table header adds or removes it from
+ * the selection, and shift-dragging on the background draws a marquee that selects every table it
+ * touches. Dragging any selected table moves all of them, and clicking the background clears the
+ * selection.
  *
  * @param {Element} props.children
+ * @param {string} props.activeLayoutId id of the layout the table coordinates are saved to
  * @param {Object} props.dependentLinksByNodeId list of links connected to each node, by node id
+ * @param {Object} props.hiddenNodeIds `true` for each hidden table id and field id
+ * @param {Object} props.groupsById groups of tables, by group id
+ * @param {'curved' | 'orthogonal'} props.linkRouting how links are drawn (@see LinkRoutings)
+ * @param {Object} props.linkBundlesById bundles of links between the same two tables, by bundle id
+ * @param {Object} props.gridOptions whether tables snap to the grid, and the grid size
+ * @param {boolean} props.shouldShowAlignmentGuides whether tables snap into line with other tables
  * @param {Object} props.tableCoordsByTableId table x,y coordinates, by table id
- * @param {Object} props.tableConfigsByTableId table header & field nodes for each table, by table id
+ * @param {Object} props.savedTableCoordsByTableId persisted table x,y coordinates, by table id.
+ *     Tables removed since a compared snapshot aren't included, and can't be selected or dragged.
+ * @param {Object} props.tableConfigsByTableId rendered table header & field nodes for each table, by
+ *     table id
  */
 export default function DragWrapper({
     children,
+    activeLayoutId,
     dependentLinksByNodeId,
+    hiddenNodeIds,
+    groupsById,
+    linkRouting,
+    linkBundlesById,
+    gridOptions,
+    shouldShowAlignmentGuides,
     tableCoordsByTableId,
+    savedTableCoordsByTableId,
     tableConfigsByTableId,
 }) {
     const svgPanZoom = useContext(SvgPanZoomContext);
-
-    // After table dragging finishes, persist the new coordinates in global config.
-    const updateTableCoords = useCallback(
-        (tableId, newCoords) => {
-            const newTableCoordsByTableId = {...tableCoordsByTableId, [tableId]: newCoords};
-            globalConfig.setAsync(ConfigKeys.TABLE_COORDS_BY_TABLE_ID, newTableCoordsByTableId);
-        },
-        [tableCoordsByTableId],
-    );
+    const {setLayoutPathsAsync} = useContext(LayoutHistoryContext);
+    const [selectedTableIds, setSelectedTableIds] = useState([]);
 
     /**
-     * Mousedown handler on the table header to enable dragging behavior.
+     * Moves the given tables with the mouse until the mouse is released, then calls `onDragEnd`
+     * with the new coordinates of every persisted table.
+     *
+     * @param {string[]} tableIds ids of the tables to move
+     * @param {Function} onDragEnd called with the updated table x,y coordinates, by table id
      */
-    const handleTableDrag = useCallback(
-        (event, tableId) => {
-            if (!globalConfig.hasPermissionToSet()) {
-                // Disable dragging for comment/read-only users
-                return;
-            }
-
+    const dragTables = useCallback(
+        (tableIds, onDragEnd) => {
             svgPanZoom.disablePan();
-            const tableElement = event.currentTarget.parentElement;
             const activeItemContainerElement = document.getElementById('active-container');
+            // The table header has the id of the table, and is a direct child of the table element
+            const tableElementsByTableId = {};
+            for (const tableId of tableIds) {
+                const tableHeaderElement = document.getElementById(tableId);
+                if (tableHeaderElement) {
+                    tableElementsByTableId[tableId] = tableHeaderElement.parentElement;
+                }
+            }
+            const tableElements = Object.values(tableElementsByTableId);
 
-            // Move the table being dragged to the 'active container', which is painted after the
-            // 'table container', guaranteeing that the table being dragged is always "on top" of
+            // Move the tables being dragged to the 'active container', which is painted after the
+            // 'table container', guaranteeing that the tables being dragged are always "on top" of
             // all other tables / links.
-            tableElement.parentNode.removeChild(tableElement);
-            activeItemContainerElement.appendChild(tableElement);
+            for (const tableElement of tableElements) {
+                tableElement.parentNode.removeChild(tableElement);
+                activeItemContainerElement.appendChild(tableElement);
+            }
 
-            const mouseMoveHandler = mouseMoveEvent => {
-                const currentX = Number(tableElement.getAttribute('x'));
-                const currentY = Number(tableElement.getAttribute('y'));
+            // Bundled links are recalculated along with the rest of their bundle
+            const affectedBundles = Object.values(linkBundlesById).filter(bundle =>
+                bundle.tableIds.some(tableId => tableIds.includes(tableId)),
+            );
+            const bundledLinkIds = new Set(
+                _.flatMap(affectedBundles, bundle => bundle.links.map(link => link.id)),
+            );
+            const dependentLinks = _.uniqBy(
+                _.flatMap(tableIds, tableId => dependentLinksByNodeId[tableId] || []),
+                'id',
+            ).filter(link => !bundledLinkIds.has(link.id));
+            const affectedGroupIds = Object.keys(groupsById).filter(groupId =>
+                groupsById[groupId].tableIds.some(tableId => tableIds.includes(tableId)),
+            );
+
+            // Distance moved by the mouse, before snapping
+            let deltaX = 0;
+            let deltaY = 0;
+            let newTableCoordsByTableId = tableCoordsByTableId;
 
+            const mouseMoveHandler = mouseMoveEvent => {
                 // Scale the movement based on the current `svgPanZoom` zoom level.
                 const {realZoom} = svgPanZoom.getSizes();
-                const newX = currentX + mouseMoveEvent.movementX / realZoom;
-                const newY = currentY + mouseMoveEvent.movementY / realZoom;
-                tableElement.setAttribute('x', newX);
-                tableElement.setAttribute('y', newY);
+                deltaX += mouseMoveEvent.movementX / realZoom;
+                deltaY += mouseMoveEvent.movementY / realZoom;
+                const {delta, guides} = snapTableMove(
+                    tableIds,
+                    {x: deltaX, y: deltaY},
+                    tableCoordsByTableId,
+                    tableConfigsByTableId,
+                    {
+                        gridSize: gridOptions.shouldSnap ? gridOptions.size : null,
+                        shouldAlign: shouldShowAlignmentGuides,
+                        realZoom,
+                    },
+                );
+                drawAlignmentGuides(guides);
+                newTableCoordsByTableId = {...tableCoordsByTableId};
+                for (const tableId of tableIds) {
+                    newTableCoordsByTableId[tableId] = {
+                        x: tableCoordsByTableId[tableId].x + delta.x,
+                        y: tableCoordsByTableId[tableId].y + delta.y,
+                    };
+                }
+                for (const [tableId, tableElement] of Object.entries(tableElementsByTableId)) {
+                    tableElement.setAttribute('x', newTableCoordsByTableId[tableId].x);
+                    tableElement.setAttribute('y', newTableCoordsByTableId[tableId].y);
+                }
 
                 // Update dependent link paths
-                for (const link of dependentLinksByNodeId[tableId]) {
+                for (const link of dependentLinks) {
                     const linkElement = document.getElementById(link.id);
                     if (!linkElement) {
                         continue;
                     }
-                    const linkCoords = calculateLinkCoords(
+                    const path = calculateLinkPathForLink(
                         link,
-                        {...tableCoordsByTableId, [tableId]: {x: newX, y: newY}},
+                        newTableCoordsByTableId,
+                        tableConfigsByTableId,
+                        hiddenNodeIds,
+                        linkRouting,
+                    );
+                    if (path !== null) {
+                        linkElement.setAttribute('d', path);
+                    }
+                }
+
+                // Update bundles attached to the tables
+                for (const bundle of affectedBundles) {
+                    const {trunkPath, linkPathsByLinkId} = calculateBundledLinkPaths(
+                        bundle,
+                        newTableCoordsByTableId,
+                        tableConfigsByTableId,
+                    );
+                    for (const [elementId, path] of [
+                        [bundle.id, trunkPath],
+                        ...Object.entries(linkPathsByLinkId),
+                    ]) {
+                        const element = document.getElementById(elementId);
+                        if (element) {
+                            element.setAttribute('d', path);
+                        }
+                    }
+                }
+
+                // Resize the frames of groups the tables belong to
+                for (const groupId of affectedGroupIds) {
+                    const frameElement = document.getElementById(groupId);
+                    const bounds = calculateGroupFrameBounds(
+                        groupsById[groupId].tableIds,
+                        newTableCoordsByTableId,
                         tableConfigsByTableId,
                     );
-                    const path = calculateLinkPath(linkCoords);
-                    linkElement.setAttribute('d', path);
+                    if (frameElement && bounds) {
+                        setRectElementBounds(frameElement, bounds);
+                    }
                 }
             };
 
@@ -88,19 +263,24 @@ export default function DragWrapper({
                 // Cleanup event handlers
                 window.removeEventListener('mousemove', mouseMoveHandler);
                 window.removeEventListener('mouseup', mouseUpHandler);
+                drawAlignmentGuides([]);
 
-                // Update globalConfig with the table's new coordinates
-                const x = Number(tableElement.getAttribute('x'));
-                const y = Number(tableElement.getAttribute('y'));
-                updateTableCoords(tableId, {x, y});
+                // Only the persisted coords are saved, without any tables removed since a compared
+                // snapshot
+                onDragEnd({
+                    ...savedTableCoordsByTableId,
+                    ..._.pick(newTableCoordsByTableId, tableIds),
+                });
 
                 // Re-enable panning
                 svgPanZoom.enablePan();
 
-                // Move the table being dragged back to the table container
+                // Move the tables being dragged back to the table container
                 const tableContainer = document.getElementById('table-container');
-                tableElement.parentNode.removeChild(tableElement);
-                tableContainer.appendChild(tableElement);
+                for (const tableElement of tableElements) {
+                    tableElement.parentNode.removeChild(tableElement);
+                    tableContainer.appendChild(tableElement);
+                }
             };
 
             window.addEventListener('mousemove', mouseMoveHandler);
@@ -109,23 +289,266 @@ export default function DragWrapper({
         [
             svgPanZoom,
             dependentLinksByNodeId,
-            updateTableCoords,
+            hiddenNodeIds,
+            groupsById,
+            linkRouting,
+            linkBundlesById,
+            gridOptions,
+            shouldShowAlignmentGuides,
+            tableConfigsByTableId,
+            tableCoordsByTableId,
+            savedTableCoordsByTableId,
+        ],
+    );
+
+    /**
+     * Mousedown handler on the table header to enable dragging behavior. Dragging a selected table
+     * moves every selected table, and shift-clicking a table adds or removes it from the selection.
+     */
+    const handleTableDrag = useCallback(
+        (event, tableId) => {
+            if (!savedTableCoordsByTableId[tableId]) {
+                // Removed tables are only drawn for comparison
+                return;
+            }
+            if (event.shiftKey) {
+                setSelectedTableIds(currentSelectedTableIds =>
+                    currentSelectedTableIds.includes(tableId)
+                        ? _.without(currentSelectedTableIds, tableId)
+                        : [...currentSelectedTableIds, tableId],
+                );
+                return;
+            }
+            if (!globalConfig.hasPermissionToSet()) {
+                // Disable dragging for comment/read-only users
+                return;
+            }
+
+            let tableIds = [tableId];
+            if (selectedTableIds.includes(tableId)) {
+                // Hidden tables stay where they are
+                tableIds = selectedTableIds.filter(
+                    selectedTableId =>
+                        tableConfigsByTableId[selectedTableId] &&
+                        savedTableCoordsByTableId[selectedTableId],
+                );
+            } else {
+                setSelectedTableIds([]);
+            }
+
+            dragTables(tableIds, newTableCoordsByTableId => {
+                const paths = [
+                    {
+                        path: getLayoutConfigPath(
+                            activeLayoutId,
+                            LayoutKeys.TABLE_COORDS_BY_TABLE_ID,
+                        ),
+                        value: newTableCoordsByTableId,
+                    },
+                ];
+                if (tableIds.length > 1) {
+                    // Only a single table can be dropped into a group
+                    setLayoutPathsAsync(paths);
+                    return;
+                }
+
+                // If the table was dropped inside the frame of another group, move it to that group
+                const {x, y} = newTableCoordsByTableId[tableId];
+                const centerX = x + (ROW_WIDTH + 2 * TABLE_BORDER_WIDTH) / 2;
+                const centerY = y + getTableHeight(tableConfigsByTableId[tableId]) / 2;
+                const currentGroupId = _.findKey(groupsById, group =>
+                    group.tableIds.includes(tableId),
+                );
+                const droppedOnGroupId = _.findKey(groupsById, (group, groupId) => {
+                    if (groupId === currentGroupId) {
+                        return false;
+                    }
+                    const bounds = calculateGroupFrameBounds(
+                        group.tableIds,
+                        tableCoordsByTableId,
+                        tableConfigsByTableId,
+                    );
+                    return (
+                        bounds !== null &&
+                        centerX >= bounds.x &&
+                        centerX <= bounds.x + bounds.width &&
+                        centerY >= bounds.y &&
+                        centerY <= bounds.y + bounds.height
+                    );
+                });
+                if (droppedOnGroupId) {
+                    const groupsPath = getLayoutConfigPath(activeLayoutId, LayoutKeys.GROUPS_BY_ID);
+                    if (currentGroupId) {
+                        paths.push({
+                            path: [...groupsPath, currentGroupId, 'tableIds'],
+                            value: _.without(groupsById[currentGroupId].tableIds, tableId),
+                        });
+                    }
+                    paths.push({
+                        path: [...groupsPath, droppedOnGroupId, 'tableIds'],
+                        value: [...groupsById[droppedOnGroupId].tableIds, tableId],
+                    });
+                }
+
+                setLayoutPathsAsync(paths);
+            });
+        },
+        [
+            dragTables,
+            setLayoutPathsAsync,
+            activeLayoutId,
+            groupsById,
+            selectedTableIds,
             tableConfigsByTableId,
             tableCoordsByTableId,
+            savedTableCoordsByTableId,
+        ],
+    );
+
+    /**
+     * Mousedown handler on the label of a group frame, to drag the group's tables together.
+     */
+    const handleGroupDrag = useCallback(
+        (event, groupId) => {
+            if (!globalConfig.hasPermissionToSet()) {
+                // Disable dragging for comment/read-only users
+                return;
+            }
+
+            // Hidden tables stay where they are
+            const tableIds = groupsById[groupId].tableIds.filter(
+                tableId => tableConfigsByTableId[tableId] && savedTableCoordsByTableId[tableId],
+            );
+            dragTables(tableIds, newTableCoordsByTableId => {
+                setLayoutPathsAsync([
+                    {
+                        path: getLayoutConfigPath(
+                            activeLayoutId,
+                            LayoutKeys.TABLE_COORDS_BY_TABLE_ID,
+                        ),
+                        value: newTableCoordsByTableId,
+                    },
+                ]);
+            });
+        },
+        [
+            dragTables,
+            setLayoutPathsAsync,
+            activeLayoutId,
+            groupsById,
+            tableConfigsByTableId,
+            savedTableCoordsByTableId,
         ],
     );
 
+    // Marquee selection, and clearing the selection, from mouse presses on the background. These are
+    // handled on the root SVG element, since the background isn't part of any React component.
+    useEffect(() => {
+        if (!svgPanZoom) {
+            return undefined;
+        }
+        const rootElement = document.getElementById('root');
+        const marqueeElement = document.getElementById('selection-marquee');
+
+        const onMouseDown = event => {
+            if (event.target !== rootElement || event.button !== 0) {
+                return;
+            }
+            const mouseDownPosition = {x: event.clientX, y: event.clientY};
+
+            if (!event.shiftKey) {
+                // Let `svgPanZoom` pan, and clear the selection if the mouse didn't move
+                const clickHandler = mouseUpEvent => {
+                    window.removeEventListener('mouseup', clickHandler);
+                    if (
+                        Math.hypot(
+                            mouseUpEvent.clientX - mouseDownPosition.x,
+                            mouseUpEvent.clientY - mouseDownPosition.y,
+                        ) <= CLICK_MOVE_TOLERANCE
+                    ) {
+                        setSelectedTableIds([]);
+                    }
+                };
+                window.addEventListener('mouseup', clickHandler);
+                return;
+            }
+
+            svgPanZoom.disablePan();
+            const startPoint = getDiagramPoint(event);
+            let marqueeBounds = null;
+
+            const mouseMoveHandler = mouseMoveEvent => {
+                const point = getDiagramPoint(mouseMoveEvent);
+                marqueeBounds = {
+                    x: Math.min(startPoint.x, point.x),
+                    y: Math.min(startPoint.y, point.y),
+                    width: Math.abs(point.x - startPoint.x),
+                    height: Math.abs(point.y - startPoint.y),
+                };
+                setRectElementBounds(marqueeElement, marqueeBounds);
+                marqueeElement.removeAttribute('display');
+            };
+
+            const mouseUpHandler = () => {
+                window.removeEventListener('mousemove', mouseMoveHandler);
+                window.removeEventListener('mouseup', mouseUpHandler);
+                marqueeElement.setAttribute('display', 'none');
+                svgPanZoom.enablePan();
+                if (!marqueeBounds) {
+                    return;
+                }
+
+                // Add every table the marquee touches to the selection
+                const {x, y, width, height} = marqueeBounds;
+                const touchedTableIds = Object.keys(tableConfigsByTableId).filter(tableId => {
+                    const coords = savedTableCoordsByTableId[tableId];
+                    return (
+                        coords &&
+                        coords.x < x + width &&
+                        coords.x + ROW_WIDTH + 2 * TABLE_BORDER_WIDTH > x &&
+                        coords.y < y + height &&
+                        coords.y + getTableHeight(tableConfigsByTableId[tableId]) > y
+                    );
+                });
+                setSelectedTableIds(currentSelectedTableIds =>
+                    _.union(currentSelectedTableIds, touchedTableIds),
+                );
+            };
+
+            window.addEventListener('mousemove', mouseMoveHandler);
+            window.addEventListener('mouseup', mouseUpHandler);
+        };
+
+        rootElement.addEventListener('mousedown', onMouseDown);
+        return () => rootElement.removeEventListener('mousedown', onMouseDown);
+    }, [svgPanZoom, tableConfigsByTableId, savedTableCoordsByTableId]);
+
     return (
-        <DragContext.Provider value={{handleTableDrag}}>
+        <DragContext.Provider
+            value={{selectedTableIds, setSelectedTableIds, handleTableDrag, handleGroupDrag}}
+        >
             {children}
             <g id="active-container" />
+            <g id="alignment-guides" />
+            <rect id="selection-marquee" className="SelectionMarquee" display="none" />
         </DragContext.Provider>
     );
 }
 
 DragWrapper.propTypes = {
+    activeLayoutId: PropTypes.string.isRequired,
     children: PropTypes.node,
     dependentLinksByNodeId: PropTypes.objectOf(PropTypes.arrayOf(LINK_PROP_TYPE)).isRequired,
+    hiddenNodeIds: PropTypes.objectOf(PropTypes.bool).isRequired,
+    groupsById: PropTypes.objectOf(GROUP_PROP_TYPE).isRequired,
+    linkRouting: PropTypes.oneOf(Object.values(LinkRoutings)).isRequired,
+    linkBundlesById: PropTypes.objectOf(PropTypes.object).isRequired,
+    gridOptions: PropTypes.shape({
+        shouldSnap: PropTypes.bool.isRequired,
+        size: PropTypes.number.isRequired,
+    }).isRequired,
+    shouldShowAlignmentGuides: PropTypes.bool.isRequired,
     tableCoordsByTableId: PropTypes.objectOf(COORDS_PROP_TYPE).isRequired,
+    savedTableCoordsByTableId: PropTypes.objectOf(COORDS_PROP_TYPE).isRequired,
     tableConfigsByTableId: PropTypes.objectOf(TABLE_CONFIG_PROP_TYPE).isRequired,
 };
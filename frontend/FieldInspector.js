@@ -0,0 +1,231 @@
+import React, {useContext} from 'react';
+import ReactDOM from 'react-dom';
+import PropTypes from 'prop-types';
+import {Box, Button, FieldIcon, Heading, Label, Text, colors, useBase} from '@airtable/blocks/ui';
+import {FieldType} from '@airtable/blocks/models';
+
+import FullscreenBox from './FullscreenBox';
+import {useNavigateToNode} from './ViewportCullingWrapper';
+import {HighlightContext} from './HighlightWrapper';
+import {FIELD_LABELS_BY_TYPE, LINK_PROP_TYPE, NODE_PROP_TYPE} from './constants';
+
+/**
+ * A labelled row of the inspector, omitted if there's no value to show.
+ *
+ * @param {string} props.label
+ * @param {Element} props.children
+ */
+function InspectorRow({label, children}) {
+    if (children === null || children === undefined || children === false || children === '') {
+        return null;
+    }
+    return (
+        <Box marginBottom={3}>
+            <Label marginBottom={1}>{label}</Label>
+            <Text>{children}</Text>
+        </Box>
+    );
+}
+
+InspectorRow.propTypes = {
+    label: PropTypes.string.isRequired,
+    children: PropTypes.node,
+};
+
+/**
+ * A list of nodes related to the inspected field. Clicking a node navigates to it.
+ *
+ * @param {string} props.label
+ * @param {Array<{node: Object, link: Object}>} props.items related nodes, and the link to each
+ * @param {Function} props.onSelectNode
+ */
+function DependencyList({label, items, onSelectNode}) {
+    if (items.length === 0) {
+        return null;
+    }
+    return (
+        <Box marginBottom={3}>
+            <Label marginBottom={1}>{label}</Label>
+            {items.map(({node, link}) => (
+                <Box
+                    key={link.id}
+                    paddingY={1}
+                    paddingX={2}
+                    marginX={-2}
+                    borderRadius="default"
+                    style={{cursor: 'pointer'}}
+                    onClick={() => onSelectNode(node)}
+                >
+                    <Text textColor={colors.BLUE_DARK_1}>
+                        {node.type === 'table' ? node.name : `${node.tableName}: ${node.name}`}
+                    </Text>
+                    <Text size="small" textColor="light">
+                        {link.tooltipLabel}
+                    </Text>
+                </Box>
+            ))}
+        </Box>
+    );
+}
+
+DependencyList.propTypes = {
+    label: PropTypes.string.isRequired,
+    items: PropTypes.arrayOf(
+        PropTypes.shape({
+            node: NODE_PROP_TYPE.isRequired,
+            link: LINK_PROP_TYPE.isRequired,
+        }),
+    ).isRequired,
+    onSelectNode: PropTypes.func.isRequired,
+};
+
+/**
+ * Field inspector sidebar component, showing the full configuration of the pinned field.
+ *
+ * Field configuration is read from the base models, since the parsed schema only contains what's
+ * needed to draw the diagram. Dependencies come from the parsed schema: links where this field is
+ * the source are what it depends on, and links where it is the target are what use it. Uses
+ * `ReactDOM#createPortal` to lift the HTMLElements out of SVG world.
+ *
+ * @param {Object} props.nodesById all nodes (field or table header), by node id
+ * @param {Object} props.dependentLinksByNodeId list of links connected to each node, by node id
+ */
+export default function FieldInspector({nodesById, dependentLinksByNodeId}) {
+    const base = useBase();
+    const navigateToNode = useNavigateToNode();
+    const {pinnedNodeId, pinNode, unpinNode, showDeletionImpact} = useContext(HighlightContext);
+
+    const node = pinnedNodeId ? nodesById[pinnedNodeId] : null;
+    const table = node ? base.getTableByIdIfExists(node.tableId) : null;
+    const field = table ? table.getFieldByIdIfExists(node.id) : null;
+    if (!field) {
+        return null;
+    }
+
+    const getNodeName = nodeId => (nodesById[nodeId] ? nodesById[nodeId].name : null);
+    const getTableName = tableId => {
+        const linkedTable = base.getTableByIdIfExists(tableId);
+        return linkedTable ? linkedTable.name : null;
+    };
+    const {options} = field;
+    const isValid = !options || options.isValid !== false;
+
+    let linkedTableId = null;
+    if (field.type === FieldType.MULTIPLE_RECORD_LINKS) {
+        linkedTableId = options.linkedTableId;
+    } else if (options && options.recordLinkFieldId) {
+        const recordLinkField = table.getFieldByIdIfExists(options.recordLinkFieldId);
+        if (recordLinkField && recordLinkField.type === FieldType.MULTIPLE_RECORD_LINKS) {
+            linkedTableId = recordLinkField.options.linkedTableId;
+        }
+    }
+
+    const dependsOn = [];
+    const usedBy = [];
+    const linkedTo = [];
+    for (const link of dependentLinksByNodeId[node.id] || []) {
+        const isSource = link.sourceId === node.id;
+        const otherNode = nodesById[isSource ? link.targetId : link.sourceId];
+        if (!otherNode) {
+            continue;
+        }
+        if (link.type === FieldType.MULTIPLE_RECORD_LINKS) {
+            linkedTo.push({node: otherNode, link});
+        } else if (isSource) {
+            dependsOn.push({node: otherNode, link});
+        } else {
+            usedBy.push({node: otherNode, link});
+        }
+    }
+
+    const selectNode = selectedNode => {
+        navigateToNode(selectedNode);
+        if (selectedNode.type === 'field') {
+            pinNode(selectedNode.id);
+        }
+    };
+
+    return ReactDOM.createPortal(
+        <FullscreenBox
+            left="initial" // show inspector in right sidebar
+            width="360px"
+            backgroundColor="white"
+            display="flex"
+            flexDirection="column"
+            borderLeft="thick"
+        >
+            <Box flex="auto" display="flex" justifyContent="center" overflow="auto">
+                <Box paddingTop={4} paddingBottom={2} maxWidth={300} flex="auto" minWidth={0}>
+                    <Box display="flex" alignItems="center" marginBottom={3}>
+                        <FieldIcon field={field} marginRight={2} flex="none" />
+                        <Heading marginBottom={0} style={{wordBreak: 'break-word'}}>
+                            {field.name}
+                        </Heading>
+                    </Box>
+                    <InspectorRow label="Table">{table.name}</InspectorRow>
+                    <InspectorRow label="Type">
+                        {FIELD_LABELS_BY_TYPE[field.type] || field.type}
+                        {isValid ? '' : ' (invalid configuration)'}
+                    </InspectorRow>
+                    <InspectorRow label="Description">{field.description}</InspectorRow>
+                    {/* Formula text and rollup aggregation functions aren't part of the field
+                    options exposed to apps, so say so instead of leaving them out */}
+                    <InspectorRow label="Formula">
+                        {field.type === FieldType.FORMULA && 'Not available to apps'}
+                    </InspectorRow>
+                    <InspectorRow label="Aggregation function">
+                        {field.type === FieldType.ROLLUP && 'Not available to apps'}
+                    </InspectorRow>
+                    <InspectorRow label="Linked table">
+                        {linkedTableId && getTableName(linkedTableId)}
+                    </InspectorRow>
+                    <InspectorRow label="Linked record field">
+                        {field.type !== FieldType.MULTIPLE_RECORD_LINKS &&
+                            options &&
+                            options.recordLinkFieldId &&
+                            getNodeName(options.recordLinkFieldId)}
+                    </InspectorRow>
+                    <InspectorRow
+                        label={field.type === FieldType.ROLLUP ? 'Rolled up field' : 'Lookup field'}
+                    >
+                        {options &&
+                            options.fieldIdInLinkedTable &&
+                            getNodeName(options.fieldIdInLinkedTable)}
+                    </InspectorRow>
+                    <InspectorRow label="Result type">
+                        {options &&
+                            options.result &&
+                            (FIELD_LABELS_BY_TYPE[options.result.type] || options.result.type)}
+                    </InspectorRow>
+                    <DependencyList label="Linked to" items={linkedTo} onSelectNode={selectNode} />
+                    <DependencyList
+                        label="Depends on"
+                        items={dependsOn}
+                        onSelectNode={selectNode}
+                    />
+                    <DependencyList label="Used by" items={usedBy} onSelectNode={selectNode} />
+                    <Button icon="warning" onClick={() => showDeletionImpact(node.id)}>
+                        What breaks if I delete this?
+                    </Button>
+                </Box>
+            </Box>
+            <Box
+                flex="none"
+                borderTop="thick"
+                display="flex"
+                justifyContent="flex-end"
+                alignItems="center"
+            >
+                <Button margin={3} variant="primary" size="large" onClick={unpinNode}>
+                    Done
+                </Button>
+            </Box>
+        </FullscreenBox>,
+        document.getElementById('index'),
+    );
+}
+
+FieldInspector.propTypes = {
+    nodesById: PropTypes.objectOf(NODE_PROP_TYPE).isRequired,
+    dependentLinksByNodeId: PropTypes.objectOf(PropTypes.arrayOf(LINK_PROP_TYPE)).isRequired,
+};
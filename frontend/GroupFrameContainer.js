@@ -0,0 +1,93 @@
+import React, {useContext} from 'react';
+import {globalConfig} from '@airtable/blocks';
+import classnames from 'classnames';
+import PropTypes from 'prop-types';
+import {colorUtils} from '@airtable/blocks/ui';
+
+import {DragContext} from './DragWrapper';
+import {calculateGroupFrameBounds} from './coordinateHelpers';
+import {
+    COORDS_PROP_TYPE,
+    GROUP_FRAME_LABEL_HEIGHT,
+    GROUP_PROP_TYPE,
+    TABLE_CONFIG_PROP_TYPE,
+    TEXT_PADDING_X,
+} from './constants';
+
+const GROUP_FRAME_BORDER_RADIUS = 8;
+
+/**
+ * Container group for the group frames, which are painted behind the links and tables.
+ *
+ * Each frame is sized to fit the visible tables in its group (@see calculateGroupFrameBounds).
+ * Dragging the label along the top of a frame moves all of the group's tables (@see DragWrapper).
+ *
+ * @param {Object} props.groupsById groups of tables, by group id
+ * @param {Object} props.tableCoordsByTableId table x,y coordinates, by table id
+ * @param {Object} props.tableConfigsByTableId rendered table header & field nodes for each table, by
+ *     table id
+ */
+export default function GroupFrameContainer({
+    groupsById,
+    tableCoordsByTableId,
+    tableConfigsByTableId,
+}) {
+    const {handleGroupDrag} = useContext(DragContext);
+    const canDrag = globalConfig.hasPermissionToSet();
+
+    return (
+        <g id="group-container">
+            {Object.keys(groupsById).map(groupId => {
+                const group = groupsById[groupId];
+                const bounds = calculateGroupFrameBounds(
+                    group.tableIds,
+                    tableCoordsByTableId,
+                    tableConfigsByTableId,
+                );
+                if (!bounds) {
+                    return null;
+                }
+                const colorHex = colorUtils.getHexForColor(group.color);
+                return (
+                    <svg
+                        key={groupId}
+                        id={groupId}
+                        className="GroupFrame"
+                        x={bounds.x}
+                        y={bounds.y}
+                        width={bounds.width}
+                        height={bounds.height}
+                    >
+                        <rect
+                            className="GroupFrameBackground"
+                            width="100%"
+                            height="100%"
+                            rx={GROUP_FRAME_BORDER_RADIUS}
+                            fill={colorHex}
+                            stroke={colorHex}
+                        />
+                        <g
+                            className={classnames('GroupFrameLabel', {draggable: canDrag})}
+                            onMouseDown={e => handleGroupDrag(e, groupId)}
+                        >
+                            <rect width="100%" height={GROUP_FRAME_LABEL_HEIGHT} />
+                            <text
+                                x={TEXT_PADDING_X}
+                                y={GROUP_FRAME_LABEL_HEIGHT / 2}
+                                fill={colorHex}
+                            >
+                                {group.name}
+                            </text>
+                        </g>
+                    </svg>
+                );
+            })}
+        </g>
+    );
+}
+
+GroupFrameContainer.propTypes = {
+    groupsById: PropTypes.objectOf(GROUP_PROP_TYPE).isRequired,
+    tableCoordsByTableId: PropTypes.objectOf(COORDS_PROP_TYPE).isRequired,
+    tableConfigsByTableId: PropTypes.objectOf(TABLE_CONFIG_PROP_TYPE).isRequired,
+};
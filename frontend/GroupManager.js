@@ -0,0 +1,190 @@
+import React, {useState} from 'react';
+import {
+    Box,
+    Button,
+    ColorPalette,
+    Input,
+    Select,
+    Text,
+    colors,
+    useGlobalConfig,
+} from '@airtable/blocks/ui';
+import _ from 'lodash';
+import PropTypes from 'prop-types';
+
+import {createGroupId, getLayoutConfigPath, LayoutKeys} from './settings';
+import {GROUP_PROP_TYPE, TABLE_CONFIG_PROP_TYPE} from './constants';
+
+const GROUP_COLORS = [
+    colors.BLUE,
+    colors.CYAN,
+    colors.TEAL,
+    colors.GREEN,
+    colors.YELLOW,
+    colors.ORANGE,
+    colors.RED,
+    colors.PINK,
+    colors.PURPLE,
+    colors.GRAY,
+];
+
+/**
+ * Settings for a single group: its name, color and member tables.
+ *
+ * @param {string} props.groupId
+ * @param {Object} props.groupsById all groups of tables, by group id
+ * @param {Object} props.tableConfigsByTableId table header & field nodes for each table, by table id
+ * @param {Array<string>} props.groupsPath globalConfig path of the groups in the active layout
+ * @param {boolean} props.canSetLayout whether the user can edit groups
+ */
+function GroupSettings({groupId, groupsById, tableConfigsByTableId, groupsPath, canSetLayout}) {
+    const globalConfig = useGlobalConfig();
+    const group = groupsById[groupId];
+    const [draftName, setDraftName] = useState(group.name);
+    const groupPath = [...groupsPath, groupId];
+
+    const saveName = () => {
+        const name = draftName.trim();
+        if (name && name !== group.name) {
+            globalConfig.setAsync([...groupPath, 'name'], name);
+        } else {
+            setDraftName(group.name);
+        }
+    };
+
+    const setTableIds = tableIds => globalConfig.setAsync([...groupPath, 'tableIds'], tableIds);
+
+    // A table can only belong to one group, so adding it here removes it from its old group
+    const addTable = tableId => {
+        const paths = [{path: [...groupPath, 'tableIds'], value: [...group.tableIds, tableId]}];
+        for (const [otherGroupId, otherGroup] of Object.entries(groupsById)) {
+            if (otherGroupId !== groupId && otherGroup.tableIds.includes(tableId)) {
+                paths.push({
+                    path: [...groupsPath, otherGroupId, 'tableIds'],
+                    value: _.without(otherGroup.tableIds, tableId),
+                });
+            }
+        }
+        globalConfig.setPathsAsync(paths);
+    };
+
+    const tableOptions = [
+        {value: null, label: 'Add a table…'},
+        ...Object.values(tableConfigsByTableId)
+            .filter(({tableNode}) => !group.tableIds.includes(tableNode.id))
+            .map(({tableNode}) => ({value: tableNode.id, label: tableNode.name})),
+    ];
+
+    return (
+        <Box borderBottom="default" paddingY={2}>
+            <Box display="flex" alignItems="center">
+                <div
+                    style={{flex: 'auto'}}
+                    onKeyDown={event => event.key === 'Enter' && saveName()}
+                >
+                    <Input
+                        value={draftName}
+                        onChange={event => setDraftName(event.target.value)}
+                        onBlur={saveName}
+                        disabled={!canSetLayout}
+                        size="small"
+                    />
+                </div>
+                <Button
+                    icon="trash"
+                    size="small"
+                    variant="secondary"
+                    marginLeft={1}
+                    aria-label="Delete group"
+                    onClick={() => globalConfig.setAsync(groupPath, undefined)}
+                    disabled={!canSetLayout}
+                />
+            </Box>
+            <ColorPalette
+                marginY={2}
+                allowedColors={GROUP_COLORS}
+                color={group.color}
+                onChange={color => globalConfig.setAsync([...groupPath, 'color'], color)}
+                disabled={!canSetLayout}
+                squareMargin={2}
+            />
+            {group.tableIds
+                .filter(tableId => tableConfigsByTableId[tableId])
+                .map(tableId => (
+                    <Box key={tableId} display="flex" alignItems="center" paddingY={1}>
+                        <Text flex="auto">{tableConfigsByTableId[tableId].tableNode.name}</Text>
+                        <Button
+                            icon="x"
+                            size="small"
+                            variant="secondary"
+                            aria-label="Remove table from group"
+                            onClick={() => setTableIds(_.without(group.tableIds, tableId))}
+                            disabled={!canSetLayout}
+                        />
+                    </Box>
+                ))}
+            <Select
+                marginTop={1}
+                size="small"
+                options={tableOptions}
+                value={null}
+                onChange={tableId => tableId && addTable(tableId)}
+                disabled={!canSetLayout || tableOptions.length === 1}
+            />
+        </Box>
+    );
+}
+
+GroupSettings.propTypes = {
+    groupId: PropTypes.string.isRequired,
+    groupsById: PropTypes.objectOf(GROUP_PROP_TYPE).isRequired,
+    tableConfigsByTableId: PropTypes.objectOf(TABLE_CONFIG_PROP_TYPE).isRequired,
+    groupsPath: PropTypes.arrayOf(PropTypes.string).isRequired,
+    canSetLayout: PropTypes.bool.isRequired,
+};
+
+/**
+ * Group manager component.
+ * Allows the user to create, rename, recolor and delete groups of tables, and to choose which
+ * tables are in each group. Groups are drawn as frames behind their tables (@see
+ * GroupFrameContainer), and are persisted per layout.
+ *
+ * @param {Object} props.settings positioning information for the nodes and links (@see useSettings)
+ */
+export default function GroupManager({settings}) {
+    const globalConfig = useGlobalConfig();
+    const {activeLayoutId, groupsById, tableConfigsByTableId} = settings;
+    const canSetLayout = globalConfig.hasPermissionToSet();
+    const groupsPath = getLayoutConfigPath(activeLayoutId, LayoutKeys.GROUPS_BY_ID);
+
+    const addGroup = () => {
+        const numGroups = Object.keys(groupsById).length;
+        globalConfig.setAsync([...groupsPath, createGroupId()], {
+            name: `Group ${numGroups + 1}`,
+            color: GROUP_COLORS[numGroups % GROUP_COLORS.length],
+            tableIds: [],
+        });
+    };
+
+    return (
+        <Box>
+            {Object.keys(groupsById).map(groupId => (
+                <GroupSettings
+                    key={groupId}
+                    groupId={groupId}
+                    groupsById={groupsById}
+                    tableConfigsByTableId={tableConfigsByTableId}
+                    groupsPath={groupsPath}
+                    canSetLayout={canSetLayout}
+                />
+            ))}
+            <Button icon="plus" marginTop={2} onClick={addGroup} disabled={!canSetLayout}>
+                Add group
+            </Button>
+        </Box>
+    );
+}
+
+GroupManager.propTypes = {
+    settings: PropTypes.object.isRequired,
+};
@@ -0,0 +1,85 @@
+import React, {useState} from 'react';
+import {
+    Box,
+    Button,
+    ColorPalette,
+    FormField,
+    Select,
+    SelectButtons,
+    useGlobalConfig,
+} from '@airtable/blocks/ui';
+import PropTypes from 'prop-types';
+
+import {ConfigKeys} from './settings';
+import {getDefaultTableColor, HeaderColorModes, TABLE_HEADER_COLORS} from './tableColorHelpers';
+
+const HEADER_COLOR_MODE_OPTIONS = [
+    {value: HeaderColorModes.MANUAL, label: 'Picked'},
+    {value: HeaderColorModes.GROUP, label: 'Group'},
+    {value: HeaderColorModes.FIELD_COUNT, label: 'Fields'},
+    {value: HeaderColorModes.SYNCED, label: 'Synced'},
+];
+
+/**
+ * Header color form component.
+ * Allows the user to choose how table headers are colored: with a color picked for each table, or
+ * automatically by group, by number of fields, or by whether the table is synced.
+ *
+ * @param {Object} props.settings positioning information for the nodes and links (@see useSettings)
+ */
+export default function HeaderColorForm({settings}) {
+    const globalConfig = useGlobalConfig();
+    const {headerColorMode, tableColorsByTableId, tableConfigsByTableId} = settings;
+    const canSetColors = globalConfig.hasPermissionToSet();
+    const tableIds = Object.keys(tableConfigsByTableId);
+    const [selectedTableId, setSelectedTableId] = useState(tableIds[0] || null);
+
+    // Fall back to the first table if the selected table was deleted
+    const tableId = tableConfigsByTableId[selectedTableId] ? selectedTableId : tableIds[0];
+    const tableColorPath = [ConfigKeys.TABLE_COLORS_BY_TABLE_ID, tableId];
+
+    return (
+        <Box>
+            <FormField label="Color headers by">
+                <SelectButtons
+                    options={HEADER_COLOR_MODE_OPTIONS}
+                    value={headerColorMode}
+                    onChange={value => globalConfig.setAsync(ConfigKeys.HEADER_COLOR_MODE, value)}
+                    disabled={!canSetColors}
+                />
+            </FormField>
+            {headerColorMode === HeaderColorModes.MANUAL && tableId && (
+                <FormField label="Table color">
+                    <Select
+                        options={tableIds.map(id => ({
+                            value: id,
+                            label: tableConfigsByTableId[id].tableNode.name,
+                        }))}
+                        value={tableId}
+                        onChange={setSelectedTableId}
+                    />
+                    <ColorPalette
+                        marginTop={2}
+                        allowedColors={TABLE_HEADER_COLORS}
+                        color={tableColorsByTableId[tableId] || getDefaultTableColor(tableId)}
+                        onChange={color => globalConfig.setAsync(tableColorPath, color)}
+                        disabled={!canSetColors}
+                        squareMargin={2}
+                    />
+                    <Button
+                        size="small"
+                        marginTop={2}
+                        onClick={() => globalConfig.setAsync(tableColorPath, undefined)}
+                        disabled={!canSetColors || !tableColorsByTableId[tableId]}
+                    >
+                        Reset to default
+                    </Button>
+                </FormField>
+            )}
+        </Box>
+    );
+}
+
+HeaderColorForm.propTypes = {
+    settings: PropTypes.object.isRequired,
+};
@@ -0,0 +1,135 @@
+import React, {useContext, useMemo, useState} from 'react';
+import ReactDOM from 'react-dom';
+import PropTypes from 'prop-types';
+import {Box, Button, Heading, Icon, Label, Text, TextButton, colors} from '@airtable/blocks/ui';
+import {base} from '@airtable/blocks';
+
+import FullscreenBox from './FullscreenBox';
+import {useNavigateToNode} from './ViewportCullingWrapper';
+import {HighlightContext} from './HighlightWrapper';
+import {HEALTH_CHECKS, HealthSeverities, runHealthChecks} from './healthHelpers';
+
+const SEVERITY_ICONS = Object.freeze({
+    [HealthSeverities.ERROR]: {name: 'warning', fillColor: colors.RED_BRIGHT},
+    [HealthSeverities.WARNING]: {name: 'warning', fillColor: colors.ORANGE_BRIGHT},
+    [HealthSeverities.INFO]: {name: 'info', fillColor: colors.GRAY},
+});
+
+// Findings of a check are collapsed past this many, since some checks can match most fields
+const NUM_FINDINGS_SHOWN_COLLAPSED = 5;
+
+/**
+ * Health panel component, listing problems found by running the health checks over the base
+ * schema (@see runHealthChecks). Findings are grouped by check, and clicking a table or field in a
+ * finding navigates to it in the diagram. Uses `ReactDOM#createPortal` to lift the HTMLElements
+ * out of SVG world.
+ *
+ * @param {Object} props.baseSchema parsed schema of the base, without anything merged in from a
+ *     compared snapshot
+ * @param {Function} props.onClose
+ */
+export default function HealthPanel({baseSchema, onClose}) {
+    const navigateToNode = useNavigateToNode();
+    const {pinNode} = useContext(HighlightContext);
+    const [expandedCheckTypes, setExpandedCheckTypes] = useState([]);
+    const findings = useMemo(() => runHealthChecks(base, baseSchema), [baseSchema]);
+    const {nodesById} = baseSchema;
+
+    const selectNode = node => {
+        navigateToNode(node);
+        if (node.type === 'field') {
+            pinNode(node.id);
+        }
+    };
+
+    return ReactDOM.createPortal(
+        <FullscreenBox
+            right="initial" // show the report in left sidebar
+            width="320px"
+            backgroundColor="white"
+            display="flex"
+            flexDirection="column"
+            borderRight="thick"
+        >
+            <Box flex="auto" overflow="auto" padding={3}>
+                <Heading marginBottom={3}>Health</Heading>
+                {findings.length === 0 && <Text>No problems found.</Text>}
+                {HEALTH_CHECKS.map(({checkType, severity, title}) => {
+                    const checkFindings = findings.filter(
+                        finding => finding.checkType === checkType,
+                    );
+                    if (checkFindings.length === 0) {
+                        return null;
+                    }
+                    const isExpanded = expandedCheckTypes.includes(checkType);
+                    const shownFindings = isExpanded
+                        ? checkFindings
+                        : checkFindings.slice(0, NUM_FINDINGS_SHOWN_COLLAPSED);
+                    return (
+                        <Box key={checkType} marginBottom={3}>
+                            <Box display="flex" alignItems="center" marginBottom={1}>
+                                <Icon
+                                    flex="none"
+                                    marginRight={2}
+                                    size={12}
+                                    {...SEVERITY_ICONS[severity]}
+                                />
+                                <Label marginBottom={0}>
+                                    {title} ({checkFindings.length})
+                                </Label>
+                            </Box>
+                            {shownFindings.map(finding => (
+                                <Box key={finding.id} paddingY={1}>
+                                    <Text>{finding.message}</Text>
+                                    {finding.nodeIds.map(nodeId => (
+                                        <TextButton
+                                            key={nodeId}
+                                            size="small"
+                                            marginRight={2}
+                                            onClick={() => selectNode(nodesById[nodeId])}
+                                        >
+                                            {nodesById[nodeId].name}
+                                        </TextButton>
+                                    ))}
+                                </Box>
+                            ))}
+                            {checkFindings.length > NUM_FINDINGS_SHOWN_COLLAPSED && (
+                                <TextButton
+                                    size="small"
+                                    onClick={() =>
+                                        setExpandedCheckTypes(
+                                            isExpanded
+                                                ? expandedCheckTypes.filter(
+                                                      type => type !== checkType,
+                                                  )
+                                                : [...expandedCheckTypes, checkType],
+                                        )
+                                    }
+                                >
+                                    {isExpanded ? 'Show fewer' : `Show all ${checkFindings.length}`}
+                                </TextButton>
+                            )}
+                        </Box>
+                    );
+                })}
+            </Box>
+            <Box
+                flex="none"
+                borderTop="thick"
+                display="flex"
+                justifyContent="flex-end"
+                alignItems="center"
+            >
+                <Button margin={3} variant="primary" size="large" onClick={onClose}>
+                    Done
+                </Button>
+            </Box>
+        </FullscreenBox>,
+        document.getElementById('index'),
+    );
+}
+
+HealthPanel.propTypes = {
+    baseSchema: PropTypes.object.isRequired,
+    onClose: PropTypes.func.isRequired,
+};
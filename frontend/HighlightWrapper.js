@@ -1,13 +1,46 @@
-import React, {useState, createContext, useContext, useCallback, useEffect, useRef} from 'react';
+import React, {
+    useState,
+    createContext,
+    useContext,
+    useCallback,
+    useEffect,
+    useMemo,
+    useRef,
+} from 'react';
 import ReactDOM from 'react-dom';
 import PropTypes from 'prop-types';
-import {Box, Text, colors} from '@airtable/blocks/ui';
+import {Box, Button, SelectButtons, Text, colors} from '@airtable/blocks/ui';
 
 import {SvgPanZoomContext} from './SvgPanZoomWrapper';
-import {LINK_PROP_TYPE, NODE_PROP_TYPE} from './constants';
+import {ViewportCullingContext} from './ViewportCullingWrapper';
+import {
+    CLICK_MOVE_TOLERANCE,
+    LINK_PROP_TYPE,
+    NODE_PROP_TYPE,
+    TABLE_CONFIG_PROP_TYPE,
+} from './constants';
+import {getDeletionImpact, traceDependencies, TraceDirections} from './dependencyHelpers';
+
+const TRACE_DIRECTION_OPTIONS = [
+    {value: TraceDirections.UPSTREAM, label: 'Upstream'},
+    {value: TraceDirections.DOWNSTREAM, label: 'Downstream'},
+    {value: TraceDirections.BOTH, label: 'Both'},
+];
 
 export const HighlightContext = createContext({
     onTableRowMouseOver() {},
+    onNodeMouseDown() {},
+    onNodeClick() {},
+    onNodeContextMenu() {},
+    onNodeFocus() {},
+    togglePinnedNode() {},
+    highlightNode() {},
+    pinNode() {},
+    unpinNode() {},
+    showDeletionImpact() {},
+    hideDeletionImpact() {},
+    pinnedNodeId: null,
+    deletionImpact: null,
     highlightedFields: [],
     highlightedLinks: [],
 });
@@ -43,6 +76,73 @@ Tooltip.propTypes = {
     text: PropTypes.string,
 };
 
+/**
+ * Displays a small panel at the bottom of the diagram while a node's dependencies are pinned,
+ * allowing the user to choose which direction to trace in, or to unpin.
+ *
+ * Uses `ReactDOM#createPortal` to lift the HTMLElements out of SVG world.
+ *
+ * @param {Object} props.node the pinned node
+ * @param {string} props.direction the direction being traced
+ * @param {number} props.numTracedNodes number of nodes in the trace, excluding the pinned node
+ * @param {Function} props.onDirectionChange
+ * @param {Function} props.onClose
+ */
+function TracePanel({node, direction, numTracedNodes, onDirectionChange, onClose}) {
+    return ReactDOM.createPortal(
+        <Box
+            position="absolute"
+            bottom={0}
+            left="50%"
+            marginBottom={2}
+            padding={2}
+            display="flex"
+            alignItems="center"
+            backgroundColor="white"
+            borderRadius="large"
+            border="default"
+            style={{transform: 'translateX(-50%)'}}
+        >
+            <Box marginRight={2} maxWidth="200px">
+                <Text
+                    fontWeight={600}
+                    overflow="hidden"
+                    style={{whiteSpace: 'nowrap', textOverflow: 'ellipsis'}}
+                >
+                    {node.name}
+                </Text>
+                <Text size="small" textColor="light">
+                    {numTracedNodes === 1 ? '1 dependency' : `${numTracedNodes} dependencies`}
+                </Text>
+            </Box>
+            <SelectButtons
+                size="small"
+                width="auto"
+                options={TRACE_DIRECTION_OPTIONS}
+                value={direction}
+                onChange={onDirectionChange}
+            />
+            <Button
+                size="small"
+                variant="secondary"
+                icon="x"
+                marginLeft={2}
+                aria-label="Unpin"
+                onClick={onClose}
+            />
+        </Box>,
+        document.getElementById('index'),
+    );
+}
+
+TracePanel.propTypes = {
+    node: NODE_PROP_TYPE.isRequired,
+    direction: PropTypes.oneOf(Object.values(TraceDirections)).isRequired,
+    numTracedNodes: PropTypes.number.isRequired,
+    onDirectionChange: PropTypes.func.isRequired,
+    onClose: PropTypes.func.isRequired,
+};
+
 function toggleClassFromElements(classToToggle, elementsClassName) {
     const elementsToToggle = document.getElementsByClassName(elementsClassName);
     while (elementsToToggle[0]) {
@@ -50,23 +150,111 @@ function toggleClassFromElements(classToToggle, elementsClassName) {
     }
 }
 
+/**
+ * Returns the ids of the given nodes & links, along with the tables containing those nodes.
+ *
+ * @param {string[]} nodeIds
+ * @param {string[]} linkIds
+ * @param {Object} nodesById all nodes (field or table header), by node id
+ * @returns {Set<string>}
+ */
+function getIdsWithTables(nodeIds, linkIds, nodesById) {
+    const ids = new Set(linkIds);
+    for (const nodeId of nodeIds) {
+        ids.add(nodeId);
+        if (nodesById[nodeId]) {
+            ids.add(nodesById[nodeId].tableId);
+        }
+    }
+    return ids;
+}
+
+/**
+ * Returns the ids of a node, its dependent links, and the nodes at the other end of those links:
+ * everything highlighted when hovering over the node.
+ *
+ * @param {string} nodeId
+ * @param {Object} dependentLinksByNodeId list of links connected to each node, by node id
+ * @returns {string[]}
+ */
+function getNodeHighlightIds(nodeId, dependentLinksByNodeId) {
+    const ids = [nodeId];
+    for (const link of dependentLinksByNodeId[nodeId] || []) {
+        ids.push(link.id, link.targetId, link.sourceId);
+    }
+    return ids;
+}
+
+/**
+ * Removes highlighting from all links & nodes, then highlights the elements with the given ids.
+ *
+ * The ids are recorded in `highlightedIdsRef`, so elements that aren't rendered yet can be
+ * highlighted once they come into view (@see ViewportCullingWrapper).
+ *
+ * @param {string[]} idsToHighlight
+ * @param {{current: string[]}} highlightedIdsRef
+ */
+function replaceHighlightedElements(idsToHighlight, highlightedIdsRef) {
+    highlightedIdsRef.current = idsToHighlight;
+    toggleClassFromElements('highlighted', 'TableRow highlighted');
+    toggleClassFromElements('highlighted', 'Link highlighted');
+    for (const id of idsToHighlight) {
+        const elementToHighlight = document.getElementById(id);
+        if (elementToHighlight) {
+            elementToHighlight.classList.add('highlighted');
+        }
+    }
+}
+
 /**
  * Wraps children in a context provider to handle the highlighting of dependent nodes when hovering
  * over links and fields.
  *
+ * Clicking a field pins its highlighting, and traces its dependencies transitively (across tables,
+ * to any depth) upstream, downstream, or both. While pinned, hovering doesn't change highlighting,
+ * and everything that isn't part of the trace is dimmed.
+ *
+ * Right-clicking a field or table header (or choosing it from the field inspector) shows what
+ * would break if it were deleted: every field that consumes it is highlighted the same way
+ * (@see getDeletionImpact), and listed in the deletion impact panel.
+ *
  * @param {Element} props.children
  * @param {Object} props.dependentLinksByNodeId list of links connected to each node, by node id
  * @param {Object} props.linksById all links (connection between two nodes), by link id
  * @param {Object} props.nodesById all nodes (field or table header), by node id
+ * @param {Object} props.tableConfigsByTableId table header & field nodes for each table, by table id
  */
-export default function HighlightWrapper({children, dependentLinksByNodeId, linksById, nodesById}) {
+export default function HighlightWrapper({
+    children,
+    dependentLinksByNodeId,
+    linksById,
+    nodesById,
+    tableConfigsByTableId,
+}) {
     const svgPanZoom = useContext(SvgPanZoomContext);
+    const {cullingBounds, revealedTableIds} = useContext(ViewportCullingContext);
     const [tooltip, setTooltip] = useState(false);
     const hoveredNodeOrLinkRef = useRef(null);
+    const mouseDownPositionRef = useRef(null);
+    const highlightedIdsRef = useRef([]);
+    const [pinnedTrace, setPinnedTrace] = useState(null);
+    const [deletionImpactNodeId, setDeletionImpactNodeId] = useState(null);
     const [highlightContext, setHighlightContext] = useState({
         onTableRowMouseOver: () => {},
         onTableRowMouseOut: () => {},
         onLinkMouseOver: () => {},
+        onNodeMouseDown: () => {},
+        onNodeClick: () => {},
+        onNodeContextMenu: () => {},
+        onNodeFocus: () => {},
+        togglePinnedNode: () => {},
+        highlightNode: () => {},
+        pinNode: () => {},
+        unpinNode: () => {},
+        showDeletionImpact: () => {},
+        hideDeletionImpact: () => {},
+        pinnedNodeId: null,
+        deletionImpact: null,
         highlightedFields: [],
         highlightedLinks: [],
     });
@@ -82,12 +270,18 @@ export default function HighlightWrapper({children, dependentLinksByNodeId, link
             if (!nodeOrLinkIdOrNull) {
                 setTooltip({isVisible: false});
             } else {
-                setTooltip({
-                    isVisible: true,
-                    text: isNode
-                        ? nodesById[nodeOrLinkIdOrNull].tooltipLabel
-                        : linksById[nodeOrLinkIdOrNull].tooltipLabel,
-                });
+                let text;
+                if (isNode) {
+                    text = nodesById[nodeOrLinkIdOrNull].tooltipLabel;
+                } else {
+                    text = linksById[nodeOrLinkIdOrNull].tooltipLabel;
+                    // Stubs are links whose other end has been hidden (@see LinkContainer)
+                    const linkElement = document.getElementById(nodeOrLinkIdOrNull);
+                    if (linkElement && linkElement.classList.contains('LinkStub')) {
+                        text += ' (other end hidden)';
+                    }
+                }
+                setTooltip({isVisible: true, text});
             }
         },
         [nodesById, linksById],
@@ -125,36 +319,42 @@ export default function HighlightWrapper({children, dependentLinksByNodeId, link
             hoveredNodeOrLinkRef.current = hoveredNodeOrLinkId;
             configureTooltip(hoveredNodeOrLinkId, Boolean(hoveredNode));
 
-            // Remove highlighted from previously highlighted links & fields
-            toggleClassFromElements('highlighted', 'TableRow highlighted');
-            toggleClassFromElements('highlighted', 'Link highlighted');
+            // Pinned highlighting takes precedence over hover highlighting
+            if (pinnedTrace || deletionImpactNodeId) {
+                return;
+            }
 
-            // If there is no hovered ID, then user moused-out. Nothing more to do.
+            // If there is no hovered ID, then user moused-out. Remove highlighted from previously
+            // highlighted links & fields; nothing more to do.
             if (hoveredNodeOrLinkId === null) {
+                replaceHighlightedElements([], highlightedIdsRef);
                 return;
             }
 
             // Add highlighting to the appropriate nodes and links
-            const idsToHighlight = [];
             if (hoveredNode) {
                 // field/table is hovered
-                const dependentLinks = dependentLinksByNodeId[hoveredNodeOrLinkId] || [];
-                dependentLinks.forEach(link => {
-                    idsToHighlight.push(link.id, link.targetId, link.sourceId);
-                });
+                replaceHighlightedElements(
+                    getNodeHighlightIds(hoveredNodeOrLinkId, dependentLinksByNodeId),
+                    highlightedIdsRef,
+                );
             } else {
                 // link is hovered
                 const link = linksById[hoveredNodeOrLinkId];
-                idsToHighlight.push(link.id, link.sourceId, link.targetId);
-            }
-            for (const id of idsToHighlight) {
-                const elementToHighlight = document.getElementById(id);
-                if (elementToHighlight) {
-                    elementToHighlight.classList.add('highlighted');
-                }
+                replaceHighlightedElements(
+                    [link.id, link.sourceId, link.targetId],
+                    highlightedIdsRef,
+                );
             }
         },
-        [svgPanZoom, dependentLinksByNodeId, linksById, configureTooltip],
+        [
+            svgPanZoom,
+            dependentLinksByNodeId,
+            linksById,
+            configureTooltip,
+            pinnedTrace,
+            deletionImpactNodeId,
+        ],
     );
 
     /**
@@ -178,22 +378,294 @@ export default function HighlightWrapper({children, dependentLinksByNodeId, link
         hoveredNodeOrLinkRef.current = null;
         configureTooltip(null);
 
-        // Remove highlighted from previously highlighted links & fields
-        toggleClassFromElements('highlighted', 'TableRow highlighted');
-        toggleClassFromElements('highlighted', 'Link highlighted');
-    }, [svgPanZoom, configureTooltip]);
+        // Remove highlighted from previously highlighted links & fields, unless they're pinned
+        if (!pinnedTrace && !deletionImpactNodeId) {
+            replaceHighlightedElements([], highlightedIdsRef);
+        }
+    }, [svgPanZoom, configureTooltip, pinnedTrace, deletionImpactNodeId]);
+
+    /**
+     * Mousedown handler, recording where the mouse was pressed so that clicks can be told apart
+     * from the end of a pan.
+     */
+    const onNodeMouseDown = useCallback(event => {
+        mouseDownPositionRef.current = {x: event.clientX, y: event.clientY};
+    }, []);
+
+    /**
+     * Pins the highlighting for a field, or unpins it if it's already pinned. The pinned field is
+     * also the one shown in the field inspector.
+     */
+    const togglePinnedNode = useCallback(nodeId => {
+        setDeletionImpactNodeId(null);
+        setPinnedTrace(currentPinnedTrace => {
+            if (currentPinnedTrace && currentPinnedTrace.nodeId === nodeId) {
+                return null;
+            }
+            return {
+                nodeId,
+                direction: currentPinnedTrace ? currentPinnedTrace.direction : TraceDirections.BOTH,
+            };
+        });
+    }, []);
+
+    /**
+     * Click handler to pin (or unpin) the highlighting for a field.
+     *
+     * Like the mouseover handler, this is set on the Table container and uses event delegation.
+     */
+    const onNodeClick = useCallback(
+        event => {
+            const mouseDownPosition = mouseDownPositionRef.current;
+            if (
+                mouseDownPosition &&
+                Math.hypot(
+                    event.clientX - mouseDownPosition.x,
+                    event.clientY - mouseDownPosition.y,
+                ) > CLICK_MOVE_TOLERANCE
+            ) {
+                return;
+            }
+            const clickedNode = event.target.closest('svg.TableRow');
+            if (!clickedNode || clickedNode.classList.contains('TableHeader')) {
+                return;
+            }
+            togglePinnedNode(clickedNode.getAttribute('id'));
+        },
+        [togglePinnedNode],
+    );
+
+    /**
+     * Focus handler to highlight the focused node the same way as hovering over it would, so that
+     * its relationships can be seen while navigating with the keyboard.
+     *
+     * Like the mouseover handler, this is set on the Table container and uses event delegation.
+     */
+    const onNodeFocus = useCallback(
+        event => {
+            const focusedNode = event.target.closest('svg.TableRow');
+            // Pinned highlighting takes precedence over focus highlighting
+            if (!focusedNode || pinnedTrace || deletionImpactNodeId) {
+                return;
+            }
+            replaceHighlightedElements(
+                getNodeHighlightIds(focusedNode.getAttribute('id'), dependentLinksByNodeId),
+                highlightedIdsRef,
+            );
+        },
+        [dependentLinksByNodeId, pinnedTrace, deletionImpactNodeId],
+    );
+
+    /**
+     * Pins the highlighting for a node, keeping the current trace direction.
+     *
+     * Used when a node is chosen outside of the diagram (eg, from the field inspector).
+     */
+    const pinNode = useCallback(nodeId => {
+        setDeletionImpactNodeId(null);
+        setPinnedTrace(currentPinnedTrace => ({
+            nodeId,
+            direction: currentPinnedTrace ? currentPinnedTrace.direction : TraceDirections.BOTH,
+        }));
+    }, []);
+
+    const unpinNode = useCallback(() => {
+        setPinnedTrace(null);
+    }, []);
+
+    /**
+     * Shows what would break if a field or table were deleted, replacing any pinned trace.
+     */
+    const showDeletionImpact = useCallback(nodeId => {
+        setPinnedTrace(null);
+        setDeletionImpactNodeId(nodeId);
+    }, []);
+
+    const hideDeletionImpact = useCallback(() => {
+        setDeletionImpactNodeId(null);
+    }, []);
+
+    /**
+     * Context menu handler to show the deletion impact of the right-clicked field or table.
+     *
+     * Like the click handler, this is set on the Table container and uses event delegation.
+     */
+    const onNodeContextMenu = useCallback(
+        event => {
+            const clickedNode = event.target.closest('svg.TableRow');
+            if (!clickedNode) {
+                return;
+            }
+            event.preventDefault();
+            showDeletionImpact(clickedNode.getAttribute('id'));
+        },
+        [showDeletionImpact],
+    );
+
+    /**
+     * Highlights a node and its dependent links, the same way as hovering over it would.
+     *
+     * Used when a node is chosen outside of the diagram (eg, from search results). The highlighting
+     * stays until the hover target changes.
+     */
+    const highlightNode = useCallback(
+        nodeId => {
+            hoveredNodeOrLinkRef.current = null;
+            setPinnedTrace(null);
+            setDeletionImpactNodeId(null);
+            document.getElementById('root').classList.remove('tracing');
+            replaceHighlightedElements(
+                getNodeHighlightIds(nodeId, dependentLinksByNodeId),
+                highlightedIdsRef,
+            );
+        },
+        [dependentLinksByNodeId],
+    );
+
+    // Ids of every node & link in the pinned trace, including the tables containing traced fields
+    const tracedIds = useMemo(() => {
+        if (!pinnedTrace || !nodesById[pinnedTrace.nodeId]) {
+            return null;
+        }
+        const {distancesByNodeId, linksById: tracedLinksById} = traceDependencies(
+            pinnedTrace.nodeId,
+            pinnedTrace.direction,
+            dependentLinksByNodeId,
+        );
+        return getIdsWithTables(
+            Object.keys(distancesByNodeId),
+            Object.keys(tracedLinksById),
+            nodesById,
+        );
+    }, [pinnedTrace, nodesById, dependentLinksByNodeId]);
+
+    const deletionImpact = useMemo(() => {
+        if (!deletionImpactNodeId || !nodesById[deletionImpactNodeId]) {
+            return null;
+        }
+        return {
+            nodeId: deletionImpactNodeId,
+            ...getDeletionImpact(
+                deletionImpactNodeId,
+                nodesById,
+                tableConfigsByTableId,
+                dependentLinksByNodeId,
+            ),
+        };
+    }, [deletionImpactNodeId, nodesById, tableConfigsByTableId, dependentLinksByNodeId]);
+
+    // Ids of every node & link to highlight, and the nodes to mark, for either the pinned trace or
+    // the deletion impact
+    const pinnedHighlighting = useMemo(() => {
+        if (tracedIds) {
+            return {ids: tracedIds, markedNodeIds: [pinnedTrace.nodeId], markClassName: 'pinned'};
+        }
+        if (deletionImpact) {
+            const {deletedNodeIds, distancesByNodeId, linksById: impactLinksById} = deletionImpact;
+            return {
+                ids: getIdsWithTables(
+                    [...deletedNodeIds, ...Object.keys(distancesByNodeId)],
+                    Object.keys(impactLinksById),
+                    nodesById,
+                ),
+                markedNodeIds: deletedNodeIds,
+                markClassName: 'deleting',
+            };
+        }
+        return null;
+    }, [tracedIds, pinnedTrace, deletionImpact, nodesById]);
+
+    // Apply the pinned highlighting to the DOM, dimming everything else. Tables & links that come
+    // into view are rendered without any highlighting (@see ViewportCullingWrapper), so the pinned
+    // or hover highlighting is applied again whenever that happens.
+    useEffect(() => {
+        const rootElement = document.getElementById('root');
+        if (!pinnedHighlighting) {
+            // Only clear highlighting if a trace was just unpinned
+            if (rootElement.classList.contains('tracing')) {
+                rootElement.classList.remove('tracing');
+                replaceHighlightedElements([], highlightedIdsRef);
+            } else {
+                replaceHighlightedElements(highlightedIdsRef.current, highlightedIdsRef);
+            }
+            return;
+        }
+        const {ids, markedNodeIds, markClassName} = pinnedHighlighting;
+        rootElement.classList.add('tracing');
+        replaceHighlightedElements([...ids], highlightedIdsRef);
+        const markedElements = markedNodeIds
+            .map(nodeId => document.getElementById(nodeId))
+            .filter(Boolean);
+        for (const markedElement of markedElements) {
+            markedElement.classList.add(markClassName);
+        }
+
+        const onKeyDown = event => {
+            if (event.key === 'Escape') {
+                setPinnedTrace(null);
+                setDeletionImpactNodeId(null);
+            }
+        };
+        window.addEventListener('keydown', onKeyDown);
+        return () => {
+            window.removeEventListener('keydown', onKeyDown);
+            for (const markedElement of markedElements) {
+                markedElement.classList.remove(markClassName);
+            }
+        };
+    }, [pinnedHighlighting, cullingBounds, revealedTableIds]);
 
     useEffect(() => {
         setHighlightContext(currentHighlightContext => ({
             ...currentHighlightContext,
             onNodeOrLinkMouseOver,
             onNodeOrLinkMouseOut,
+            onNodeMouseDown,
+            onNodeClick,
+            onNodeContextMenu,
+            onNodeFocus,
+            togglePinnedNode,
+            highlightNode,
+            pinNode,
+            unpinNode,
+            showDeletionImpact,
+            hideDeletionImpact,
+            pinnedNodeId: pinnedTrace ? pinnedTrace.nodeId : null,
+            deletionImpact,
         }));
-    }, [onNodeOrLinkMouseOver, onNodeOrLinkMouseOut]);
+    }, [
+        onNodeOrLinkMouseOver,
+        onNodeOrLinkMouseOut,
+        onNodeMouseDown,
+        onNodeClick,
+        onNodeContextMenu,
+        onNodeFocus,
+        togglePinnedNode,
+        highlightNode,
+        pinNode,
+        unpinNode,
+        showDeletionImpact,
+        hideDeletionImpact,
+        pinnedTrace,
+        deletionImpact,
+    ]);
+
+    const numTracedFields = tracedIds
+        ? [...tracedIds].filter(id => nodesById[id] && nodesById[id].type === 'field').length
+        : 0;
 
     return (
         <HighlightContext.Provider value={highlightContext}>
             {tooltip.isVisible && <Tooltip text={tooltip.text} />}
+            {tracedIds && (
+                <TracePanel
+                    node={nodesById[pinnedTrace.nodeId]}
+                    direction={pinnedTrace.direction}
+                    numTracedNodes={numTracedFields - 1}
+                    onDirectionChange={direction => setPinnedTrace({...pinnedTrace, direction})}
+                    onClose={unpinNode}
+                />
+            )}
             {children}
         </HighlightContext.Provider>
     );
@@ -204,4 +676,5 @@ HighlightWrapper.propTypes = {
     dependentLinksByNodeId: PropTypes.objectOf(PropTypes.arrayOf(LINK_PROP_TYPE)).isRequired,
     linksById: PropTypes.objectOf(LINK_PROP_TYPE).isRequired,
     nodesById: PropTypes.objectOf(NODE_PROP_TYPE).isRequired,
+    tableConfigsByTableId: PropTypes.objectOf(TABLE_CONFIG_PROP_TYPE).isRequired,
 };
@@ -0,0 +1,155 @@
+import React, {createContext, useCallback, useEffect, useState} from 'react';
+import {globalConfig} from '@airtable/blocks';
+import _ from 'lodash';
+import PropTypes from 'prop-types';
+
+// The oldest changes are forgotten past this many
+const MAX_HISTORY_LENGTH = 50;
+const EMPTY_HISTORY = Object.freeze({undoStack: [], redoStack: []});
+
+export const LayoutHistoryContext = createContext({
+    canUndo: false,
+    canRedo: false,
+    setLayoutPathsAsync: paths => globalConfig.setPathsAsync(paths),
+    undo() {},
+    redo() {},
+});
+
+/**
+ * Returns the current globalConfig value at each of the given paths, so they can be put back later.
+ *
+ * @param {Array<{path: string[], value: any}>} paths
+ * @returns {Array<{path: string[], value: any}>}
+ */
+function getCurrentValues(paths) {
+    return paths.map(({path}) => ({path, value: globalConfig.get(path)}));
+}
+
+/**
+ * Returns the entry that reverts the given entry, ie that writes back the values it replaced.
+ *
+ * @param {{paths: Object[], previousPaths: Object[]}} entry
+ * @returns {{paths: Object[], previousPaths: Object[]}}
+ */
+function getReverseEntry(entry) {
+    return {paths: entry.previousPaths, previousPaths: getCurrentValues(entry.previousPaths)};
+}
+
+/**
+ * Whether a keyboard event is aimed at a text input, which has its own undo history.
+ *
+ * @param {EventTarget} target
+ * @returns {boolean}
+ */
+function isEditingText(target) {
+    return (
+        target instanceof Element &&
+        target.closest('input, textarea, [contenteditable="true"]') !== null
+    );
+}
+
+/**
+ * Wraps children in a context provider for undoing and redoing changes to the active layout.
+ *
+ * Layout changes that can be undone (eg, dragging tables, auto-arranging, collapsing and hiding
+ * tables) are written with `setLayoutPathsAsync` instead of directly to globalConfig. This records
+ * the values being replaced, and undoing writes them back, which recalculates the table positions
+ * and link paths the same way as any other change to the layout. Undoing an undo is a redo, so both
+ * stacks hold the same kind of entry: the values to write, and the values they replace.
+ *
+ * History is only kept for the current session, and is cleared when switching layouts. Ctrl+Z
+ * undoes and Ctrl+Shift+Z (or Ctrl+Y) redoes, unless a text input has focus.
+ *
+ * @param {Element} props.children
+ * @param {string} props.activeLayoutId id of the layout the history belongs to
+ */
+export default function LayoutHistoryWrapper({children, activeLayoutId}) {
+    const [{undoStack, redoStack}, setHistory] = useState(EMPTY_HISTORY);
+    const canSetLayout = globalConfig.hasPermissionToSet();
+
+    useEffect(() => {
+        setHistory(EMPTY_HISTORY);
+    }, [activeLayoutId]);
+
+    /**
+     * Writes the given paths to globalConfig, recording the values they replace so the change can
+     * be undone. Takes the same paths as `globalConfig#setPathsAsync`. Writes that don't change
+     * anything (eg, clicking a table without dragging it) aren't recorded.
+     */
+    const setLayoutPathsAsync = useCallback(paths => {
+        const entry = {paths, previousPaths: getCurrentValues(paths)};
+        if (_.isEqual(entry.paths, entry.previousPaths)) {
+            return globalConfig.setPathsAsync(paths);
+        }
+        setHistory(currentHistory => ({
+            undoStack: [...currentHistory.undoStack, entry].slice(-MAX_HISTORY_LENGTH),
+            redoStack: [],
+        }));
+        return globalConfig.setPathsAsync(paths);
+    }, []);
+
+    const undo = useCallback(() => {
+        const entry = _.last(undoStack);
+        if (!entry || !canSetLayout) {
+            return;
+        }
+        setHistory({
+            undoStack: undoStack.slice(0, -1),
+            redoStack: [...redoStack, getReverseEntry(entry)],
+        });
+        globalConfig.setPathsAsync(entry.previousPaths);
+    }, [canSetLayout, undoStack, redoStack]);
+
+    const redo = useCallback(() => {
+        const entry = _.last(redoStack);
+        if (!entry || !canSetLayout) {
+            return;
+        }
+        setHistory({
+            undoStack: [...undoStack, getReverseEntry(entry)],
+            redoStack: redoStack.slice(0, -1),
+        });
+        globalConfig.setPathsAsync(entry.previousPaths);
+    }, [canSetLayout, undoStack, redoStack]);
+
+    useEffect(() => {
+        const onKeyDown = event => {
+            const key = event.key.toLowerCase();
+            if (
+                !(event.ctrlKey || event.metaKey) ||
+                event.altKey ||
+                (key !== 'z' && key !== 'y') ||
+                isEditingText(event.target)
+            ) {
+                return;
+            }
+            event.preventDefault();
+            if (key === 'y' || event.shiftKey) {
+                redo();
+            } else {
+                undo();
+            }
+        };
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    }, [undo, redo]);
+
+    return (
+        <LayoutHistoryContext.Provider
+            value={{
+                canUndo: canSetLayout && undoStack.length > 0,
+                canRedo: canSetLayout && redoStack.length > 0,
+                setLayoutPathsAsync,
+                undo,
+                redo,
+            }}
+        >
+            {children}
+        </LayoutHistoryContext.Provider>
+    );
+}
+
+LayoutHistoryWrapper.propTypes = {
+    children: PropTypes.node,
+    activeLayoutId: PropTypes.string.isRequired,
+};
@@ -0,0 +1,175 @@
+import React, {useState} from 'react';
+import {Box, Button, FormField, Input, Select, useGlobalConfig} from '@airtable/blocks/ui';
+import PropTypes from 'prop-types';
+
+import {
+    ConfigKeys,
+    createLayout,
+    createLayoutId,
+    getLayoutConfigPath,
+    LayoutKeys,
+} from './settings';
+import {calculateAutoLayout} from './layoutHelpers';
+
+/**
+ * Layout picker component.
+ * Allows the user to switch between the saved layouts, and to create, rename, duplicate and delete
+ * layouts. Each layout has its own table positions, enabled link types, table display modes,
+ * hidden tables & fields, and groups.
+ *
+ * @param {Object} props.settings positioning information for the nodes and links (@see useSettings)
+ */
+export default function LayoutPicker({settings}) {
+    const globalConfig = useGlobalConfig();
+    const {activeLayoutId, layoutsById, autoLayoutOptions, baseSchema} = settings;
+    const canSetLayout = globalConfig.hasPermissionToSet();
+    // Name being edited, when renaming or creating a layout, or null otherwise
+    const [draftName, setDraftName] = useState(null);
+    const [isCreating, setIsCreating] = useState(false);
+
+    const layoutOptions = Object.keys(layoutsById).map(layoutId => ({
+        value: layoutId,
+        label: layoutsById[layoutId][LayoutKeys.NAME],
+    }));
+
+    const addLayout = (name, layout) => {
+        const layoutId = createLayoutId();
+        globalConfig.setPathsAsync([
+            {
+                path: [ConfigKeys.LAYOUTS_BY_ID, layoutId],
+                value: {...layout, [LayoutKeys.NAME]: name},
+            },
+            {path: [ConfigKeys.ACTIVE_LAYOUT_ID], value: layoutId},
+        ]);
+    };
+
+    const startEditing = (initialName, shouldCreate) => {
+        setDraftName(initialName);
+        setIsCreating(shouldCreate);
+    };
+
+    const saveDraftName = () => {
+        const name = draftName.trim();
+        if (!name) {
+            return;
+        }
+        if (isCreating) {
+            // New layouts start from an auto-arranged position for every table in the base (not the
+            // tables removed since a compared snapshot)
+            addLayout(
+                name,
+                createLayout(
+                    name,
+                    calculateAutoLayout(
+                        baseSchema.tableConfigsByTableId,
+                        baseSchema.linksById,
+                        autoLayoutOptions,
+                    ),
+                ),
+            );
+        } else {
+            globalConfig.setAsync(getLayoutConfigPath(activeLayoutId, LayoutKeys.NAME), name);
+        }
+        setDraftName(null);
+    };
+
+    const duplicateLayout = () => {
+        // Copy every setting stored in the layout (table positions, display modes, hidden tables &
+        // fields, groups, etc), so the copy looks the same
+        const layout = layoutsById[activeLayoutId];
+        addLayout(`${layout[LayoutKeys.NAME]} copy`, {...layout});
+    };
+
+    const deleteLayout = () => {
+        const remainingLayoutIds = Object.keys(layoutsById).filter(
+            layoutId => layoutId !== activeLayoutId,
+        );
+        globalConfig.setPathsAsync([
+            {path: [ConfigKeys.LAYOUTS_BY_ID, activeLayoutId], value: undefined},
+            {path: [ConfigKeys.ACTIVE_LAYOUT_ID], value: remainingLayoutIds[0]},
+        ]);
+    };
+
+    if (draftName !== null) {
+        return (
+            <FormField label={isCreating ? 'New layout name' : 'Layout name'}>
+                <div
+                    onKeyDown={event => {
+                        if (event.key === 'Enter') {
+                            saveDraftName();
+                        } else if (event.key === 'Escape') {
+                            setDraftName(null);
+                        }
+                    }}
+                >
+                    <Input value={draftName} onChange={event => setDraftName(event.target.value)} />
+                </div>
+                <Box display="flex" marginTop={2}>
+                    <Button
+                        variant="primary"
+                        marginRight={2}
+                        onClick={saveDraftName}
+                        disabled={!draftName.trim()}
+                    >
+                        Save
+                    </Button>
+                    <Button onClick={() => setDraftName(null)}>Cancel</Button>
+                </Box>
+            </FormField>
+        );
+    }
+
+    return (
+        <FormField label="Layout">
+            <Select
+                options={layoutOptions}
+                value={activeLayoutId}
+                onChange={layoutId => globalConfig.setAsync(ConfigKeys.ACTIVE_LAYOUT_ID, layoutId)}
+                disabled={!canSetLayout}
+            />
+            <Box display="flex" marginTop={2}>
+                <Button
+                    icon="plus"
+                    size="small"
+                    marginRight={1}
+                    onClick={() => startEditing('', true)}
+                    disabled={!canSetLayout}
+                >
+                    New
+                </Button>
+                <Button
+                    icon="edit"
+                    size="small"
+                    marginRight={1}
+                    onClick={() =>
+                        startEditing(layoutsById[activeLayoutId][LayoutKeys.NAME], false)
+                    }
+                    disabled={!canSetLayout}
+                >
+                    Rename
+                </Button>
+                <Button
+                    icon="duplicate"
+                    size="small"
+                    marginRight={1}
+                    onClick={duplicateLayout}
+                    disabled={!canSetLayout}
+                >
+                    Duplicate
+                </Button>
+                <Button
+                    icon="trash"
+                    size="small"
+                    onClick={deleteLayout}
+                    disabled={!canSetLayout || layoutOptions.length <= 1}
+                >
+                    Delete
+                </Button>
+            </Box>
+        </FormField>
+    );
+}
+
+LayoutPicker.propTypes = {
+    settings: PropTypes.object.isRequired,
+};
@@ -1,9 +1,15 @@
 import React, {useContext} from 'react';
 import PropTypes from 'prop-types';
+import classnames from 'classnames';
 import {FieldType} from '@airtable/blocks/models';
 
 import {HighlightContext} from './HighlightWrapper';
-import {LINK_PROP_TYPE} from './constants';
+import {useIsInView} from './ViewportCullingWrapper';
+import {getHiddenLinkEnd} from './tableDisplayHelpers';
+import {COORDS_PROP_TYPE, LINK_PROP_TYPE, TABLE_CONFIG_PROP_TYPE} from './constants';
+
+// The trunk of a bundle gets thicker with each link in it, up to this width
+const MAX_BUNDLE_TRUNK_WIDTH = 12;
 
 /**
  * Container group for the link path elements. Handles node mouseover/mouseout (event delegation
@@ -15,28 +21,75 @@ import {LINK_PROP_TYPE} from './constants';
  * state from the DOM back into React world upon finishing dragging. This could be done by
  * extracting the `d` attribute from all links on drag finish, but it works fine as is.
  *
+ * Links with both ends hidden aren't shown. Links with one end hidden are drawn as a stub from the
+ * visible end, so it's clear that something is connected there.
+ *
+ * Bundled links (@see getLinkBundles) are drawn on top of the trunk of their bundle, which isn't
+ * interactive, so each link can still be hovered where it fans out.
+ *
+ * Links and bundles are only rendered if the tables at either end are near the visible part of the
+ * diagram, or the link passes through it (@see ViewportCullingWrapper).
+ *
  * @param {Object} props.linksById all link objects, by id
  * @param {Object} props.linkPathsByLinkId all link paths, by id
+ * @param {Object} props.linkBundlesById bundles of links between the same two tables, by bundle id
+ * @param {Object} props.bundlePathsByBundleId path of the trunk of each bundle, by bundle id
  * @param {Object} props.enabledLinksByType whether each link type is enabled, by link type
+ * @param {Object} props.tableConfigsByTableId rendered table header & field nodes for each visible
+ *     table, by table id
+ * @param {Object} props.tableCoordsByTableId table x,y coordinates, by table id
+ * @param {Object} props.hiddenNodeIds `true` for each hidden table id and field id
+ * @param {Object} props.changeTypesById changes since the compared snapshot, by link id
  */
-export default function LinkContainer({linksById, linkPathsByLinkId, enabledLinksByType}) {
+export default function LinkContainer({
+    linksById,
+    linkPathsByLinkId,
+    linkBundlesById,
+    bundlePathsByBundleId,
+    enabledLinksByType,
+    tableConfigsByTableId,
+    tableCoordsByTableId,
+    hiddenNodeIds,
+    changeTypesById,
+}) {
     const {onNodeOrLinkMouseOver, onNodeOrLinkMouseOut} = useContext(HighlightContext);
+    const isInView = useIsInView(tableCoordsByTableId, tableConfigsByTableId);
 
     return (
         <g
             id="link-container"
+            // Relationships are announced as part of each field row instead
+            aria-hidden="true"
             onMouseMove={onNodeOrLinkMouseOver}
             onMouseOut={onNodeOrLinkMouseOut}
         >
+            {Object.values(linkBundlesById).map(bundle =>
+                isInView(bundle.tableIds) ? (
+                    <path
+                        key={bundle.id}
+                        id={bundle.id}
+                        className="LinkBundle"
+                        strokeWidth={Math.min(2 * bundle.links.length, MAX_BUNDLE_TRUNK_WIDTH)}
+                        d={bundlePathsByBundleId[bundle.id]}
+                    />
+                ) : null,
+            )}
             {Object.values(linksById).map(link => {
+                if (!isInView([link.sourceTableId, link.targetTableId])) {
+                    return null;
+                }
                 const isEnabled = enabledLinksByType[link.type];
+                const hiddenEnd = getHiddenLinkEnd(link, tableConfigsByTableId, hiddenNodeIds);
+                const isVisible = isEnabled && Boolean(linkPathsByLinkId[link.id]);
 
                 return (
                     <path
-                        display={isEnabled ? undefined : 'none'}
+                        display={isVisible ? undefined : 'none'}
                         key={link.id}
                         id={link.id}
-                        className={`Link ${link.type}`}
+                        className={classnames('Link', link.type, changeTypesById[link.id], {
+                            LinkStub: hiddenEnd !== null,
+                        })}
                         d={linkPathsByLinkId[link.id]}
                     />
                 );
@@ -48,6 +101,14 @@ export default function LinkContainer({linksById, linkPathsByLinkId, enabledLink
 LinkContainer.propTypes = {
     linksById: PropTypes.objectOf(LINK_PROP_TYPE),
     linkPathsByLinkId: PropTypes.objectOf(PropTypes.string),
+    linkBundlesById: PropTypes.objectOf(
+        PropTypes.shape({
+            id: PropTypes.string.isRequired,
+            tableIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+            links: PropTypes.arrayOf(LINK_PROP_TYPE).isRequired,
+        }),
+    ).isRequired,
+    bundlePathsByBundleId: PropTypes.objectOf(PropTypes.string).isRequired,
     enabledLinksByType: PropTypes.shape({
         [FieldType.MULTIPLE_RECORD_LINKS]: PropTypes.boolean,
         [FieldType.FORMULA]: PropTypes.boolean,
@@ -55,4 +116,8 @@ LinkContainer.propTypes = {
         [FieldType.ROLLUP]: PropTypes.boolean,
         [FieldType.MULTIPLE_LOOKUP_VALUES]: PropTypes.boolean,
     }),
+    tableConfigsByTableId: PropTypes.objectOf(TABLE_CONFIG_PROP_TYPE).isRequired,
+    tableCoordsByTableId: PropTypes.objectOf(COORDS_PROP_TYPE).isRequired,
+    hiddenNodeIds: PropTypes.objectOf(PropTypes.bool).isRequired,
+    changeTypesById: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.string)).isRequired,
 };
@@ -0,0 +1,219 @@
+import React, {useContext, useEffect, useMemo, useRef} from 'react';
+import ReactDOM from 'react-dom';
+import PropTypes from 'prop-types';
+import {Box, colorUtils} from '@airtable/blocks/ui';
+
+import {SvgPanZoomContext, VIEWPORT_CHANGE_EVENT} from './SvgPanZoomWrapper';
+import {getVisibleBounds} from './panZoomHelpers';
+import {calculateTablesBounds, getTableHeight} from './coordinateHelpers';
+import {
+    COORDS_PROP_TYPE,
+    LINK_PROP_TYPE,
+    ROW_WIDTH,
+    TABLE_BORDER_WIDTH,
+    TABLE_CONFIG_PROP_TYPE,
+} from './constants';
+
+const MINIMAP_WIDTH = 200;
+const MINIMAP_HEIGHT = 140;
+// Space around the tables in the minimap, in diagram units
+const MINIMAP_PADDING = 100;
+
+/**
+ * Minimap component, giving an overview of the whole diagram in the bottom-right corner. Each
+ * table is drawn as a block in its header color, and links can be drawn too.
+ *
+ * The part of the diagram visible in the main canvas is outlined, and follows along as the canvas
+ * is panned & zoomed (@see VIEWPORT_CHANGE_EVENT). Clicking in the minimap centers the canvas on
+ * that point, and dragging pans the canvas along with the mouse. Since the outline changes on
+ * every pan, it's updated directly in the DOM rather than through React state. Tables being dragged
+ * are only moved in the minimap once they're dropped.
+ *
+ * Uses `ReactDOM#createPortal` to lift the HTMLElements out of SVG world.
+ *
+ * @param {Object} props.tableCoordsByTableId table x,y coordinates, by table id
+ * @param {Object} props.tableConfigsByTableId rendered table header & field nodes for each visible
+ *     table, by table id
+ * @param {Object} props.headerColorsByTableId table header color, by table id
+ * @param {Object} props.linksById all link objects, by id
+ * @param {Object} props.linkPathsByLinkId all link paths, by id
+ * @param {Object} props.enabledLinksByType whether each link type is enabled, by link type
+ * @param {boolean} props.shouldShowLinks whether links are drawn in the minimap
+ */
+export default function Minimap({
+    tableCoordsByTableId,
+    tableConfigsByTableId,
+    headerColorsByTableId,
+    linksById,
+    linkPathsByLinkId,
+    enabledLinksByType,
+    shouldShowLinks,
+}) {
+    const svgPanZoom = useContext(SvgPanZoomContext);
+    const minimapRef = useRef(null);
+    const visibleBoundsRef = useRef(null);
+
+    const tableIds = useMemo(
+        () => Object.keys(tableConfigsByTableId).filter(tableId => tableCoordsByTableId[tableId]),
+        [tableConfigsByTableId, tableCoordsByTableId],
+    );
+    const tablesBounds = calculateTablesBounds(
+        tableIds,
+        tableCoordsByTableId,
+        tableConfigsByTableId,
+    );
+
+    // Redrawing every table & link is only needed when the layout changes, not on every pan
+    const tableAndLinkElements = useMemo(
+        () => (
+            <g>
+                {shouldShowLinks &&
+                    Object.values(linksById).map(link =>
+                        enabledLinksByType[link.type] && linkPathsByLinkId[link.id] ? (
+                            <path
+                                key={link.id}
+                                className="MinimapLink"
+                                d={linkPathsByLinkId[link.id]}
+                            />
+                        ) : null,
+                    )}
+                {tableIds.map(tableId => (
+                    <rect
+                        key={tableId}
+                        x={tableCoordsByTableId[tableId].x}
+                        y={tableCoordsByTableId[tableId].y}
+                        width={ROW_WIDTH + 2 * TABLE_BORDER_WIDTH}
+                        height={getTableHeight(tableConfigsByTableId[tableId])}
+                        fill={colorUtils.getHexForColor(headerColorsByTableId[tableId])}
+                    />
+                ))}
+            </g>
+        ),
+        [
+            tableIds,
+            tableCoordsByTableId,
+            tableConfigsByTableId,
+            headerColorsByTableId,
+            linksById,
+            linkPathsByLinkId,
+            enabledLinksByType,
+            shouldShowLinks,
+        ],
+    );
+
+    const hasTables = tablesBounds !== null;
+    useEffect(() => {
+        if (!svgPanZoom) {
+            return undefined;
+        }
+        const rootElement = document.getElementById('root');
+        const updateVisibleBounds = () => {
+            const visibleBoundsElement = visibleBoundsRef.current;
+            if (!visibleBoundsElement) {
+                return;
+            }
+            const {x, y, width, height} = getVisibleBounds(svgPanZoom);
+            visibleBoundsElement.setAttribute('x', x);
+            visibleBoundsElement.setAttribute('y', y);
+            visibleBoundsElement.setAttribute('width', width);
+            visibleBoundsElement.setAttribute('height', height);
+        };
+
+        updateVisibleBounds();
+        rootElement.addEventListener(VIEWPORT_CHANGE_EVENT, updateVisibleBounds);
+        return () => rootElement.removeEventListener(VIEWPORT_CHANGE_EVENT, updateVisibleBounds);
+    }, [svgPanZoom, hasTables]);
+
+    if (!svgPanZoom || !hasTables) {
+        return null;
+    }
+
+    /**
+     * Mousedown handler to pan the main canvas. Pressing inside the outline of the visible part of
+     * the diagram drags the outline from where it was grabbed, and pressing anywhere else centers
+     * the canvas on that point first.
+     */
+    const onMouseDown = event => {
+        event.preventDefault();
+        // Converts the mouse position to diagram units, using the minimap's own transform
+        const getDiagramPoint = mouseEvent => {
+            const point = minimapRef.current.createSVGPoint();
+            point.x = mouseEvent.clientX;
+            point.y = mouseEvent.clientY;
+            return point.matrixTransform(minimapRef.current.getScreenCTM().inverse());
+        };
+
+        const visibleBounds = getVisibleBounds(svgPanZoom);
+        const startPoint = getDiagramPoint(event);
+        const isInsideVisibleBounds =
+            startPoint.x >= visibleBounds.x &&
+            startPoint.x <= visibleBounds.x + visibleBounds.width &&
+            startPoint.y >= visibleBounds.y &&
+            startPoint.y <= visibleBounds.y + visibleBounds.height;
+        const grabOffset = isInsideVisibleBounds
+            ? {
+                  x: startPoint.x - (visibleBounds.x + visibleBounds.width / 2),
+                  y: startPoint.y - (visibleBounds.y + visibleBounds.height / 2),
+              }
+            : {x: 0, y: 0};
+
+        const centerOnPoint = point => {
+            const {width, height, realZoom} = svgPanZoom.getSizes();
+            svgPanZoom.pan({
+                x: width / 2 - (point.x - grabOffset.x) * realZoom,
+                y: height / 2 - (point.y - grabOffset.y) * realZoom,
+            });
+        };
+        centerOnPoint(startPoint);
+
+        const mouseMoveHandler = mouseMoveEvent => centerOnPoint(getDiagramPoint(mouseMoveEvent));
+        const mouseUpHandler = () => {
+            window.removeEventListener('mousemove', mouseMoveHandler);
+            window.removeEventListener('mouseup', mouseUpHandler);
+        };
+        window.addEventListener('mousemove', mouseMoveHandler);
+        window.addEventListener('mouseup', mouseUpHandler);
+    };
+
+    return ReactDOM.createPortal(
+        <Box
+            position="absolute"
+            bottom={0}
+            right={0}
+            margin={2}
+            backgroundColor="white"
+            borderRadius="large"
+            border="default"
+            overflow="hidden"
+        >
+            <svg
+                ref={minimapRef}
+                className="Minimap"
+                width={MINIMAP_WIDTH}
+                height={MINIMAP_HEIGHT}
+                viewBox={[
+                    tablesBounds.x - MINIMAP_PADDING,
+                    tablesBounds.y - MINIMAP_PADDING,
+                    tablesBounds.width + 2 * MINIMAP_PADDING,
+                    tablesBounds.height + 2 * MINIMAP_PADDING,
+                ].join(' ')}
+                aria-hidden="true"
+                onMouseDown={onMouseDown}
+            >
+                {tableAndLinkElements}
+                <rect ref={visibleBoundsRef} className="MinimapVisibleBounds" />
+            </svg>
+        </Box>,
+        document.getElementById('index'),
+    );
+}
+
+Minimap.propTypes = {
+    tableCoordsByTableId: PropTypes.objectOf(COORDS_PROP_TYPE).isRequired,
+    tableConfigsByTableId: PropTypes.objectOf(TABLE_CONFIG_PROP_TYPE).isRequired,
+    headerColorsByTableId: PropTypes.objectOf(PropTypes.string).isRequired,
+    linksById: PropTypes.objectOf(LINK_PROP_TYPE).isRequired,
+    linkPathsByLinkId: PropTypes.objectOf(PropTypes.string).isRequired,
+    enabledLinksByType: PropTypes.objectOf(PropTypes.bool).isRequired,
+    shouldShowLinks: PropTypes.bool.isRequired,
+};
@@ -0,0 +1,194 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import PropTypes from 'prop-types';
+import {Box, Button, Heading, Label, Text, colorUtils, colors} from '@airtable/blocks/ui';
+
+import FullscreenBox from './FullscreenBox';
+import {useNavigateToNode} from './ViewportCullingWrapper';
+import {ChangeTypes, CHANGE_TYPE_COLORS} from './snapshotHelpers';
+import {
+    FIELD_LABELS_BY_TYPE,
+    LINK_LABELS_BY_TYPE,
+    LINK_PROP_TYPE,
+    NODE_PROP_TYPE,
+} from './constants';
+
+const CHANGE_TYPE_LABELS = Object.freeze({
+    [ChangeTypes.ADDED]: 'Added',
+    [ChangeTypes.REMOVED]: 'Removed',
+    [ChangeTypes.RENAMED]: 'Renamed',
+    [ChangeTypes.RETYPED]: 'Type changed',
+});
+
+/**
+ * Returns the name of a node, prefixed with its table name if it's a field.
+ *
+ * @param {Object} node
+ * @returns {string}
+ */
+function getNodeLabel(node) {
+    return node.type === 'table' ? node.name : `${node.tableName}: ${node.name}`;
+}
+
+/**
+ * Returns the name of a changed table, field or link.
+ *
+ * @param {Object} change (@see diffSchema)
+ * @param {Object} nodesById all nodes (field or table header), by node id
+ * @param {Object} linksById all link objects, by id
+ * @returns {string}
+ */
+function getChangeName({id, itemType}, nodesById, linksById) {
+    if (itemType === 'link') {
+        const {sourceId, targetId} = linksById[id];
+        return `${getNodeLabel(nodesById[sourceId])} → ${getNodeLabel(nodesById[targetId])}`;
+    }
+    return getNodeLabel(nodesById[id]);
+}
+
+/**
+ * Returns what a changed table, field or link was before the change, if anything.
+ *
+ * @param {Object} change (@see diffSchema)
+ * @param {Object} linksById all link objects, by id
+ * @returns {string|null}
+ */
+function getChangeDetail({id, itemType, changeType, previousValue}, linksById) {
+    switch (changeType) {
+        case ChangeTypes.RENAMED:
+            return `Was "${previousValue}"`;
+        case ChangeTypes.RETYPED:
+            return `Was ${
+                (itemType === 'link' ? LINK_LABELS_BY_TYPE : FIELD_LABELS_BY_TYPE)[previousValue] ||
+                previousValue
+            }`;
+        default:
+            return itemType === 'link' ? linksById[id].tooltipLabel : null;
+    }
+}
+
+/**
+ * Schema diff panel component, listing every change to the schema since the compared snapshot.
+ * Changes are grouped by type, and clicking a change navigates to it in the diagram. Uses
+ * `ReactDOM#createPortal` to lift the HTMLElements out of SVG world.
+ *
+ * @param {Object} props.comparedSnapshot snapshot the schema is compared against
+ * @param {Array<Object>} props.changes changes since the snapshot (@see diffSchema)
+ * @param {Object} props.nodesById all nodes (field or table header), by node id
+ * @param {Object} props.linksById all link objects, by id
+ * @param {Function} props.onStopComparing
+ */
+export default function SchemaDiffPanel({
+    comparedSnapshot,
+    changes,
+    nodesById,
+    linksById,
+    onStopComparing,
+}) {
+    const navigateToNode = useNavigateToNode();
+
+    const selectChange = ({id, itemType}) => {
+        navigateToNode(itemType === 'link' ? linksById[id] : nodesById[id]);
+    };
+
+    return ReactDOM.createPortal(
+        <FullscreenBox
+            right="initial" // show the changes in left sidebar
+            width="320px"
+            backgroundColor="white"
+            display="flex"
+            flexDirection="column"
+            borderRight="thick"
+        >
+            <Box flex="auto" overflow="auto" padding={3}>
+                <Heading marginBottom={1}>Changes since {comparedSnapshot.name}</Heading>
+                <Text textColor="light" marginBottom={3}>
+                    Snapshot taken {new Date(comparedSnapshot.createdTime).toLocaleString()}
+                </Text>
+                {changes.length === 0 && <Text>No changes.</Text>}
+                {Object.values(ChangeTypes).map(changeType => {
+                    const changesOfType = changes.filter(
+                        change => change.changeType === changeType,
+                    );
+                    if (changesOfType.length === 0) {
+                        return null;
+                    }
+                    return (
+                        <Box key={changeType} marginBottom={3}>
+                            <Box display="flex" alignItems="center" marginBottom={1}>
+                                <Box
+                                    flex="none"
+                                    width="12px"
+                                    height="12px"
+                                    marginRight={2}
+                                    borderRadius="default"
+                                    style={{
+                                        backgroundColor: colorUtils.getHexForColor(
+                                            CHANGE_TYPE_COLORS[changeType].color,
+                                        ),
+                                    }}
+                                />
+                                <Label marginBottom={0}>
+                                    {CHANGE_TYPE_LABELS[changeType]} ({changesOfType.length})
+                                </Label>
+                            </Box>
+                            {changesOfType.map(change => {
+                                const detail = getChangeDetail(change, linksById);
+                                return (
+                                    <Box
+                                        key={change.id}
+                                        paddingY={1}
+                                        paddingX={2}
+                                        marginX={-2}
+                                        borderRadius="default"
+                                        style={{cursor: 'pointer'}}
+                                        onClick={() => selectChange(change)}
+                                    >
+                                        <Text textColor={colors.BLUE_DARK_1}>
+                                            {getChangeName(change, nodesById, linksById)}
+                                        </Text>
+                                        {detail && (
+                                            <Text size="small" textColor="light">
+                                                {detail}
+                                            </Text>
+                                        )}
+                                    </Box>
+                                );
+                            })}
+                        </Box>
+                    );
+                })}
+            </Box>
+            <Box
+                flex="none"
+                borderTop="thick"
+                display="flex"
+                justifyContent="flex-end"
+                alignItems="center"
+            >
+                <Button margin={3} variant="primary" size="large" onClick={onStopComparing}>
+                    Stop comparing
+                </Button>
+            </Box>
+        </FullscreenBox>,
+        document.getElementById('index'),
+    );
+}
+
+SchemaDiffPanel.propTypes = {
+    comparedSnapshot: PropTypes.shape({
+        name: PropTypes.string.isRequired,
+        createdTime: PropTypes.number.isRequired,
+    }).isRequired,
+    changes: PropTypes.arrayOf(
+        PropTypes.shape({
+            id: PropTypes.string.isRequired,
+            itemType: PropTypes.oneOf(['table', 'field', 'link']).isRequired,
+            changeType: PropTypes.oneOf(Object.values(ChangeTypes)).isRequired,
+            previousValue: PropTypes.string,
+        }),
+    ).isRequired,
+    nodesById: PropTypes.objectOf(NODE_PROP_TYPE).isRequired,
+    linksById: PropTypes.objectOf(LINK_PROP_TYPE).isRequired,
+    onStopComparing: PropTypes.func.isRequired,
+};
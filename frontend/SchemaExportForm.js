@@ -0,0 +1,89 @@
+import React, {useMemo, useRef, useState} from 'react';
+import {base} from '@airtable/blocks';
+import {Box, Button, FormField, SelectButtons} from '@airtable/blocks/ui';
+import PropTypes from 'prop-types';
+
+import exportSchema, {SchemaExportFormats, SCHEMA_EXPORT_FILE_EXTENSIONS} from './exportSchema';
+import {downloadBlob} from './exportDiagram';
+import {FONT_SIZE} from './constants';
+
+const SCHEMA_EXPORT_FORMAT_OPTIONS = [
+    {value: SchemaExportFormats.MERMAID, label: 'Mermaid'},
+    {value: SchemaExportFormats.DBML, label: 'DBML'},
+    {value: SchemaExportFormats.DOT, label: 'DOT'},
+    {value: SchemaExportFormats.JSON, label: 'JSON'},
+];
+
+/**
+ * Schema export form component.
+ * Shows the parsed schema serialized in the chosen text format, which can be copied or downloaded.
+ *
+ * @param {Object} props.settings positioning information for the nodes and links (@see useSettings)
+ */
+export default function SchemaExportForm({settings}) {
+    const {tableConfigsByTableId, linksById, nodesById, enabledLinksByType} = settings;
+    const [format, setFormat] = useState(SchemaExportFormats.MERMAID);
+    const textAreaRef = useRef(null);
+
+    const exportedSchema = useMemo(
+        () =>
+            exportSchema(format, {
+                tableConfigsByTableId,
+                linksById,
+                nodesById,
+                enabledLinksByType,
+            }),
+        [format, tableConfigsByTableId, linksById, nodesById, enabledLinksByType],
+    );
+
+    // The clipboard API isn't always available inside the app's iframe, so copy via selection.
+    const copyToClipboard = () => {
+        textAreaRef.current.select();
+        document.execCommand('copy');
+    };
+
+    const download = () => {
+        downloadBlob(
+            new Blob([exportedSchema], {type: 'text/plain'}),
+            `${base.name} schema.${SCHEMA_EXPORT_FILE_EXTENSIONS[format]}`,
+        );
+    };
+
+    return (
+        <Box>
+            <FormField label="Format">
+                <SelectButtons
+                    options={SCHEMA_EXPORT_FORMAT_OPTIONS}
+                    value={format}
+                    onChange={setFormat}
+                />
+            </FormField>
+            <textarea
+                ref={textAreaRef}
+                readOnly
+                value={exportedSchema}
+                rows={10}
+                style={{
+                    width: '100%',
+                    boxSizing: 'border-box',
+                    fontFamily: 'monospace',
+                    fontSize: FONT_SIZE,
+                    whiteSpace: 'pre',
+                    resize: 'vertical',
+                }}
+            />
+            <Box display="flex" marginTop={2}>
+                <Button icon="clipboard" marginRight={2} onClick={copyToClipboard}>
+                    Copy
+                </Button>
+                <Button icon="download" onClick={download}>
+                    Download
+                </Button>
+            </Box>
+        </Box>
+    );
+}
+
+SchemaExportForm.propTypes = {
+    settings: PropTypes.object.isRequired,
+};
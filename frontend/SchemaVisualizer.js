@@ -1,53 +1,183 @@
 import React from 'react';
+import PropTypes from 'prop-types';
 
 import TableContainer from './TableContainer';
+import GroupFrameContainer from './GroupFrameContainer';
+import ColorLegend from './ColorLegend';
 import LinkContainer from './LinkContainer';
 import SvgPanZoomWrapper from './SvgPanZoomWrapper';
+import ViewportCullingWrapper from './ViewportCullingWrapper';
 import HighlightWrapper from './HighlightWrapper';
 import DragWrapper from './DragWrapper';
-import useSettings from './settings';
 import FullscreenBox from './FullscreenBox';
+import SearchOverlay from './SearchOverlay';
+import FieldInspector from './FieldInspector';
+import SchemaDiffPanel from './SchemaDiffPanel';
+import HealthPanel from './HealthPanel';
+import DeletionImpactPanel from './DeletionImpactPanel';
+import CanvasGrid from './CanvasGrid';
+import DiagramToolbar from './DiagramToolbar';
+import Minimap from './Minimap';
 
-export default function SchemaVisualizer() {
+// Shared empty value for when the schema isn't being compared against a snapshot
+const NO_CHANGES = Object.freeze({});
+
+/**
+ * Renders the schema diagram: tables, and the links between their fields. When comparing against a
+ * snapshot, changes since the snapshot are marked in the diagram and listed in a side panel.
+ *
+ * @param {Object} props.settings positioning information for the nodes and links (@see useSettings)
+ * @param {boolean} props.shouldShowHealthPanel whether the health report is shown
+ * @param {Function} props.setShouldShowHealthPanel Function to toggle health panel visibility
+ */
+export default function SchemaVisualizer({
+    settings,
+    shouldShowHealthPanel,
+    setShouldShowHealthPanel,
+}) {
     const {
+        activeLayoutId,
         nodesById,
         linksById,
         linkPathsByLinkId,
         dependentLinksByNodeId,
-        tableCoordsByTableId,
         tableConfigsByTableId,
+        tableCoordsByTableId,
+        savedTableCoordsByTableId,
+        tableDisplayModesByTableId,
+        hiddenNodeIds,
+        groupsById,
+        headerColorsByTableId,
+        headerColorLegendItems,
+        renderedTableConfigsByTableId,
         enabledLinksByType,
-    } = useSettings();
+        linkRouting,
+        linkBundlesById,
+        bundlePathsByBundleId,
+        gridOptions,
+        shouldShowAlignmentGuides,
+        shouldShowMinimapLinks,
+        comparedSnapshot,
+        setComparedSnapshot,
+        schemaDiff,
+        baseSchema,
+    } = settings;
+    const changeTypesById = schemaDiff ? schemaDiff.changeTypesById : NO_CHANGES;
 
     return (
         <FullscreenBox>
-            <svg id="root" className="SchemaVisualizer" width="100%" height="100%">
+            <svg
+                id="root"
+                className="SchemaVisualizer"
+                width="100%"
+                height="100%"
+                tabIndex={0}
+                role="application"
+                aria-label="Schema diagram"
+                aria-describedby="root-instructions"
+            >
+                <desc id="root-instructions">
+                    Press Tab to move between tables, and the arrow keys to move between fields and
+                    nearby tables. Press Enter on a field to highlight its dependencies. Hold Shift
+                    and press the arrow keys to move a table. Press plus or minus to zoom, and 0 to
+                    fit the diagram in view.
+                </desc>
                 <SvgPanZoomWrapper>
-                    <HighlightWrapper
-                        dependentLinksByNodeId={dependentLinksByNodeId}
-                        nodesById={nodesById}
-                        linksById={linksById}
-                    >
-                        <DragWrapper
+                    <ViewportCullingWrapper>
+                        <HighlightWrapper
                             dependentLinksByNodeId={dependentLinksByNodeId}
+                            nodesById={nodesById}
+                            linksById={linksById}
                             tableConfigsByTableId={tableConfigsByTableId}
-                            tableCoordsByTableId={tableCoordsByTableId}
                         >
-                            <LinkContainer
+                            {gridOptions.shouldShow && <CanvasGrid gridSize={gridOptions.size} />}
+                            <SearchOverlay nodesById={nodesById} />
+                            <Minimap
+                                tableCoordsByTableId={tableCoordsByTableId}
+                                tableConfigsByTableId={renderedTableConfigsByTableId}
+                                headerColorsByTableId={headerColorsByTableId}
                                 linksById={linksById}
                                 linkPathsByLinkId={linkPathsByLinkId}
                                 enabledLinksByType={enabledLinksByType}
+                                shouldShowLinks={shouldShowMinimapLinks}
                             />
-                            <TableContainer
-                                tableConfigsByTableId={tableConfigsByTableId}
-                                tableCoordsByTableId={tableCoordsByTableId}
+                            <FieldInspector
+                                nodesById={nodesById}
+                                dependentLinksByNodeId={dependentLinksByNodeId}
                             />
-                        </DragWrapper>
-                    </HighlightWrapper>
+                            <DeletionImpactPanel nodesById={nodesById} />
+                            {schemaDiff && (
+                                <SchemaDiffPanel
+                                    comparedSnapshot={comparedSnapshot}
+                                    changes={schemaDiff.changes}
+                                    nodesById={nodesById}
+                                    linksById={linksById}
+                                    onStopComparing={() => setComparedSnapshot(null)}
+                                />
+                            )}
+                            {shouldShowHealthPanel && (
+                                <HealthPanel
+                                    baseSchema={baseSchema}
+                                    onClose={() => setShouldShowHealthPanel(false)}
+                                />
+                            )}
+                            <DragWrapper
+                                activeLayoutId={activeLayoutId}
+                                dependentLinksByNodeId={dependentLinksByNodeId}
+                                hiddenNodeIds={hiddenNodeIds}
+                                groupsById={groupsById}
+                                linkRouting={linkRouting}
+                                linkBundlesById={linkBundlesById}
+                                gridOptions={gridOptions}
+                                shouldShowAlignmentGuides={shouldShowAlignmentGuides}
+                                tableConfigsByTableId={renderedTableConfigsByTableId}
+                                tableCoordsByTableId={tableCoordsByTableId}
+                                savedTableCoordsByTableId={savedTableCoordsByTableId}
+                            >
+                                <DiagramToolbar
+                                    tableCoordsByTableId={tableCoordsByTableId}
+                                    tableConfigsByTableId={renderedTableConfigsByTableId}
+                                />
+                                <GroupFrameContainer
+                                    groupsById={groupsById}
+                                    tableConfigsByTableId={renderedTableConfigsByTableId}
+                                    tableCoordsByTableId={tableCoordsByTableId}
+                                />
+                                <LinkContainer
+                                    linksById={linksById}
+                                    linkPathsByLinkId={linkPathsByLinkId}
+                                    linkBundlesById={linkBundlesById}
+                                    bundlePathsByBundleId={bundlePathsByBundleId}
+                                    enabledLinksByType={enabledLinksByType}
+                                    tableConfigsByTableId={renderedTableConfigsByTableId}
+                                    tableCoordsByTableId={tableCoordsByTableId}
+                                    hiddenNodeIds={hiddenNodeIds}
+                                    changeTypesById={changeTypesById}
+                                />
+                                <TableContainer
+                                    activeLayoutId={activeLayoutId}
+                                    tableConfigsByTableId={renderedTableConfigsByTableId}
+                                    tableCoordsByTableId={tableCoordsByTableId}
+                                    savedTableCoordsByTableId={savedTableCoordsByTableId}
+                                    tableDisplayModesByTableId={tableDisplayModesByTableId}
+                                    headerColorsByTableId={headerColorsByTableId}
+                                    changeTypesById={changeTypesById}
+                                    nodesById={nodesById}
+                                    dependentLinksByNodeId={dependentLinksByNodeId}
+                                    gridSize={gridOptions.size}
+                                />
+                            </DragWrapper>
+                        </HighlightWrapper>
+                    </ViewportCullingWrapper>
                 </SvgPanZoomWrapper>
             </svg>
+            <ColorLegend legendItems={headerColorLegendItems} />
         </FullscreenBox>
     );
 }
 
-SchemaVisualizer.propTypes = {};
+SchemaVisualizer.propTypes = {
+    settings: PropTypes.object.isRequired,
+    shouldShowHealthPanel: PropTypes.bool.isRequired,
+    setShouldShowHealthPanel: PropTypes.func.isRequired,
+};
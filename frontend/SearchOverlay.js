@@ -0,0 +1,169 @@
+import React, {useState, useContext, useMemo} from 'react';
+import ReactDOM from 'react-dom';
+import PropTypes from 'prop-types';
+import {Box, Icon, Input, Text, colors} from '@airtable/blocks/ui';
+
+import {SvgPanZoomContext} from './SvgPanZoomWrapper';
+import {useNavigateToNode} from './ViewportCullingWrapper';
+import {HighlightContext} from './HighlightWrapper';
+import {NODE_PROP_TYPE} from './constants';
+
+const MAX_NUM_RESULTS = 10;
+
+/**
+ * Scores how well a query fuzzy-matches some text. Every character of the query must appear in the
+ * text, in order (but not necessarily consecutively). Consecutive matches, and matches at the start
+ * of words, score higher. Returns null if the query doesn't match.
+ *
+ * @param {string} query lower-cased query
+ * @param {string} text text to match against
+ * @returns {number | null}
+ */
+function getFuzzyMatchScore(query, text) {
+    const lowerCaseText = text.toLowerCase();
+    if (lowerCaseText === query) {
+        return Infinity;
+    }
+
+    let score = 0;
+    let textIndex = 0;
+    let previousMatchIndex = -2;
+    for (const character of query) {
+        const matchIndex = lowerCaseText.indexOf(character, textIndex);
+        if (matchIndex === -1) {
+            return null;
+        }
+        score += 1;
+        if (matchIndex === previousMatchIndex + 1) {
+            score += 2;
+        }
+        if (matchIndex === 0 || /[\s_\-.]/.test(lowerCaseText[matchIndex - 1])) {
+            score += 3;
+        }
+        previousMatchIndex = matchIndex;
+        textIndex = matchIndex + 1;
+    }
+    // Prefer shorter names when the match is otherwise equally good
+    return score - lowerCaseText.length / 100;
+}
+
+/**
+ * Search box for finding tables and fields in the diagram.
+ *
+ * Shows a list of nodes whose name fuzzy-matches the query. Choosing a result zooms to that node
+ * and highlights it, along with its dependent links. Uses `ReactDOM#createPortal` to lift the
+ * HTMLElements out of SVG world.
+ *
+ * @param {Object} props.nodesById all nodes (field or table header), by node id
+ */
+export default function SearchOverlay({nodesById}) {
+    const svgPanZoom = useContext(SvgPanZoomContext);
+    const navigateToNode = useNavigateToNode();
+    const {highlightNode} = useContext(HighlightContext);
+    const [query, setQuery] = useState('');
+    const [activeResultIndex, setActiveResultIndex] = useState(0);
+
+    const results = useMemo(() => {
+        const trimmedQuery = query.trim().toLowerCase();
+        if (!trimmedQuery) {
+            return [];
+        }
+        const scoredNodes = [];
+        for (const node of Object.values(nodesById)) {
+            const score = getFuzzyMatchScore(trimmedQuery, node.name);
+            if (score !== null) {
+                scoredNodes.push({node, score});
+            }
+        }
+        scoredNodes.sort((a, b) => b.score - a.score);
+        return scoredNodes.slice(0, MAX_NUM_RESULTS).map(({node}) => node);
+    }, [query, nodesById]);
+
+    const selectNode = node => {
+        navigateToNode(node);
+        highlightNode(node.id);
+        setQuery('');
+    };
+
+    const onKeyDown = event => {
+        if (event.key === 'ArrowDown') {
+            event.preventDefault();
+            setActiveResultIndex(Math.min(activeResultIndex + 1, results.length - 1));
+        } else if (event.key === 'ArrowUp') {
+            event.preventDefault();
+            setActiveResultIndex(Math.max(activeResultIndex - 1, 0));
+        } else if (event.key === 'Enter' && results[activeResultIndex]) {
+            selectNode(results[activeResultIndex]);
+        } else if (event.key === 'Escape') {
+            setQuery('');
+        }
+    };
+
+    // The portal container is rendered in the same commit as the diagram, so wait for svgPanZoom,
+    // which is only set up once the diagram has mounted
+    if (!svgPanZoom) {
+        return null;
+    }
+
+    return ReactDOM.createPortal(
+        <Box position="absolute" top={0} left={0} margin={2} width="280px">
+            <div onKeyDown={onKeyDown}>
+                <Input
+                    value={query}
+                    onChange={event => {
+                        setQuery(event.target.value);
+                        setActiveResultIndex(0);
+                    }}
+                    placeholder="Find tables and fields"
+                />
+            </div>
+            {results.length > 0 && (
+                <Box
+                    marginTop={1}
+                    backgroundColor="white"
+                    borderRadius="large"
+                    border="default"
+                    overflow="hidden"
+                >
+                    {results.map((node, index) => (
+                        <Box
+                            key={node.id}
+                            display="flex"
+                            alignItems="center"
+                            paddingX={2}
+                            paddingY={1}
+                            backgroundColor={
+                                index === activeResultIndex ? colors.GRAY_LIGHT_2 : undefined
+                            }
+                            style={{cursor: 'pointer'}}
+                            onMouseEnter={() => setActiveResultIndex(index)}
+                            onClick={() => selectNode(node)}
+                        >
+                            <Icon
+                                name={node.type === 'table' ? 'grid' : 'text'}
+                                size={12}
+                                marginRight={2}
+                                flex="none"
+                            />
+                            <Box flex="auto" minWidth={0}>
+                                <Text fontWeight={node.type === 'table' ? 600 : undefined}>
+                                    {node.name}
+                                </Text>
+                                {node.type === 'field' && (
+                                    <Text size="small" textColor="light">
+                                        {node.tableName}
+                                    </Text>
+                                )}
+                            </Box>
+                        </Box>
+                    ))}
+                </Box>
+            )}
+        </Box>,
+        document.getElementById('index'),
+    );
+}
+
+SearchOverlay.propTypes = {
+    nodesById: PropTypes.objectOf(NODE_PROP_TYPE).isRequired,
+};
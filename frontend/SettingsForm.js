@@ -1,18 +1,122 @@
-import React from 'react';
-import {Box, Button, Heading, SwitchSynced} from '@airtable/blocks/ui';
+import React, {useContext, useState} from 'react';
+import {base} from '@airtable/blocks';
+import {
+    Box,
+    Button,
+    FormField,
+    Heading,
+    Select,
+    SelectButtons,
+    SwitchSynced,
+    Text,
+    useGlobalConfig,
+} from '@airtable/blocks/ui';
 import {FieldType} from '@airtable/blocks/models';
+import _ from 'lodash';
 import PropTypes from 'prop-types';
 
 import FullscreenBox from './FullscreenBox';
-import {ConfigKeys} from './settings';
+import {ConfigKeys, getLayoutConfigPath, LayoutKeys} from './settings';
+import {LinkRoutings} from './coordinateHelpers';
+import {calculateAutoLayout, LayoutAlgorithms} from './layoutHelpers';
+import {exportDiagram, ExportFormats} from './exportDiagram';
+import SchemaExportForm from './SchemaExportForm';
+import LayoutPicker from './LayoutPicker';
+import VisibilityManager from './VisibilityManager';
+import GroupManager from './GroupManager';
+import HeaderColorForm from './HeaderColorForm';
+import SnapshotManager from './SnapshotManager';
+import {LayoutHistoryContext} from './LayoutHistoryWrapper';
+
+const LINK_ROUTING_OPTIONS = [
+    {value: LinkRoutings.CURVED, label: 'Curved'},
+    {value: LinkRoutings.ORTHOGONAL, label: 'Orthogonal'},
+];
+const LAYOUT_ALGORITHM_OPTIONS = [
+    {value: LayoutAlgorithms.LAYERED, label: 'Layered'},
+    {value: LayoutAlgorithms.FORCE_DIRECTED, label: 'Force-directed'},
+];
+const LAYOUT_SPACING_OPTIONS = [
+    {value: 25, label: 'Compact'},
+    {value: 50, label: 'Normal'},
+    {value: 100, label: 'Spacious'},
+];
+const GRID_SIZE_OPTIONS = [
+    {value: 10, label: 'Small'},
+    {value: 20, label: 'Normal'},
+    {value: 40, label: 'Large'},
+];
+const EXPORT_FORMAT_OPTIONS = [
+    {value: ExportFormats.SVG, label: 'SVG'},
+    {value: ExportFormats.PNG, label: 'PNG'},
+];
+const EXPORT_SCALE_OPTIONS = [
+    {value: 1, label: '1x'},
+    {value: 2, label: '2x'},
+    {value: 4, label: '4x'},
+];
 
 /**
  * Settings form component.
- * Allows the user to toggle link types.
+ * Allows the user to switch between saved layouts, to toggle link types and choose how links are
+ * drawn, to choose which tables and fields are shown, to group tables, to color table headers, to
+ * auto-arrange the tables, to choose how tables snap into place while dragging, to export the
+ * diagram and the schema, to check the health of the schema, and to compare the schema against
+ * earlier snapshots.
  *
+ * @param {Object} props.settings positioning information for the nodes and links (@see useSettings)
  * @param {Function} props.setShouldShowSettings Function to toggle settings visibility
+ * @param {Function} props.setShouldShowHealthPanel Function to toggle health panel visibility
  */
-export default function SettingsForm({setShouldShowSettings}) {
+export default function SettingsForm({settings, setShouldShowSettings, setShouldShowHealthPanel}) {
+    const globalConfig = useGlobalConfig();
+    const {setLayoutPathsAsync} = useContext(LayoutHistoryContext);
+    const {
+        activeLayoutId,
+        autoLayoutOptions,
+        renderedTableConfigsByTableId,
+        savedTableCoordsByTableId,
+        linksById,
+    } = settings;
+    const canSetLayout = globalConfig.hasPermissionToSet();
+    const enabledLinksConfigPath = getLayoutConfigPath(
+        activeLayoutId,
+        LayoutKeys.ENABLED_LINKS_BY_TYPE,
+    );
+    const [exportFormat, setExportFormat] = useState(ExportFormats.SVG);
+    const [exportScale, setExportScale] = useState(2);
+    const [exportErrorMessage, setExportErrorMessage] = useState(null);
+
+    // Overwrite the persisted table coordinates with the output of the layout engine. This can be
+    // undone, like dragging tables.
+    const autoArrangeTables = () => {
+        // Only visible tables are arranged; hidden tables keep their coords. Tables removed since a
+        // compared snapshot aren't persisted, so they're left out.
+        const tableCoordsByTableId = {
+            ...savedTableCoordsByTableId,
+            ...calculateAutoLayout(
+                _.pick(renderedTableConfigsByTableId, Object.keys(savedTableCoordsByTableId)),
+                linksById,
+                autoLayoutOptions,
+            ),
+        };
+        setLayoutPathsAsync([
+            {
+                path: getLayoutConfigPath(activeLayoutId, LayoutKeys.TABLE_COORDS_BY_TABLE_ID),
+                value: tableCoordsByTableId,
+            },
+        ]);
+    };
+
+    const downloadDiagram = async () => {
+        setExportErrorMessage(null);
+        try {
+            await exportDiagram(`${base.name} schema`, exportFormat, exportScale);
+        } catch (error) {
+            setExportErrorMessage(error.message);
+        }
+    };
+
     return (
         <FullscreenBox
             left="initial" // show settings in right sidebar
@@ -25,37 +129,175 @@ export default function SettingsForm({setShouldShowSettings}) {
             <Box flex="auto" display="flex" justifyContent="center" overflow="auto">
                 <Box paddingTop={4} paddingBottom={2} maxWidth={300} flex="auto">
                     <Heading marginBottom={2}>Settings</Heading>
+                    <LayoutPicker settings={settings} />
                     <SwitchSynced
                         marginY={3}
                         label="Show linked record relationships"
                         globalConfigKey={[
-                            ConfigKeys.ENABLED_LINKS_BY_TYPE,
+                            ...enabledLinksConfigPath,
                             FieldType.MULTIPLE_RECORD_LINKS,
                         ]}
                     />
                     <SwitchSynced
                         marginY={3}
                         label="Show formula relationships"
-                        globalConfigKey={[ConfigKeys.ENABLED_LINKS_BY_TYPE, FieldType.FORMULA]}
+                        globalConfigKey={[...enabledLinksConfigPath, FieldType.FORMULA]}
                     />
                     <SwitchSynced
                         marginY={3}
                         label="Show rollup relationships"
-                        globalConfigKey={[ConfigKeys.ENABLED_LINKS_BY_TYPE, FieldType.ROLLUP]}
+                        globalConfigKey={[...enabledLinksConfigPath, FieldType.ROLLUP]}
                     />
                     <SwitchSynced
                         marginY={3}
                         label="Show lookup relationships"
                         globalConfigKey={[
-                            ConfigKeys.ENABLED_LINKS_BY_TYPE,
+                            ...enabledLinksConfigPath,
                             FieldType.MULTIPLE_LOOKUP_VALUES,
                         ]}
                     />
                     <SwitchSynced
                         marginY={3}
                         label="Show count relationships"
-                        globalConfigKey={[ConfigKeys.ENABLED_LINKS_BY_TYPE, FieldType.COUNT]}
+                        globalConfigKey={[...enabledLinksConfigPath, FieldType.COUNT]}
+                    />
+                    <FormField label="Link style">
+                        <SelectButtons
+                            options={LINK_ROUTING_OPTIONS}
+                            value={settings.linkRouting}
+                            onChange={value =>
+                                globalConfig.setAsync(ConfigKeys.LINK_ROUTING, value)
+                            }
+                            disabled={!canSetLayout}
+                        />
+                    </FormField>
+                    {settings.linkRouting === LinkRoutings.CURVED && (
+                        <SwitchSynced
+                            marginY={3}
+                            label="Bundle links between the same tables"
+                            globalConfigKey={ConfigKeys.SHOULD_BUNDLE_LINKS}
+                        />
+                    )}
+                    <SwitchSynced
+                        marginY={3}
+                        label="Show links in the minimap"
+                        globalConfigKey={ConfigKeys.SHOULD_SHOW_MINIMAP_LINKS}
+                    />
+                    <Heading size="small" marginTop={4} marginBottom={2}>
+                        Visible tables and fields
+                    </Heading>
+                    <VisibilityManager settings={settings} />
+                    <Heading size="small" marginTop={4} marginBottom={2}>
+                        Groups
+                    </Heading>
+                    <GroupManager settings={settings} />
+                    <Heading size="small" marginTop={4} marginBottom={2}>
+                        Header colors
+                    </Heading>
+                    <HeaderColorForm settings={settings} />
+                    <Heading size="small" marginTop={4} marginBottom={2}>
+                        Layout
+                    </Heading>
+                    <FormField label="Algorithm">
+                        <SelectButtons
+                            options={LAYOUT_ALGORITHM_OPTIONS}
+                            value={autoLayoutOptions.algorithm}
+                            onChange={value =>
+                                globalConfig.setAsync(
+                                    [ConfigKeys.AUTO_LAYOUT_OPTIONS, 'algorithm'],
+                                    value,
+                                )
+                            }
+                            disabled={!canSetLayout}
+                        />
+                    </FormField>
+                    <FormField label="Spacing">
+                        <Select
+                            options={LAYOUT_SPACING_OPTIONS}
+                            value={autoLayoutOptions.spacing}
+                            onChange={value =>
+                                globalConfig.setAsync(
+                                    [ConfigKeys.AUTO_LAYOUT_OPTIONS, 'spacing'],
+                                    value,
+                                )
+                            }
+                            disabled={!canSetLayout}
+                        />
+                    </FormField>
+                    <Button icon="grid" onClick={autoArrangeTables} disabled={!canSetLayout}>
+                        Auto-arrange
+                    </Button>
+                    <SwitchSynced
+                        marginTop={4}
+                        marginBottom={3}
+                        label="Snap tables to the grid"
+                        globalConfigKey={[ConfigKeys.GRID_OPTIONS, 'shouldSnap']}
+                    />
+                    <SwitchSynced
+                        marginY={3}
+                        label="Show the grid"
+                        globalConfigKey={[ConfigKeys.GRID_OPTIONS, 'shouldShow']}
+                    />
+                    <FormField label="Grid size">
+                        <SelectButtons
+                            options={GRID_SIZE_OPTIONS}
+                            value={settings.gridOptions.size}
+                            onChange={value =>
+                                globalConfig.setAsync([ConfigKeys.GRID_OPTIONS, 'size'], value)
+                            }
+                            disabled={!canSetLayout}
+                        />
+                    </FormField>
+                    <SwitchSynced
+                        marginY={3}
+                        label="Line tables up with each other while dragging"
+                        globalConfigKey={ConfigKeys.SHOULD_SHOW_ALIGNMENT_GUIDES}
                     />
+                    <Heading size="small" marginTop={4} marginBottom={2}>
+                        Export diagram
+                    </Heading>
+                    <FormField label="Format">
+                        <SelectButtons
+                            options={EXPORT_FORMAT_OPTIONS}
+                            value={exportFormat}
+                            onChange={setExportFormat}
+                        />
+                    </FormField>
+                    {exportFormat === ExportFormats.PNG && (
+                        <FormField label="Scale">
+                            <SelectButtons
+                                options={EXPORT_SCALE_OPTIONS}
+                                value={exportScale}
+                                onChange={setExportScale}
+                            />
+                        </FormField>
+                    )}
+                    <Button icon="download" onClick={downloadDiagram}>
+                        Download
+                    </Button>
+                    {exportErrorMessage && (
+                        <Text marginTop={2} textColor="red">
+                            {exportErrorMessage}
+                        </Text>
+                    )}
+                    <Heading size="small" marginTop={4} marginBottom={2}>
+                        Export schema
+                    </Heading>
+                    <SchemaExportForm settings={settings} />
+                    <Heading size="small" marginTop={4} marginBottom={2}>
+                        Health
+                    </Heading>
+                    <Text textColor="light" marginBottom={2}>
+                        Check the schema for broken fields, circular dependencies and other
+                        problems.
+                    </Text>
+                    <Button icon="warning" onClick={() => setShouldShowHealthPanel(true)}>
+                        Show health report
+                    </Button>
+                    <Heading size="small" marginTop={4} marginBottom={2}>
+                        Snapshots
+                    </Heading>
+                    <SnapshotManager settings={settings} />
                 </Box>
             </Box>
             <Box
@@ -79,5 +321,7 @@ export default function SettingsForm({setShouldShowSettings}) {
 }
 
 SettingsForm.propTypes = {
+    settings: PropTypes.object.isRequired,
     setShouldShowSettings: PropTypes.func.isRequired,
+    setShouldShowHealthPanel: PropTypes.func.isRequired,
 };
@@ -0,0 +1,258 @@
+import React, {useRef, useState} from 'react';
+import {base} from '@airtable/blocks';
+import {Box, Button, FormField, Input, Text, colors, useGlobalConfig} from '@airtable/blocks/ui';
+import _ from 'lodash';
+import PropTypes from 'prop-types';
+
+import {downloadBlob} from './exportDiagram';
+import {ConfigKeys, createSnapshotId} from './settings';
+import {
+    compressSnapshot,
+    createSnapshot,
+    decompressSnapshot,
+    isValidSnapshot,
+    MAX_GLOBAL_CONFIG_SIZE,
+    MAX_SAVED_SNAPSHOT_SIZE,
+} from './snapshotHelpers';
+
+/**
+ * Downloads a snapshot as a JSON file, which can be loaded again to compare against.
+ *
+ * @param {Object} snapshot
+ */
+function downloadSnapshot(snapshot) {
+    downloadBlob(
+        new Blob([JSON.stringify(snapshot)], {type: 'application/json'}),
+        `${base.name} snapshot - ${snapshot.name}.json`,
+    );
+}
+
+/**
+ * Returns the size in bytes of a value once saved as JSON, which is how globalConfig measures it.
+ *
+ * @param {unknown} value
+ * @returns {number}
+ */
+function getJsonSize(value) {
+    return new TextEncoder().encode(JSON.stringify(value)).length;
+}
+
+/**
+ * Returns the size in bytes of everything the app has saved in globalConfig, which counts towards
+ * its size limit (@see MAX_GLOBAL_CONFIG_SIZE).
+ *
+ * @param {GlobalConfig} globalConfig
+ * @returns {number}
+ */
+function getGlobalConfigSize(globalConfig) {
+    return _.sumBy(Object.values(ConfigKeys), key => {
+        const value = globalConfig.get(key);
+        return value === undefined ? 0 : getJsonSize(key) + getJsonSize(value);
+    });
+}
+
+/**
+ * Snapshot manager component.
+ * Allows the user to take named snapshots of the schema, which are either saved in the app or
+ * downloaded as a file, and to compare the diagram against a saved or downloaded snapshot.
+ *
+ * @param {Object} props.settings positioning information for the nodes and links (@see useSettings)
+ */
+export default function SnapshotManager({settings}) {
+    const globalConfig = useGlobalConfig();
+    const {
+        snapshotsById,
+        comparedSnapshot,
+        setComparedSnapshot,
+        baseSchema,
+        savedTableCoordsByTableId,
+    } = settings;
+    const canSetSnapshots = globalConfig.hasPermissionToSet();
+    const [draftName, setDraftName] = useState('');
+    const [errorMessage, setErrorMessage] = useState(null);
+    const fileInputRef = useRef(null);
+
+    // Snapshot the base schema, since the other schema settings include removed tables & fields
+    // while comparing against a snapshot
+    const takeSnapshot = () =>
+        createSnapshot(
+            draftName.trim() || new Date().toLocaleString(),
+            baseSchema,
+            savedTableCoordsByTableId,
+        );
+
+    const saveSnapshot = async () => {
+        const savedSnapshot = await compressSnapshot(takeSnapshot());
+        const snapshotSize = getJsonSize(savedSnapshot);
+        if (snapshotSize > MAX_SAVED_SNAPSHOT_SIZE) {
+            setErrorMessage(
+                'The schema is too large to save in the app, download the snapshot instead.',
+            );
+            return;
+        }
+        // The size limit is shared with the layouts and the other saved snapshots
+        if (getGlobalConfigSize(globalConfig) + snapshotSize > MAX_GLOBAL_CONFIG_SIZE) {
+            setErrorMessage(
+                "There isn't enough room left to save the snapshot in the app. Delete an older " +
+                    'snapshot, or download this one instead.',
+            );
+            return;
+        }
+        setErrorMessage(null);
+        try {
+            await globalConfig.setAsync(
+                [ConfigKeys.SNAPSHOTS_BY_ID, createSnapshotId()],
+                savedSnapshot,
+            );
+            setDraftName('');
+        } catch (error) {
+            setErrorMessage(`The snapshot couldn't be saved: ${error.message}`);
+        }
+    };
+
+    // Saved snapshots are compressed, so they're expanded before being compared or downloaded
+    const withSavedSnapshot = async (savedSnapshot, callback) => {
+        try {
+            callback(await decompressSnapshot(savedSnapshot));
+            setErrorMessage(null);
+        } catch (error) {
+            setErrorMessage(`The snapshot couldn't be read: ${error.message}`);
+        }
+    };
+
+    const loadSnapshotFile = event => {
+        const file = event.target.files[0];
+        // Allow loading the same file again
+        event.target.value = '';
+        if (!file) {
+            return;
+        }
+        const reader = new FileReader();
+        reader.onload = () => {
+            let snapshot = null;
+            try {
+                snapshot = JSON.parse(reader.result);
+            } catch (error) {
+                // Handled below, the same as any other invalid file
+            }
+            if (isValidSnapshot(snapshot)) {
+                setComparedSnapshot(snapshot);
+                setErrorMessage(null);
+            } else {
+                setErrorMessage(`${file.name} isn't a schema snapshot.`);
+            }
+        };
+        reader.readAsText(file);
+    };
+
+    return (
+        <Box>
+            <FormField label="New snapshot name">
+                <div
+                    onKeyDown={event => event.key === 'Enter' && canSetSnapshots && saveSnapshot()}
+                >
+                    <Input
+                        value={draftName}
+                        onChange={event => setDraftName(event.target.value)}
+                        placeholder="Defaults to the current date"
+                    />
+                </div>
+                <Box display="flex" marginTop={2}>
+                    <Button
+                        icon="plus"
+                        marginRight={2}
+                        onClick={saveSnapshot}
+                        disabled={!canSetSnapshots}
+                    >
+                        Save snapshot
+                    </Button>
+                    <Button icon="download" onClick={() => downloadSnapshot(takeSnapshot())}>
+                        Download
+                    </Button>
+                </Box>
+            </FormField>
+            {Object.keys(snapshotsById).map(snapshotId => {
+                const snapshot = snapshotsById[snapshotId];
+                const isCompared = Boolean(
+                    comparedSnapshot &&
+                    comparedSnapshot.name === snapshot.name &&
+                    comparedSnapshot.createdTime === snapshot.createdTime,
+                );
+                return (
+                    <Box
+                        key={snapshotId}
+                        display="flex"
+                        alignItems="center"
+                        borderBottom="default"
+                        paddingY={2}
+                    >
+                        <Box flex="auto" minWidth={0}>
+                            <Text style={{overflow: 'hidden', textOverflow: 'ellipsis'}}>
+                                {snapshot.name}
+                            </Text>
+                            <Text size="small" textColor="light">
+                                {new Date(snapshot.createdTime).toLocaleString()}
+                            </Text>
+                        </Box>
+                        <Button
+                            size="small"
+                            variant={isCompared ? 'primary' : 'default'}
+                            marginLeft={1}
+                            onClick={() =>
+                                isCompared
+                                    ? setComparedSnapshot(null)
+                                    : withSavedSnapshot(snapshot, setComparedSnapshot)
+                            }
+                        >
+                            {isCompared ? 'Comparing' : 'Compare'}
+                        </Button>
+                        <Button
+                            icon="download"
+                            size="small"
+                            variant="secondary"
+                            marginLeft={1}
+                            aria-label="Download snapshot"
+                            onClick={() => withSavedSnapshot(snapshot, downloadSnapshot)}
+                        />
+                        <Button
+                            icon="trash"
+                            size="small"
+                            variant="secondary"
+                            marginLeft={1}
+                            aria-label="Delete snapshot"
+                            onClick={() => {
+                                if (isCompared) {
+                                    setComparedSnapshot(null);
+                                }
+                                globalConfig.setAsync(
+                                    [ConfigKeys.SNAPSHOTS_BY_ID, snapshotId],
+                                    undefined,
+                                );
+                            }}
+                            disabled={!canSetSnapshots}
+                        />
+                    </Box>
+                );
+            })}
+            <input
+                ref={fileInputRef}
+                type="file"
+                accept=".json,application/json"
+                style={{display: 'none'}}
+                onChange={loadSnapshotFile}
+            />
+            <Button icon="upload" marginTop={2} onClick={() => fileInputRef.current.click()}>
+                Compare with a downloaded snapshot…
+            </Button>
+            {errorMessage && (
+                <Text marginTop={2} textColor={colors.RED_DARK_1}>
+                    {errorMessage}
+                </Text>
+            )}
+        </Box>
+    );
+}
+
+SnapshotManager.propTypes = {
+    settings: PropTypes.object.isRequired,
+};
@@ -3,13 +3,26 @@ import PropTypes from 'prop-types';
 import svgPanZoom from 'svg-pan-zoom';
 import {useViewport} from '@airtable/blocks/ui';
 
+import {FOCUS_DIRECTIONS_BY_KEY} from './accessibilityHelpers';
+
 export const SvgPanZoomContext = React.createContext(null);
 
+// Dispatched on the root SVG element whenever the diagram is panned or zoomed
+export const VIEWPORT_CHANGE_EVENT = 'viewportchange';
+
+// Distance the diagram is panned by each arrow key press, in screen pixels
+const KEYBOARD_PAN_STEP = 50;
+
 /**
  * Wraps children in a context provider for the `svgPanZoom` instance.
  *
  * The `svgPanZoom` instance can't be instantiated until after the first render, because it needs
- * the root SVG element to exist in the DOM.
+ * the root SVG element to exist in the DOM. Components that follow the pan & zoom can listen for
+ * VIEWPORT_CHANGE_EVENT on the root SVG element.
+ *
+ * The diagram can also be zoomed from the keyboard while it has focus: + and - zoom in and out, and
+ * 0 fits the whole diagram in view. The arrow keys pan when the diagram itself is focused, rather
+ * than a table (@see TableContainer).
  *
  * @param {Element} props.children
  */
@@ -32,12 +45,46 @@ export default function SvgPanZoomWrapper({children}) {
             center: true,
             fit: true,
             dblClickZoomEnabled: false,
+            onUpdatedCTM: () =>
+                document.getElementById('root').dispatchEvent(new Event(VIEWPORT_CHANGE_EVENT)),
         });
         setSvgPanZoomInstance(panZoom);
 
         return () => panZoom.destroy();
     }, []);
 
+    useEffect(() => {
+        if (!svgPanZoomInstance) {
+            return undefined;
+        }
+        const rootElement = document.getElementById('root');
+        const onKeyDown = event => {
+            if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) {
+                return;
+            }
+            const direction = FOCUS_DIRECTIONS_BY_KEY[event.key];
+            if (event.key === '+' || event.key === '=') {
+                svgPanZoomInstance.zoomIn();
+            } else if (event.key === '-') {
+                svgPanZoomInstance.zoomOut();
+            } else if (event.key === '0') {
+                svgPanZoomInstance.fit();
+                svgPanZoomInstance.center();
+            } else if (direction && event.target === rootElement) {
+                // Move the view in the direction of the key, so the diagram moves the other way
+                svgPanZoomInstance.panBy({
+                    x: -direction.dx * KEYBOARD_PAN_STEP,
+                    y: -direction.dy * KEYBOARD_PAN_STEP,
+                });
+            } else {
+                return;
+            }
+            event.preventDefault();
+        };
+        rootElement.addEventListener('keydown', onKeyDown);
+        return () => rootElement.removeEventListener('keydown', onKeyDown);
+    }, [svgPanZoomInstance]);
+
     return (
         <SvgPanZoomContext.Provider value={svgPanZoomInstance}>
             {children}
@@ -1,10 +1,9 @@
-import React, {useContext} from 'react';
+import React from 'react';
 import classnames from 'classnames';
 import PropTypes from 'prop-types';
 import {globalConfig} from '@airtable/blocks';
-import {colors, colorUtils} from '@airtable/blocks/ui';
+import {colorUtils} from '@airtable/blocks/ui';
 
-import {DragContext} from './DragWrapper';
 import {
     ROW_HEIGHT,
     TEXT_PADDING_X,
@@ -15,52 +14,95 @@ import {
     TABLE_CONFIG_PROP_TYPE,
     TABLE_BORDER_WIDTH,
 } from './constants';
-import {calculateTableBackgroundPath} from './coordinateHelpers';
+import {calculateTableBackgroundPath, getTableHeight} from './coordinateHelpers';
+import {TableDisplayModes} from './tableDisplayHelpers';
+import {getRowFont, truncateTextForWidth} from './textMeasurementHelpers';
+import {ChangeTypes} from './snapshotHelpers';
 
-const ALLOWED_COLORS = [
-    colors.BLUE_BRIGHT,
-    colors.CYAN_BRIGHT,
-    colors.GREEN_BRIGHT,
-    colors.YELLOW_BRIGHT,
-    colors.ORANGE_BRIGHT,
-    colors.RED_BRIGHT,
-    colors.PINK_BRIGHT,
-    colors.PURPLE_BRIGHT,
-    colors.GRAY_BRIGHT,
-    colors.GRAY_DARK_1,
-];
+// Width of each button at the right end of the table header
+const HEADER_BUTTON_WIDTH = 24;
+const COLLAPSE_TOGGLE_LABELS_BY_DISPLAY_MODE = {
+    [TableDisplayModes.EXPANDED]: {
+        glyph: '▾',
+        title: 'Showing all fields. Click to only show linked fields.',
+    },
+    [TableDisplayModes.LINKED_FIELDS_ONLY]: {
+        glyph: '⋯',
+        title: 'Showing linked fields only. Click to collapse to the table name.',
+    },
+    [TableDisplayModes.HEADER_ONLY]: {
+        glyph: '▸',
+        title: 'Collapsed. Click to show all fields.',
+    },
+};
 
 /**
  * Table SVG component.
  *
- * Contains a table header row (with name of table), and a field row for each field in the table.
- * Positions are calculated using offsets and ROW_WIDTH / ROW_HEIGHT constants.
+ * Contains a table header row (with name of table), and a field row for each rendered field in the
+ * table. Positions are calculated using offsets and ROW_WIDTH / ROW_HEIGHT constants.
+ *
+ * Each table is a labelled group for screen readers, and its rows can be focused (@see
+ * TableContainer for keyboard navigation, and dragging tables by their header).
+ *
+ * Tables are memoized, so that a change to one table (eg, renaming a field) doesn't re-render every
+ * other table. Every prop is kept identical while the table hasn't changed (@see useSettings).
  *
  * @param {Object} coords x,y coordinates for this table
- * @param {Object} tableConfig table configuration, containing table header and field nodes
+ * @param {Object} tableConfig rendered table configuration, containing table header and field nodes
+ * @param {string} headerColor color of the table header
+ * @param {boolean} isSelected whether the table is selected, to be dragged along with the other
+ *     selected tables
+ * @param {Object} changeTypesById changes since the compared snapshot, by node id (@see diffSchema)
+ * @param {Object} ariaLabelsByNodeId label announced by screen readers for each row of the table,
+ *     by node id
+ * @param {string} displayMode whether the table is expanded, collapsed, or only shows linked fields
+ * @param {Function} onCycleDisplayMode called with the table id when the collapse toggle is
+ *     clicked, or null if the user can't change the display mode
+ * @param {Function} onHideTable called with the table id when the hide button is clicked, or null
+ *     if the user can't hide the table
  */
-export default function SvgTable({coords, tableConfig}) {
+function SvgTable({
+    coords,
+    tableConfig,
+    headerColor,
+    isSelected,
+    changeTypesById,
+    ariaLabelsByNodeId,
+    displayMode,
+    onCycleDisplayMode,
+    onHideTable,
+}) {
     const {tableId} = tableConfig.tableNode;
     const {x, y} = coords;
-    const {handleTableDrag} = useContext(DragContext);
-    const canDrag = globalConfig.hasPermissionToSet();
+    // Removed tables are only drawn for comparison, so they can't be moved
+    const isRemoved = (changeTypesById[tableId] || []).includes(ChangeTypes.REMOVED);
+    const canDrag = globalConfig.hasPermissionToSet() && !isRemoved;
 
-    const tableHeight = ROW_HEIGHT * (tableConfig.fieldNodes.length + 1) + 2 * TABLE_BORDER_WIDTH;
+    const tableHeight = getTableHeight(tableConfig);
+    const collapseToggleLabels = COLLAPSE_TOGGLE_LABELS_BY_DISPLAY_MODE[displayMode];
+    const numHeaderButtons = onHideTable ? 2 : 1;
     return (
         <svg
+            className={classnames({selected: isSelected})}
             stroke="black"
             x={x}
             y={y}
             width={ROW_WIDTH + 2 * TABLE_BORDER_WIDTH}
-            height={ROW_HEIGHT * (tableConfig.fieldNodes.length + 1) + 2 * TABLE_BORDER_WIDTH}
+            height={tableHeight}
+            role="group"
+            aria-label={tableConfig.tableNode.name}
         >
             <path className="TableBorder" d={calculateTableBackgroundPath(tableHeight)} />
             <TableRow
                 isHeader={true}
                 rowIndex={0}
                 node={tableConfig.tableNode}
-                onTableRowDrag={e => handleTableDrag(e, tableId)}
+                headerColor={headerColor}
+                changeTypes={changeTypesById[tableId]}
+                ariaLabel={ariaLabelsByNodeId[tableId]}
                 canDrag={canDrag}
+                textWidth={ROW_WIDTH - 2 * TEXT_PADDING_X - numHeaderButtons * HEADER_BUTTON_WIDTH}
             />
             {tableConfig.fieldNodes.map((fieldNode, index) => {
                 return (
@@ -69,11 +111,26 @@ export default function SvgTable({coords, tableConfig}) {
                         isHeader={false}
                         rowIndex={index + 1}
                         node={fieldNode}
-                        onTableRowDrag={() => {}}
+                        changeTypes={changeTypesById[fieldNode.id]}
+                        ariaLabel={ariaLabelsByNodeId[fieldNode.id]}
                         canDrag={false}
                     />
                 );
             })}
+            <HeaderButton
+                index={0}
+                glyph={collapseToggleLabels.glyph}
+                title={collapseToggleLabels.title}
+                onClick={onCycleDisplayMode && (() => onCycleDisplayMode(tableId))}
+            />
+            {onHideTable && (
+                <HeaderButton
+                    index={1}
+                    glyph="×"
+                    title="Hide this table"
+                    onClick={() => onHideTable(tableId)}
+                />
+            )}
         </svg>
     );
 }
@@ -81,63 +138,94 @@ export default function SvgTable({coords, tableConfig}) {
 SvgTable.propTypes = {
     coords: COORDS_PROP_TYPE.isRequired,
     tableConfig: TABLE_CONFIG_PROP_TYPE.isRequired,
+    headerColor: PropTypes.string.isRequired,
+    isSelected: PropTypes.bool.isRequired,
+    changeTypesById: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.string)).isRequired,
+    ariaLabelsByNodeId: PropTypes.objectOf(PropTypes.string).isRequired,
+    displayMode: PropTypes.oneOf(Object.values(TableDisplayModes)).isRequired,
+    onCycleDisplayMode: PropTypes.func,
+    onHideTable: PropTypes.func,
 };
 
 /**
- * Utility function to truncate text to fit in a certain width. SVG does not support overflow
- * controls for text.
+ * Button drawn over the right end of the table header, such as the collapse toggle.
  *
- * @param {string} text Text to truncate
- * @param {boolean} isHeader Whether this text is header text (which uses a larger font weight)
- * @param {number} width Allowed width
- * @returns {string}
+ * Hidden from screen readers, since the header row itself is announced, and pressing Enter on it
+ * cycles the display mode the same way as the collapse toggle.
+ *
+ * @param {number} index position of the button, counting from the right end of the header
+ * @param {string} glyph text shown in the button
+ * @param {string} title tooltip shown when hovering the button
+ * @param {Function} onClick click handler, or null if the button is only an indicator
  */
-function truncateTextForWidth(text, isHeader, width = ROW_WIDTH - 2 * TEXT_PADDING_X) {
-    const span = document.createElement('span');
-    document.body.append(span);
-    span.classList.add('TableRow', isHeader ? 'TableHeader' : undefined);
-    span.innerHTML = text;
-
-    let truncatedText = text;
-    while (span.offsetWidth > width) {
-        truncatedText = truncatedText.substring(0, truncatedText.length - 4) + '...';
-        span.innerHTML = truncatedText;
-    }
-
-    span.remove();
-    return truncatedText;
+function HeaderButton({index, glyph, title, onClick}) {
+    return (
+        <svg
+            className={classnames('TableHeaderButton', {clickable: Boolean(onClick)})}
+            x={TABLE_BORDER_WIDTH + ROW_WIDTH - (index + 1) * HEADER_BUTTON_WIDTH}
+            y={TABLE_BORDER_WIDTH}
+            width={HEADER_BUTTON_WIDTH}
+            height={ROW_HEIGHT}
+            onClick={onClick || undefined}
+            aria-hidden="true"
+        >
+            <title>{title}</title>
+            <rect width={HEADER_BUTTON_WIDTH} height={ROW_HEIGHT} />
+            <text x={HEADER_BUTTON_WIDTH / 2} y={ROW_HEIGHT / 2}>
+                {glyph}
+            </text>
+        </svg>
+    );
 }
 
+HeaderButton.propTypes = {
+    index: PropTypes.number.isRequired,
+    glyph: PropTypes.string.isRequired,
+    title: PropTypes.string.isRequired,
+    onClick: PropTypes.func,
+};
+
 /**
- * Table row component, which contains either the table name or a field name.
+ * Table row component, which contains either the table name or a field name. Names too long for
+ * the row are truncated, and shown in full in a native tooltip.
  *
  * @param {number} rowIndex Used as a multiplier to position the field vertically
  * @param {Object} node Node object containing name and relevant ids
  * @param {boolean} isHeader Whether this table row is a the table header
- * @param {onTableRowDrag} function mousedown event handler to control table dragging
- * @param {boolean} canDrag should be true when onTableRowDrag is not a no-op
+ * @param {string} headerColor Color of the table header, if this row is the table header
+ * @param {string[]} changeTypes Changes to this node since the compared snapshot, if any
+ * @param {string} ariaLabel Label announced by screen readers, describing the node
+ * @param {boolean} canDrag whether the table can be dragged by this row
+ * @param {number} textWidth Allowed width for the row name, if narrower than the row
  */
-function TableRow({rowIndex, node, isHeader, onTableRowDrag, canDrag}) {
-    const truncatedRowName = truncateTextForWidth(node.name, isHeader);
-    // Give each table header a random, deterministic color based off the tableId
-    let headerColorString;
-    if (isHeader) {
-        const colorIndex = node.tableId.charCodeAt(node.tableId.length - 1) % ALLOWED_COLORS.length;
-        headerColorString = ALLOWED_COLORS[colorIndex];
-    }
+function TableRow({
+    rowIndex,
+    node,
+    isHeader,
+    headerColor,
+    changeTypes,
+    ariaLabel,
+    canDrag,
+    textWidth = ROW_WIDTH - 2 * TEXT_PADDING_X,
+}) {
+    const truncatedRowName = truncateTextForWidth(node.name, getRowFont(isHeader), textWidth);
     return (
         <svg
-            className={classnames('TableRow', {
+            className={classnames('TableRow', changeTypes, {
                 TableHeader: isHeader,
                 draggable: canDrag,
             })}
             id={node.id}
             x={TABLE_BORDER_WIDTH} // give room for filter box-shadow
             y={TABLE_BORDER_WIDTH + ROW_HEIGHT * rowIndex}
-            onMouseDown={onTableRowDrag}
+            // Only table headers are in the tab order, fields are reached with the arrow keys
+            tabIndex={isHeader ? 0 : -1}
+            role="button"
+            aria-label={ariaLabel}
         >
+            {truncatedRowName !== node.name && <title>{node.name}</title>}
             {isHeader ? (
-                <path fill={colorUtils.getHexForColor(headerColorString)} d={TABLE_HEADER_PATH} />
+                <path fill={colorUtils.getHexForColor(headerColor)} d={TABLE_HEADER_PATH} />
             ) : (
                 <rect height={ROW_HEIGHT} width={ROW_WIDTH} />
             )}
@@ -152,5 +240,11 @@ TableRow.propTypes = {
     rowIndex: PropTypes.number.isRequired,
     node: NODE_PROP_TYPE.isRequired,
     isHeader: PropTypes.bool,
-    onTableRowDrag: PropTypes.func.isRequired,
+    headerColor: PropTypes.string,
+    changeTypes: PropTypes.arrayOf(PropTypes.string),
+    ariaLabel: PropTypes.string,
+    canDrag: PropTypes.bool,
+    textWidth: PropTypes.number,
 };
+
+export default React.memo(SvgTable);
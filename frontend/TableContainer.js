@@ -1,32 +1,302 @@
-import React, {useContext} from 'react';
+import React, {useCallback, useContext, useMemo, useRef} from 'react';
+import {globalConfig} from '@airtable/blocks';
+import _ from 'lodash';
 import PropTypes from 'prop-types';
 
 import SvgTable from './SvgTable';
 import {HighlightContext} from './HighlightWrapper';
-import {COORDS_PROP_TYPE, TABLE_CONFIG_PROP_TYPE} from './constants';
+import {DragContext} from './DragWrapper';
+import {LayoutHistoryContext} from './LayoutHistoryWrapper';
+import {SvgPanZoomContext} from './SvgPanZoomWrapper';
+import {useIsInView, ViewportCullingContext} from './ViewportCullingWrapper';
+import {fitBounds, panIntoView} from './panZoomHelpers';
+import {calculateTablesBounds} from './coordinateHelpers';
+import {
+    FOCUS_DIRECTIONS_BY_KEY,
+    findTableInDirection,
+    getNodeAriaLabel,
+} from './accessibilityHelpers';
+import {getLayoutConfigPath, LayoutKeys} from './settings';
+import {getNextTableDisplayMode, TableDisplayModes} from './tableDisplayHelpers';
+import {
+    COORDS_PROP_TYPE,
+    LINK_PROP_TYPE,
+    NODE_PROP_TYPE,
+    TABLE_CONFIG_PROP_TYPE,
+} from './constants';
 
 /**
- * Container group for the table SVG elements. Handles node mouseover/mouseout (event delegation
- * done in the HighlightWrapper).
+ * Container group for the table SVG elements. Handles node mouseover/mouseout, clicks and
+ * right-clicks (event delegation done in the HighlightWrapper), starts dragging tables by their
+ * header (@see DragWrapper), and persists changes to each table's display mode and visibility made
+ * from the table header. These changes, and tables moved from the keyboard, are recorded in the
+ * layout history so they can be undone. Double-clicking a table header zooms to fit the table and
+ * the tables it's linked to.
  *
+ * Also handles keyboard navigation, using event delegation the same way. Table headers are in the
+ * tab order, and field rows can be focused with the arrow keys:
+ * - Up / down move between the rows of a table, continuing into the nearest table above or below.
+ * - Left / right move to the nearest table in that direction.
+ * - Enter pins the highlighting for a field, or cycles the display mode of a table.
+ * - Shift + arrow keys move the focused table by one grid cell, along with the other selected
+ *   tables if it's selected.
+ * - Escape clears the table selection.
+ *
+ * Only tables near the visible part of the diagram are rendered (@see ViewportCullingWrapper).
+ * Moving focus with the arrow keys renders the next table first if it's far out of view, but Tab
+ * only reaches tables that are rendered.
+ *
+ * @param {string} props.activeLayoutId id of the layout the display modes are saved to
  * @param {Object} props.tableCoordsByTableId table x,y coordinates, by table id
- * @param {Object} props.tableConfigsByTableId table header & field nodes for each table, by table id
+ * @param {Object} props.savedTableCoordsByTableId persisted table x,y coordinates, by table id.
+ *     Tables removed since a compared snapshot aren't included, and can't be moved.
+ * @param {Object} props.tableConfigsByTableId rendered table header & field nodes for each table, by
+ *     table id
+ * @param {Object} props.tableDisplayModesByTableId display mode for each table, by table id
+ * @param {Object} props.headerColorsByTableId table header color, by table id
+ * @param {Object} props.changeTypesById changes since the compared snapshot, by node id
+ * @param {Object} props.nodesById all nodes (field or table header), by node id
+ * @param {Object} props.dependentLinksByNodeId list of links connected to each node, by node id
+ * @param {number} props.gridSize distance tables are moved by from the keyboard
  */
-export default function TableContainer({tableConfigsByTableId, tableCoordsByTableId}) {
-    const {onNodeOrLinkMouseOver, onNodeOrLinkMouseOut} = useContext(HighlightContext);
+export default function TableContainer({
+    activeLayoutId,
+    tableConfigsByTableId,
+    tableCoordsByTableId,
+    savedTableCoordsByTableId,
+    tableDisplayModesByTableId,
+    headerColorsByTableId,
+    changeTypesById,
+    nodesById,
+    dependentLinksByNodeId,
+    gridSize,
+}) {
+    const svgPanZoom = useContext(SvgPanZoomContext);
+    const {
+        onNodeOrLinkMouseOver,
+        onNodeOrLinkMouseOut,
+        onNodeMouseDown,
+        onNodeClick,
+        onNodeContextMenu,
+        onNodeFocus,
+        togglePinnedNode,
+    } = useContext(HighlightContext);
+    const {selectedTableIds, setSelectedTableIds, handleTableDrag} = useContext(DragContext);
+    const {setLayoutPathsAsync} = useContext(LayoutHistoryContext);
+    const {revealTables} = useContext(ViewportCullingContext);
+    const isInView = useIsInView(tableCoordsByTableId, tableConfigsByTableId);
+    const canSetLayout = globalConfig.hasPermissionToSet();
+
+    // Labels announced by screen readers for each rendered row, by node id, for each table. A
+    // table's labels are kept from the previous render if none of them changed, so that the table
+    // isn't re-rendered.
+    const previousAriaLabelsRef = useRef({});
+    const ariaLabelsByTableId = useMemo(() => {
+        const labelsByTableId = {};
+        for (const [tableId, {tableNode, fieldNodes}] of Object.entries(tableConfigsByTableId)) {
+            const labels = {
+                [tableNode.id]: getNodeAriaLabel(
+                    tableNode,
+                    nodesById,
+                    dependentLinksByNodeId,
+                    fieldNodes.length,
+                ),
+            };
+            for (const fieldNode of fieldNodes) {
+                labels[fieldNode.id] = getNodeAriaLabel(
+                    fieldNode,
+                    nodesById,
+                    dependentLinksByNodeId,
+                );
+            }
+            const previousLabels = previousAriaLabelsRef.current[tableId];
+            labelsByTableId[tableId] = _.isEqual(labels, previousLabels) ? previousLabels : labels;
+        }
+        previousAriaLabelsRef.current = labelsByTableId;
+        return labelsByTableId;
+    }, [tableConfigsByTableId, nodesById, dependentLinksByNodeId]);
+
+    const cycleTableDisplayMode = useCallback(
+        tableId => {
+            setLayoutPathsAsync([
+                {
+                    path: [
+                        ...getLayoutConfigPath(
+                            activeLayoutId,
+                            LayoutKeys.TABLE_DISPLAY_MODES_BY_TABLE_ID,
+                        ),
+                        tableId,
+                    ],
+                    value: getNextTableDisplayMode(tableDisplayModesByTableId[tableId]),
+                },
+            ]);
+        },
+        [activeLayoutId, tableDisplayModesByTableId, setLayoutPathsAsync],
+    );
+
+    const hideTable = useCallback(
+        tableId => {
+            setLayoutPathsAsync([
+                {
+                    path: [
+                        ...getLayoutConfigPath(activeLayoutId, LayoutKeys.HIDDEN_NODE_IDS),
+                        tableId,
+                    ],
+                    value: true,
+                },
+            ]);
+        },
+        [activeLayoutId, setLayoutPathsAsync],
+    );
+
+    const moveTable = (tableId, {dx, dy}) => {
+        const tableIds = selectedTableIds.includes(tableId)
+            ? selectedTableIds.filter(
+                  selectedTableId =>
+                      tableConfigsByTableId[selectedTableId] &&
+                      savedTableCoordsByTableId[selectedTableId],
+              )
+            : [tableId];
+        const newTableCoordsByTableId = {...savedTableCoordsByTableId};
+        for (const movedTableId of tableIds) {
+            const {x, y} = savedTableCoordsByTableId[movedTableId];
+            newTableCoordsByTableId[movedTableId] = {
+                x: x + dx * gridSize,
+                y: y + dy * gridSize,
+            };
+        }
+        setLayoutPathsAsync([
+            {
+                path: getLayoutConfigPath(activeLayoutId, LayoutKeys.TABLE_COORDS_BY_TABLE_ID),
+                value: newTableCoordsByTableId,
+            },
+        ]);
+    };
+
+    const focusRow = rowElement => {
+        rowElement.focus();
+        if (svgPanZoom) {
+            panIntoView(svgPanZoom, rowElement);
+        }
+    };
+
+    const onFocus = event => {
+        onNodeFocus(event);
+        // Only follow focus that was moved with the keyboard, not by clicking
+        if (svgPanZoom && event.target.matches('svg.TableRow:focus-visible')) {
+            panIntoView(svgPanZoom, event.target);
+        }
+    };
+
+    const onMouseDown = event => {
+        onNodeMouseDown(event);
+        const headerElement = event.target.closest('svg.TableHeader');
+        if (headerElement) {
+            handleTableDrag(event, headerElement.getAttribute('id'));
+        }
+    };
+
+    const onDoubleClick = event => {
+        const headerElement = event.target.closest('svg.TableHeader');
+        if (!svgPanZoom || !headerElement) {
+            return;
+        }
+        const tableId = headerElement.getAttribute('id');
+        const linkedTableIds = _.flatMap(dependentLinksByNodeId[tableId] || [], link => [
+            link.sourceTableId,
+            link.targetTableId,
+        ]);
+        const bounds = calculateTablesBounds(
+            _.uniq([tableId, ...linkedTableIds]),
+            tableCoordsByTableId,
+            tableConfigsByTableId,
+        );
+        if (bounds) {
+            fitBounds(svgPanZoom, bounds);
+        }
+    };
+
+    const onKeyDown = event => {
+        const rowElement = event.target.closest('svg.TableRow');
+        if (!rowElement || event.altKey || event.ctrlKey || event.metaKey) {
+            return;
+        }
+        // The table header is the first row of the table element, followed by the field rows
+        const rowElements = Array.from(rowElement.parentElement.children).filter(element =>
+            element.classList.contains('TableRow'),
+        );
+        const rowIndex = rowElements.indexOf(rowElement);
+        const tableId = rowElements[0].getAttribute('id');
+        const direction = FOCUS_DIRECTIONS_BY_KEY[event.key];
+
+        if (direction && event.shiftKey) {
+            if (canSetLayout && savedTableCoordsByTableId[tableId]) {
+                moveTable(tableId, direction);
+            }
+        } else if (direction) {
+            const nextRowIndex = rowIndex + direction.dy;
+            if (direction.dy !== 0 && nextRowIndex >= 0 && nextRowIndex < rowElements.length) {
+                focusRow(rowElements[nextRowIndex]);
+            } else {
+                const nextTableId = findTableInDirection(
+                    tableId,
+                    direction,
+                    tableCoordsByTableId,
+                    tableConfigsByTableId,
+                );
+                if (nextTableId) {
+                    // The next table may be too far away to be rendered yet
+                    revealTables([nextTableId]);
+                    const nextTableHeaderElement = document.getElementById(nextTableId);
+                    if (nextTableHeaderElement) {
+                        focusRow(nextTableHeaderElement);
+                    }
+                }
+            }
+        } else if (event.key === 'Escape' && selectedTableIds.length > 0) {
+            setSelectedTableIds([]);
+        } else if (event.key === 'Enter') {
+            if (rowIndex > 0) {
+                togglePinnedNode(rowElement.getAttribute('id'));
+            } else if (canSetLayout) {
+                cycleTableDisplayMode(tableId);
+            }
+        } else {
+            return;
+        }
+        event.preventDefault();
+    };
 
     return (
         <g
             id="table-container"
             onMouseMove={onNodeOrLinkMouseOver}
             onMouseOut={onNodeOrLinkMouseOut}
+            onMouseDown={onMouseDown}
+            onClick={onNodeClick}
+            onContextMenu={onNodeContextMenu}
+            onDoubleClick={onDoubleClick}
+            onFocus={onFocus}
+            onKeyDown={onKeyDown}
         >
             {Object.keys(tableConfigsByTableId).map(tableId => {
+                if (!isInView([tableId])) {
+                    return null;
+                }
                 return (
                     <SvgTable
                         key={tableId}
                         coords={tableCoordsByTableId[tableId]}
                         tableConfig={tableConfigsByTableId[tableId]}
+                        headerColor={headerColorsByTableId[tableId]}
+                        isSelected={selectedTableIds.includes(tableId)}
+                        changeTypesById={changeTypesById}
+                        ariaLabelsByNodeId={ariaLabelsByTableId[tableId]}
+                        displayMode={
+                            tableDisplayModesByTableId[tableId] || TableDisplayModes.EXPANDED
+                        }
+                        onCycleDisplayMode={canSetLayout ? cycleTableDisplayMode : null}
+                        onHideTable={canSetLayout ? hideTable : null}
                     />
                 );
             })}
@@ -35,6 +305,14 @@ export default function TableContainer({tableConfigsByTableId, tableCoordsByTabl
 }
 
 TableContainer.propTypes = {
+    activeLayoutId: PropTypes.string.isRequired,
     tableConfigsByTableId: PropTypes.objectOf(TABLE_CONFIG_PROP_TYPE),
     tableCoordsByTableId: PropTypes.objectOf(COORDS_PROP_TYPE),
+    savedTableCoordsByTableId: PropTypes.objectOf(COORDS_PROP_TYPE).isRequired,
+    tableDisplayModesByTableId: PropTypes.objectOf(PropTypes.string).isRequired,
+    headerColorsByTableId: PropTypes.objectOf(PropTypes.string).isRequired,
+    changeTypesById: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.string)).isRequired,
+    nodesById: PropTypes.objectOf(NODE_PROP_TYPE).isRequired,
+    dependentLinksByNodeId: PropTypes.objectOf(PropTypes.arrayOf(LINK_PROP_TYPE)).isRequired,
+    gridSize: PropTypes.number.isRequired,
 };
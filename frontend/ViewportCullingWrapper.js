@@ -0,0 +1,231 @@
+import React, {createContext, useCallback, useContext, useEffect, useMemo, useState} from 'react';
+import ReactDOM from 'react-dom';
+import _ from 'lodash';
+import PropTypes from 'prop-types';
+
+import {SvgPanZoomContext, VIEWPORT_CHANGE_EVENT} from './SvgPanZoomWrapper';
+import {centerOnElement, getVisibleBounds} from './panZoomHelpers';
+import {calculateTablesBounds, doBoundsIntersect} from './coordinateHelpers';
+
+// Tables & links within this distance of the visible part of the diagram are rendered too, as a
+// fraction of the size of the viewport, so panning a little doesn't render anything new
+const CULLING_MARGIN = 0.5;
+// Zooming in this far (from the zoom level the culling bounds were calculated at) recalculates
+// them, so tables that are now far out of view stop being rendered
+const MAX_CULLING_ZOOM_IN = 2;
+
+// Dispatched on the root SVG element to render every table & link, and to go back to only
+// rendering the ones in view (@see renderWithoutCulling)
+const CULLING_SUSPEND_EVENT = 'cullingsuspend';
+const CULLING_RESUME_EVENT = 'cullingresume';
+
+const INITIAL_CULLING = Object.freeze({cullingBounds: null, revealedTableIds: []});
+
+export const ViewportCullingContext = createContext({
+    cullingBounds: null,
+    revealedTableIds: [],
+    revealTables() {},
+});
+
+/**
+ * Whether some bounds are entirely inside other bounds.
+ *
+ * @param {{x: number, y: number, width: number, height: number}} bounds
+ * @param {{x: number, y: number, width: number, height: number}} outerBounds
+ * @returns {boolean}
+ */
+function isContainedIn(bounds, outerBounds) {
+    return (
+        bounds.x >= outerBounds.x &&
+        bounds.y >= outerBounds.y &&
+        bounds.x + bounds.width <= outerBounds.x + outerBounds.width &&
+        bounds.y + bounds.height <= outerBounds.y + outerBounds.height
+    );
+}
+
+/**
+ * Returns the part of the diagram to render when the given part is visible: the visible part,
+ * with a margin on every side.
+ *
+ * @param {{x: number, y: number, width: number, height: number}} visibleBounds
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function getCullingBounds(visibleBounds) {
+    const {x, y, width, height} = visibleBounds;
+    return {
+        x: x - width * CULLING_MARGIN,
+        y: y - height * CULLING_MARGIN,
+        width: width * (1 + 2 * CULLING_MARGIN),
+        height: height * (1 + 2 * CULLING_MARGIN),
+    };
+}
+
+/**
+ * Renders every table & link while calling `callback`, then goes back to only rendering the ones
+ * in view. Used to read the whole diagram back from the DOM, eg when exporting it.
+ *
+ * @param {Function} callback
+ * @returns {any} the return value of `callback`
+ */
+export function renderWithoutCulling(callback) {
+    const rootElement = document.getElementById('root');
+    rootElement.dispatchEvent(new Event(CULLING_SUSPEND_EVENT));
+    try {
+        return callback();
+    } finally {
+        rootElement.dispatchEvent(new Event(CULLING_RESUME_EVENT));
+    }
+}
+
+/**
+ * Returns a function that tells whether the elements spanning the given tables (ie, the tables
+ * themselves, or the links between them) should be rendered.
+ *
+ * @param {Object} tableCoordsByTableId table x,y coordinates, by table id
+ * @param {Object} tableConfigsByTableId rendered table header & field nodes for each visible
+ *     table, by table id
+ * @returns {function(string[]): boolean}
+ */
+export function useIsInView(tableCoordsByTableId, tableConfigsByTableId) {
+    const {cullingBounds, revealedTableIds} = useContext(ViewportCullingContext);
+    return useCallback(
+        tableIds => {
+            if (!cullingBounds || tableIds.some(tableId => revealedTableIds.includes(tableId))) {
+                return true;
+            }
+            const bounds = calculateTablesBounds(
+                tableIds,
+                tableCoordsByTableId,
+                tableConfigsByTableId,
+            );
+            return bounds !== null && doBoundsIntersect(bounds, cullingBounds);
+        },
+        [cullingBounds, revealedTableIds, tableCoordsByTableId, tableConfigsByTableId],
+    );
+}
+
+/**
+ * Returns a function that pans the diagram to center a node (field or table header) or a link. The
+ * tables it spans are revealed first, since they may be too far away to be rendered yet, and a
+ * field whose row isn't rendered falls back to its table.
+ *
+ * @returns {function(Object): void} called with the node or link object to navigate to
+ */
+export function useNavigateToNode() {
+    const svgPanZoom = useContext(SvgPanZoomContext);
+    const {revealTables} = useContext(ViewportCullingContext);
+    return useCallback(
+        nodeOrLink => {
+            const {id, tableId} = nodeOrLink;
+            // Links span their source & target tables, and have no table to fall back to
+            revealTables(
+                tableId ? [tableId] : [nodeOrLink.sourceTableId, nodeOrLink.targetTableId],
+            );
+            const element =
+                document.getElementById(id) || (tableId ? document.getElementById(tableId) : null);
+            if (svgPanZoom && element) {
+                centerOnElement(svgPanZoom, element);
+            }
+        },
+        [svgPanZoom, revealTables],
+    );
+}
+
+/**
+ * Wraps children in a context provider for the part of the diagram to render, so very large bases
+ * stay responsive. Tables and links outside of the `svgPanZoom` viewport (plus a margin) aren't
+ * rendered at all (@see useIsInView).
+ *
+ * The culling bounds are only recalculated once panning or zooming shows something outside of
+ * them, or after zooming in a long way, rather than on every VIEWPORT_CHANGE_EVENT. They're left as
+ * is while panning is disabled, since tables being dragged have been moved out of the table
+ * container (@see DragWrapper), and mustn't be re-rendered by React until they're dropped.
+ *
+ * Everything is rendered until `svgPanZoom` is set up, since it measures the whole diagram to fit
+ * it in view. Elements that need to be found in the DOM before they've been panned into view (eg,
+ * the next table when moving focus with the keyboard, or a search result) can be rendered straight
+ * away with `revealTables`, and stay rendered until the culling bounds next change.
+ *
+ * @param {Element} props.children
+ */
+export default function ViewportCullingWrapper({children}) {
+    const svgPanZoom = useContext(SvgPanZoomContext);
+    const [{cullingBounds, revealedTableIds}, setCulling] = useState(INITIAL_CULLING);
+    const [isSuspended, setIsSuspended] = useState(false);
+
+    useEffect(() => {
+        if (!svgPanZoom) {
+            return undefined;
+        }
+        const rootElement = document.getElementById('root');
+        const updateCullingBounds = () => {
+            if (!svgPanZoom.isPanEnabled()) {
+                return;
+            }
+            const visibleBounds = getVisibleBounds(svgPanZoom);
+            setCulling(currentCulling => {
+                const currentBounds = currentCulling.cullingBounds;
+                const isUpToDate =
+                    currentBounds !== null &&
+                    isContainedIn(visibleBounds, currentBounds) &&
+                    visibleBounds.width * MAX_CULLING_ZOOM_IN * (1 + 2 * CULLING_MARGIN) >=
+                        currentBounds.width;
+                return isUpToDate
+                    ? currentCulling
+                    : {cullingBounds: getCullingBounds(visibleBounds), revealedTableIds: []};
+            });
+        };
+        // The whole diagram has to be rendered right away, since it's read back from the DOM
+        const onSuspend = () => ReactDOM.flushSync(() => setIsSuspended(true));
+        const onResume = () => setIsSuspended(false);
+
+        updateCullingBounds();
+        rootElement.addEventListener(VIEWPORT_CHANGE_EVENT, updateCullingBounds);
+        rootElement.addEventListener(CULLING_SUSPEND_EVENT, onSuspend);
+        rootElement.addEventListener(CULLING_RESUME_EVENT, onResume);
+        return () => {
+            rootElement.removeEventListener(VIEWPORT_CHANGE_EVENT, updateCullingBounds);
+            rootElement.removeEventListener(CULLING_SUSPEND_EVENT, onSuspend);
+            rootElement.removeEventListener(CULLING_RESUME_EVENT, onResume);
+        };
+    }, [svgPanZoom]);
+
+    /**
+     * Renders the given tables, and the links to them, whether or not they're in view. They're
+     * rendered before this returns, so they can be found in the DOM straight away.
+     *
+     * @param {string[]} tableIds
+     */
+    const revealTables = useCallback(tableIds => {
+        ReactDOM.flushSync(() =>
+            setCulling(currentCulling =>
+                currentCulling.cullingBounds === null ||
+                tableIds.every(tableId => currentCulling.revealedTableIds.includes(tableId))
+                    ? currentCulling
+                    : {
+                          ...currentCulling,
+                          revealedTableIds: _.union(currentCulling.revealedTableIds, tableIds),
+                      },
+            ),
+        );
+    }, []);
+
+    const cullingContext = useMemo(
+        () => ({
+            cullingBounds: isSuspended ? null : cullingBounds,
+            revealedTableIds,
+            revealTables,
+        }),
+        [isSuspended, cullingBounds, revealedTableIds, revealTables],
+    );
+
+    return (
+        <ViewportCullingContext.Provider value={cullingContext}>
+            {children}
+        </ViewportCullingContext.Provider>
+    );
+}
+
+ViewportCullingWrapper.propTypes = {
+    children: PropTypes.node,
+};
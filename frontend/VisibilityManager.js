@@ -0,0 +1,141 @@
+import React, {useContext, useState} from 'react';
+import {Box, Button, Input, Switch, Text, TextButton, useGlobalConfig} from '@airtable/blocks/ui';
+import PropTypes from 'prop-types';
+
+import {getLayoutConfigPath, LayoutKeys} from './settings';
+import {LayoutHistoryContext} from './LayoutHistoryWrapper';
+
+/**
+ * Visibility manager component.
+ * A checklist of every table, and (when a table is expanded in the list) its fields, to choose
+ * which tables and fields are shown in the diagram. Hidden ids are persisted per layout, and changes
+ * to them can be undone.
+ *
+ * @param {Object} props.settings positioning information for the nodes and links (@see useSettings)
+ */
+export default function VisibilityManager({settings}) {
+    const globalConfig = useGlobalConfig();
+    const {setLayoutPathsAsync} = useContext(LayoutHistoryContext);
+    const {activeLayoutId, tableConfigsByTableId, nodesById, hiddenNodeIds} = settings;
+    const canSetLayout = globalConfig.hasPermissionToSet();
+    const [query, setQuery] = useState('');
+    const [expandedTableId, setExpandedTableId] = useState(null);
+
+    const hiddenNodeIdsPath = getLayoutConfigPath(activeLayoutId, LayoutKeys.HIDDEN_NODE_IDS);
+    const setIsNodeVisible = (nodeId, isVisible) => {
+        // Remove the entry rather than storing `false`, to keep the persisted settings small
+        setLayoutPathsAsync([
+            {path: [...hiddenNodeIdsPath, nodeId], value: isVisible ? undefined : true},
+        ]);
+    };
+
+    const lowerCaseQuery = query.trim().toLowerCase();
+    const matchesQuery = node => node.name.toLowerCase().includes(lowerCaseQuery);
+    // Ignore hidden ids of tables & fields that have since been deleted
+    const numHiddenNodes = Object.keys(hiddenNodeIds).filter(
+        nodeId => hiddenNodeIds[nodeId] && nodesById[nodeId],
+    ).length;
+
+    return (
+        <Box>
+            <Input
+                value={query}
+                onChange={event => setQuery(event.target.value)}
+                placeholder="Filter tables and fields"
+                marginBottom={2}
+            />
+            <Box maxHeight="320px" overflow="auto" border="default" borderRadius="default">
+                {Object.values(tableConfigsByTableId).map(({tableNode, fieldNodes}) => {
+                    const matchingFieldNodes = lowerCaseQuery
+                        ? fieldNodes.filter(matchesQuery)
+                        : fieldNodes;
+                    if (
+                        lowerCaseQuery &&
+                        !matchesQuery(tableNode) &&
+                        matchingFieldNodes.length === 0
+                    ) {
+                        return null;
+                    }
+                    const isTableHidden = Boolean(hiddenNodeIds[tableNode.id]);
+                    // Show the fields when the user filters by name, or expands the table
+                    const shouldShowFields =
+                        !isTableHidden &&
+                        (expandedTableId === tableNode.id ||
+                            (lowerCaseQuery && matchingFieldNodes.length > 0));
+                    return (
+                        <Box key={tableNode.id} borderBottom="default" padding={2}>
+                            <Box display="flex" alignItems="center">
+                                <Switch
+                                    flex="auto"
+                                    size="small"
+                                    backgroundColor="transparent"
+                                    label={tableNode.name}
+                                    value={!isTableHidden}
+                                    onChange={isVisible =>
+                                        setIsNodeVisible(tableNode.id, isVisible)
+                                    }
+                                    disabled={!canSetLayout}
+                                />
+                                {!isTableHidden && (
+                                    <TextButton
+                                        flex="none"
+                                        size="small"
+                                        marginLeft={2}
+                                        onClick={() =>
+                                            setExpandedTableId(
+                                                expandedTableId === tableNode.id
+                                                    ? null
+                                                    : tableNode.id,
+                                            )
+                                        }
+                                    >
+                                        {fieldNodes.length} fields
+                                    </TextButton>
+                                )}
+                            </Box>
+                            {shouldShowFields &&
+                                (expandedTableId === tableNode.id
+                                    ? fieldNodes
+                                    : matchingFieldNodes
+                                ).map(fieldNode => (
+                                    <Switch
+                                        key={fieldNode.id}
+                                        size="small"
+                                        backgroundColor="transparent"
+                                        marginLeft={3}
+                                        label={fieldNode.name}
+                                        value={!hiddenNodeIds[fieldNode.id]}
+                                        onChange={isVisible =>
+                                            setIsNodeVisible(fieldNode.id, isVisible)
+                                        }
+                                        disabled={!canSetLayout}
+                                    />
+                                ))}
+                        </Box>
+                    );
+                })}
+            </Box>
+            <Box display="flex" alignItems="center" justifyContent="space-between" marginTop={2}>
+                <Text textColor="light">
+                    {numHiddenNodes === 0
+                        ? 'Nothing hidden'
+                        : `${numHiddenNodes} ${numHiddenNodes === 1 ? 'item' : 'items'} hidden`}
+                </Text>
+                <Button
+                    size="small"
+                    icon="show"
+                    onClick={() =>
+                        setLayoutPathsAsync([{path: hiddenNodeIdsPath, value: undefined}])
+                    }
+                    disabled={!canSetLayout || numHiddenNodes === 0}
+                >
+                    Show all
+                </Button>
+            </Box>
+        </Box>
+    );
+}
+
+VisibilityManager.propTypes = {
+    settings: PropTypes.object.isRequired,
+};
@@ -0,0 +1,118 @@
+import {FieldType} from '@airtable/blocks/models';
+
+import {ROW_WIDTH, TABLE_BORDER_WIDTH} from './constants';
+import {getTableHeight} from './coordinateHelpers';
+
+// Directions for moving keyboard focus between tables, by arrow key
+export const FOCUS_DIRECTIONS_BY_KEY = Object.freeze({
+    ArrowLeft: {dx: -1, dy: 0},
+    ArrowRight: {dx: 1, dy: 0},
+    ArrowUp: {dx: 0, dy: -1},
+    ArrowDown: {dx: 0, dy: 1},
+});
+
+/**
+ * Returns the name of a node, prefixed with its table name if it's a field.
+ *
+ * @param {Object} node
+ * @returns {string}
+ */
+function getNodeLabel(node) {
+    return node.type === 'table' ? node.name : `${node.tableName}: ${node.name}`;
+}
+
+/**
+ * Returns the label a screen reader announces for a table header or field row: its name, its type,
+ * and for fields, its relationships to other fields and tables.
+ *
+ * Relationships are grouped the same way as in the field inspector: links where the field is the
+ * source are what it depends on, and links where it is the target are what use it.
+ *
+ * @param {Object} node table header or field node
+ * @param {Object} nodesById all nodes (field or table header), by node id
+ * @param {Object} dependentLinksByNodeId list of links connected to each node, by node id
+ * @param {number} numFields number of fields shown in the table, if the node is a table header
+ * @returns {string}
+ */
+export function getNodeAriaLabel(node, nodesById, dependentLinksByNodeId, numFields = 0) {
+    if (node.type === 'table') {
+        return `${node.name} table, ${numFields} ${numFields === 1 ? 'field' : 'fields'} shown`;
+    }
+
+    const linkedTo = [];
+    const dependsOn = [];
+    const usedBy = [];
+    for (const link of dependentLinksByNodeId[node.id] || []) {
+        const isSource = link.sourceId === node.id;
+        const otherNode = nodesById[isSource ? link.targetId : link.sourceId];
+        if (!otherNode) {
+            continue;
+        }
+        if (link.type === FieldType.MULTIPLE_RECORD_LINKS) {
+            linkedTo.push(getNodeLabel(otherNode));
+        } else if (isSource) {
+            dependsOn.push(getNodeLabel(otherNode));
+        } else {
+            usedBy.push(getNodeLabel(otherNode));
+        }
+    }
+
+    const sentences = [`${node.name}, ${node.tooltipLabel || 'field'}.`];
+    if (linkedTo.length > 0) {
+        sentences.push(`Linked to ${linkedTo.join(', ')}.`);
+    }
+    if (dependsOn.length > 0) {
+        sentences.push(`Depends on ${dependsOn.join(', ')}.`);
+    }
+    if (usedBy.length > 0) {
+        sentences.push(`Used by ${usedBy.join(', ')}.`);
+    }
+    return sentences.join(' ');
+}
+
+/**
+ * Given a table, find the nearest other table in the given direction, to move keyboard focus to.
+ * Tables are compared by their centers, and tables further off to the side count as further away,
+ * so that focus stays in the same row or column of tables where possible.
+ *
+ * @param {string} tableId id of the table focus is moving from
+ * @param {{dx: number, dy: number}} direction one of FOCUS_DIRECTIONS_BY_KEY
+ * @param {Object} tableCoordsByTableId x,y coordinates for each table, by table id
+ * @param {Object} tableConfigsByTableId rendered table configuration of fieldNodes & table header,
+ *     by table id
+ * @returns {string | null} id of the nearest table, or null if there's none in that direction
+ */
+export function findTableInDirection(
+    tableId,
+    {dx, dy},
+    tableCoordsByTableId,
+    tableConfigsByTableId,
+) {
+    const getCenter = id => ({
+        x: tableCoordsByTableId[id].x + (ROW_WIDTH + 2 * TABLE_BORDER_WIDTH) / 2,
+        y: tableCoordsByTableId[id].y + getTableHeight(tableConfigsByTableId[id]) / 2,
+    });
+    const center = getCenter(tableId);
+
+    let nearestTableId = null;
+    let nearestDistance = Infinity;
+    for (const otherTableId of Object.keys(tableConfigsByTableId)) {
+        if (otherTableId === tableId || !tableCoordsByTableId[otherTableId]) {
+            continue;
+        }
+        const otherCenter = getCenter(otherTableId);
+        const forwardDistance = (otherCenter.x - center.x) * dx + (otherCenter.y - center.y) * dy;
+        if (forwardDistance <= 0) {
+            continue;
+        }
+        const sidewaysDistance = Math.abs(
+            (otherCenter.x - center.x) * dy + (otherCenter.y - center.y) * dx,
+        );
+        const distance = forwardDistance + 2 * sidewaysDistance;
+        if (distance < nearestDistance) {
+            nearestTableId = otherTableId;
+            nearestDistance = distance;
+        }
+    }
+    return nearestTableId;
+}
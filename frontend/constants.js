@@ -10,6 +10,8 @@ export const ROW_WIDTH = 180;
 export const TEXT_PADDING_X = 10;
 export const TABLE_BORDER_WIDTH = 2;
 export const TABLE_BORDER_RADIUS = 4;
+// Size of the grid tables snap to, and are moved along from the keyboard, unless changed in settings
+export const DEFAULT_GRID_SIZE = 20;
 // Give table headers rounded top-left / top-right corners
 export const TABLE_HEADER_PATH = `
     M 0 ${ROW_HEIGHT}
@@ -21,6 +23,21 @@ export const TABLE_HEADER_PATH = `
     Z
 `;
 
+// ===========
+// INTERACTION
+// ===========
+// Max distance (in px) the mouse can move between mousedown and click for it to count as a click,
+// rather than the end of a pan
+export const CLICK_MOVE_TOLERANCE = 3;
+
+// ======================
+// GROUP FRAME DIMENSIONS
+// ======================
+// Gap between a group frame and the tables inside it
+export const GROUP_FRAME_PADDING = 16;
+// Height of the group name label along the top of a group frame
+export const GROUP_FRAME_LABEL_HEIGHT = 28;
+
 // ===============
 // TEXT FORMATTING
 // ===============
@@ -102,6 +119,8 @@ export const NODE_PROP_TYPE = PropTypes.shape({
     type: PropTypes.oneOf(['table', 'field']).isRequired,
     tableName: PropTypes.string.isRequired,
     tableId: PropTypes.string.isRequired,
+    // only set for field nodes
+    fieldType: PropTypes.string,
     tooltipLabel: PropTypes.string.isRequired,
 });
 export const COORDS_PROP_TYPE = PropTypes.shape({
@@ -112,3 +131,8 @@ export const TABLE_CONFIG_PROP_TYPE = PropTypes.shape({
     tableNode: NODE_PROP_TYPE.isRequired,
     fieldNodes: PropTypes.arrayOf(NODE_PROP_TYPE.isRequired).isRequired,
 });
+export const GROUP_PROP_TYPE = PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    color: PropTypes.string.isRequired,
+    tableIds: PropTypes.arrayOf(PropTypes.string.isRequired).isRequired,
+});
@@ -6,7 +6,63 @@ import {
     ROW_WIDTH,
     TABLE_BORDER_WIDTH,
     TABLE_BORDER_RADIUS,
+    GROUP_FRAME_PADDING,
+    GROUP_FRAME_LABEL_HEIGHT,
 } from './constants';
+import {getHiddenLinkEnd, LinkEnds} from './tableDisplayHelpers';
+
+// Length of the line, and radius of the circle at its end, for links whose other end is hidden
+const LINK_STUB_LENGTH = 16;
+const LINK_STUB_BADGE_RADIUS = 4;
+
+export const LinkRoutings = Object.freeze({
+    CURVED: 'curved',
+    ORTHOGONAL: 'orthogonal',
+});
+
+// Gap kept between orthogonal links and the tables they're routed around
+const LINK_ROUTING_CLEARANCE = 12;
+// Extra cost of each bend in an orthogonal link, so that routes with fewer bends are preferred
+const LINK_BEND_COST = 40;
+// How far an orthogonal link may be routed beyond the bounding box of its ends, to get around the
+// tables in the way
+const LINK_ROUTING_SEARCH_MARGIN = 2 * (ROW_WIDTH + TABLE_GUTTER_SIZE);
+// Most search states explored when routing an orthogonal link, after which it's drawn with the
+// fewest bends instead (@see getDirectOrthogonalRoute)
+const MAX_LINK_ROUTING_SEARCH_STATES = 20000;
+// Gap between parallel orthogonal links that share a channel between tables
+const LINK_NUDGE_SPACING = 4;
+const LINK_CORNER_RADIUS = 6;
+// Tolerance for comparing coordinates, since dragged tables have fractional coordinates
+const ROUTING_EPSILON = 0.5;
+// Links between the same two tables are bundled together once there are this many of them
+const MIN_LINKS_PER_BUNDLE = 3;
+// Horizontal length of the fans at each end of a bundle, between the rows and the trunk
+const BUNDLE_FAN_LENGTH = 40;
+// Gap between the ends of bundled links that connect to the same row
+const BUNDLE_PORT_SPACING = 4;
+// Index deltas into the routing grid for each direction of travel: right, left, down, up
+const ROUTING_DIRECTIONS = [
+    {dx: 1, dy: 0},
+    {dx: -1, dy: 0},
+    {dx: 0, dy: 1},
+    {dx: 0, dy: -1},
+];
+
+// Orthogonal routes of each calculation of the link paths, before they were nudged apart, by the
+// calculated link paths, so that they can be reused by the next calculation
+const routesByLinkPaths = new WeakMap();
+
+/**
+ * Given a table config, calculate the rendered height of the table, including its border.
+ *
+ * @param {Object} tableConfig table header & field nodes for a table
+ * @returns {number}
+ */
+export function getTableHeight(tableConfig) {
+    const numRows = 1 + tableConfig.fieldNodes.length; // account for table header
+    return numRows * ROW_HEIGHT + 2 * TABLE_BORDER_WIDTH;
+}
 
 /**
  * Given a set of table configs, determine initial position coords for each table.
@@ -16,8 +72,9 @@ import {
  * attempting to make the "grid" square (eg, 9 tables : 3 columns, 16 tables : 4 columns, etc).
  *
  * @param {Object} tableConfigsByTableId table header & field nodes for each table, by table id
+ * @param {number} spacing gap between tables
  */
-export function getInitialTableCoords(tableConfigsByTableId) {
+export function getInitialTableCoords(tableConfigsByTableId, spacing = TABLE_GUTTER_SIZE) {
     const numColumns = Math.ceil(Math.sqrt(Object.keys(tableConfigsByTableId).length));
     const columnHeights = Array(numColumns).fill(0);
 
@@ -39,16 +96,15 @@ export function getInitialTableCoords(tableConfigsByTableId) {
     const tableCoordsByTableId = {};
 
     for (const [tableId, tableConfig] of Object.entries(tableConfigsByTableId)) {
-        const numRows = 1 + tableConfig.fieldNodes.length; // account for table header
         const columnIndex = getShortestColumn();
 
         // calculate coords for this table
         const y = columnHeights[columnIndex];
-        const x = columnIndex * (ROW_WIDTH + TABLE_GUTTER_SIZE);
+        const x = columnIndex * (ROW_WIDTH + spacing);
         tableCoordsByTableId[tableId] = {x, y};
 
         // increase the column height
-        const dy = numRows * ROW_HEIGHT + TABLE_GUTTER_SIZE;
+        const dy = getTableHeight(tableConfig) + spacing;
         columnHeights[columnIndex] += dy;
     }
 
@@ -66,7 +122,8 @@ export function getInitialTableCoords(tableConfigsByTableId) {
  * coordinates assigned, and then remedies that. Any missing tables are positioned in a new column
  * to the right of the current right-most table.
  *
- * @param {Object} newTableConfigs table configuration of fieldNodes & table header, by table id
+ * @param {Object} newTableConfigs rendered table configuration of fieldNodes & table header, by
+ *     table id
  * @param {Object} oldTableCoords x,y coordinates for each table, by table id
  */
 export function getUpdatedTableCoords(newTableConfigs, oldTableCoords) {
@@ -90,32 +147,242 @@ export function getUpdatedTableCoords(newTableConfigs, oldTableCoords) {
     const newTableCoords = newTableIds.reduce((accumulatedTableCoords, currentTableId) => {
         const x = rightMostTablePosition + ROW_WIDTH + TABLE_GUTTER_SIZE;
         const y = verticalOffset;
-        verticalOffset +=
-            (newTableConfigs[currentTableId].fieldNodes.length + 1) * ROW_HEIGHT +
-            TABLE_GUTTER_SIZE;
+        verticalOffset += getTableHeight(newTableConfigs[currentTableId]) + TABLE_GUTTER_SIZE;
         return {...accumulatedTableCoords, [currentTableId]: {x, y}};
     }, {});
     return {...oldTableCoords, ...newTableCoords};
 }
 
+/**
+ * Returns the ids of the tables whose rendered config or coords changed since a previous
+ * calculation of the link paths, including tables that were added or removed. Table configs are
+ * compared by identity (@see getRenderedTableConfigs), and coords by value.
+ *
+ * @param {Object} tableConfigsByTableId rendered table configuration of fieldNodes & table header,
+ *     by table id
+ * @param {Object} tableCoordsByTableId x,y coordinates for each table, by table id
+ * @param {Object} previousTableConfigsByTableId rendered table configs of the previous calculation
+ * @param {Object} previousTableCoordsByTableId table coords of the previous calculation
+ * @returns {Set<string>} ids of the changed tables
+ */
+function getChangedTableIds(
+    tableConfigsByTableId,
+    tableCoordsByTableId,
+    previousTableConfigsByTableId,
+    previousTableCoordsByTableId,
+) {
+    const tableIds = _.union(
+        Object.keys(tableConfigsByTableId),
+        Object.keys(previousTableConfigsByTableId),
+    );
+    return new Set(
+        tableIds.filter(
+            tableId =>
+                tableConfigsByTableId[tableId] !== previousTableConfigsByTableId[tableId] ||
+                !_.isEqual(tableCoordsByTableId[tableId], previousTableCoordsByTableId[tableId]),
+        ),
+    );
+}
+
 /**
  * Given all link and table information, calculate the path `d` attribute values for each link.
  *
+ * Links with both ends hidden have no path. Links with one end hidden are drawn as a stub (@see
+ * calculateLinkStubPath) from the visible end.
+ *
+ * If the arguments & result of a previous calculation are given, paths that can't have changed
+ * since are reused rather than recalculated, eg when a field is renamed, only the links to its
+ * table are recalculated. A curved link only depends on the tables at either end. Orthogonal links
+ * are routed around every table, so they're also routed again if a changed table is near their
+ * previous route, and every route is nudged apart from the others again.
+ *
  * @param {Object} linksById link objects, by link id
- * @param {Object} tableConfigsByTableId table configuration of fieldNodes & table header, by table id
+ * @param {Object} tableConfigsByTableId rendered table configuration of fieldNodes & table header,
+ *     by table id
  * @param {Object} tableCoordsByTableId x,y coordinates for each table, by table id
+ * @param {Object} hiddenNodeIds `true` for each hidden table id and field id
+ * @param {'curved' | 'orthogonal'} linkRouting how links are drawn (@see LinkRoutings)
+ * @param {Object | null} previousCalculation the arguments of a previous call by name, along with
+ *     its result as `linkPathsByLinkId`
  * @returns {Object.<string, string>} link paths (`d` attribute values) by link id
  */
-export function calculateLinkPaths(linksById, tableConfigsByTableId, tableCoordsByTableId) {
+export function calculateLinkPaths(
+    linksById,
+    tableConfigsByTableId,
+    tableCoordsByTableId,
+    hiddenNodeIds = {},
+    linkRouting = LinkRoutings.CURVED,
+    previousCalculation = null,
+) {
+    const isOrthogonal = linkRouting === LinkRoutings.ORTHOGONAL;
+    let changedTableIds = null;
+    // Obstacles around the old and new positions of the changed tables
+    let changedObstacles = [];
+    let previousRoutesByLinkId = {};
+    if (
+        previousCalculation &&
+        previousCalculation.hiddenNodeIds === hiddenNodeIds &&
+        previousCalculation.linkRouting === linkRouting
+    ) {
+        changedTableIds = getChangedTableIds(
+            tableConfigsByTableId,
+            tableCoordsByTableId,
+            previousCalculation.tableConfigsByTableId,
+            previousCalculation.tableCoordsByTableId,
+        );
+        if (isOrthogonal) {
+            changedObstacles = [
+                ...getTableObstacles(
+                    changedTableIds,
+                    previousCalculation.tableConfigsByTableId,
+                    previousCalculation.tableCoordsByTableId,
+                ),
+                ...getTableObstacles(changedTableIds, tableConfigsByTableId, tableCoordsByTableId),
+            ];
+            previousRoutesByLinkId =
+                routesByLinkPaths.get(previousCalculation.linkPathsByLinkId) || {};
+        }
+    }
+
     const linkPathsByLinkId = {};
+    // The router is only created once a link needs to be routed
+    let router = null;
+    const routesByLinkId = {};
     for (const [linkId, link] of Object.entries(linksById)) {
-        const linkCoords = calculateLinkCoords(link, tableCoordsByTableId, tableConfigsByTableId);
-        const linkPath = calculateLinkPath(linkCoords);
-        linkPathsByLinkId[linkId] = linkPath;
+        if (
+            changedTableIds &&
+            previousCalculation.linksById[linkId] === link &&
+            !changedTableIds.has(link.sourceTableId) &&
+            !changedTableIds.has(link.targetTableId)
+        ) {
+            const previousRoute = previousRoutesByLinkId[linkId];
+            if (!previousRoute) {
+                if (_.has(previousCalculation.linkPathsByLinkId, linkId)) {
+                    linkPathsByLinkId[linkId] = previousCalculation.linkPathsByLinkId[linkId];
+                }
+                continue;
+            }
+            // An orthogonal route is routed again if a table was moved (or resized) near it,
+            // since the route may now be blocked, or a shorter route may have been freed up
+            if (!changedObstacles.some(obstacle => isRouteNearObstacle(previousRoute, obstacle))) {
+                routesByLinkId[linkId] = previousRoute;
+                continue;
+            }
+        }
+        // Orthogonal routes are collected first, so that parallel links can be nudged apart
+        if (isOrthogonal && getHiddenLinkEnd(link, tableConfigsByTableId, hiddenNodeIds) === null) {
+            if (!router) {
+                router = createLinkRouter(tableConfigsByTableId, tableCoordsByTableId);
+            }
+            const route = routeOrthogonalLink(
+                router,
+                calculateLinkCoords(link, tableCoordsByTableId, tableConfigsByTableId),
+            );
+            if (route !== null) {
+                routesByLinkId[linkId] = route;
+                continue;
+            }
+        }
+        const linkPath = calculateLinkPathForLink(
+            link,
+            tableCoordsByTableId,
+            tableConfigsByTableId,
+            hiddenNodeIds,
+            linkRouting,
+        );
+        if (linkPath !== null) {
+            linkPathsByLinkId[linkId] = linkPath;
+        }
+    }
+
+    // Routes are nudged apart as copies, so the routes themselves can be reused by the next
+    // calculation
+    const nudgedRoutesByLinkId = _.mapValues(routesByLinkId, route =>
+        route.map(point => ({...point})),
+    );
+    nudgeParallelRoutes(nudgedRoutesByLinkId);
+    for (const [linkId, route] of Object.entries(nudgedRoutesByLinkId)) {
+        linkPathsByLinkId[linkId] = calculateOrthogonalLinkPath(route);
     }
+    routesByLinkPaths.set(linkPathsByLinkId, routesByLinkId);
     return linkPathsByLinkId;
 }
 
+/**
+ * Given a link and table information, calculate the path `d` attribute value for the link, taking
+ * into account whether either end of the link is hidden.
+ *
+ * Orthogonal links are drawn with the fewest bends, rather than routed around the tables in the
+ * way, since this is called on every mouse move while tables are dragged. They're routed once the
+ * tables are dropped (@see calculateLinkPaths).
+ *
+ * @param {Object} link link object
+ * @param {Object} tableCoordsByTableId x,y coordinates for each table, by table id
+ * @param {Object} tableConfigsByTableId rendered table configuration of fieldNodes & table header,
+ *     by table id
+ * @param {Object} hiddenNodeIds `true` for each hidden table id and field id
+ * @param {'curved' | 'orthogonal'} linkRouting how links are drawn (@see LinkRoutings)
+ * @returns {string | null} `d` value attribute, or null if both ends of the link are hidden
+ */
+export function calculateLinkPathForLink(
+    link,
+    tableCoordsByTableId,
+    tableConfigsByTableId,
+    hiddenNodeIds = {},
+    linkRouting = LinkRoutings.CURVED,
+) {
+    switch (getHiddenLinkEnd(link, tableConfigsByTableId, hiddenNodeIds)) {
+        case LinkEnds.BOTH:
+            return null;
+        case LinkEnds.SOURCE:
+            return calculateLinkStubPath(
+                getRowCoords(
+                    tableCoordsByTableId[link.targetTableId],
+                    tableConfigsByTableId[link.targetTableId],
+                    link.targetId,
+                ),
+            );
+        case LinkEnds.TARGET:
+            return calculateLinkStubPath(
+                getRowCoords(
+                    tableCoordsByTableId[link.sourceTableId],
+                    tableConfigsByTableId[link.sourceTableId],
+                    link.sourceId,
+                ),
+            );
+        default: {
+            const linkCoords = calculateLinkCoords(
+                link,
+                tableCoordsByTableId,
+                tableConfigsByTableId,
+            );
+            if (linkRouting === LinkRoutings.ORTHOGONAL) {
+                return calculateOrthogonalLinkPath(getDirectOrthogonalRoute(linkCoords));
+            }
+            return calculateLinkPath(linkCoords);
+        }
+    }
+}
+
+/**
+ * Given a table's coords and rendered config, determine the coordinates of the left edge of a
+ * node's row, vertically centered. Fields that aren't rendered (because the table is collapsed)
+ * resolve to the table header row.
+ *
+ * @param {Object} tableCoords x,y coordinates of the table
+ * @param {Object} tableConfig rendered table header & field nodes
+ * @param {string} nodeId id of the table header or a field in the table
+ * @returns {{x: number, y: number}}
+ */
+function getRowCoords(tableCoords, tableConfig, nodeId) {
+    const fieldIndex = tableConfig.fieldNodes.findIndex(n => n.id === nodeId);
+    const yOffset = fieldIndex === -1 ? 0 : ROW_HEIGHT + fieldIndex * ROW_HEIGHT;
+    return {
+        x: tableCoords.x + TABLE_BORDER_WIDTH,
+        y: tableCoords.y + yOffset + TABLE_BORDER_WIDTH + ROW_HEIGHT / 2,
+    };
+}
+
 /**
  * Given a link and table information, determine the x,y coordinates for the source and target
  * of that link, and whether the link should be drawn using a direct path.
@@ -126,8 +393,9 @@ export function calculateLinkPaths(linksById, tableConfigsByTableId, tableCoords
  * path.
  *
  * @param {Object} link link object
- * @param {Object} tableConfigsByTableId table configuration of fieldNodes & table header, by table id
  * @param {Object} tableCoordsByTableId x,y coordinates for each table, by table id
+ * @param {Object} tableConfigsByTableId rendered table configuration of fieldNodes & table header,
+ *     by table id
  * @returns {{
  *     sourceCoords: {x: number, y: number},
  *     targetCoords: {x: number, y: number},
@@ -135,39 +403,19 @@ export function calculateLinkPaths(linksById, tableConfigsByTableId, tableCoords
  * }}
  */
 export function calculateLinkCoords(link, tableCoordsByTableId, tableConfigsByTableId) {
-    // Source is always a field row (never will be a table header)
-    const sourceTableCoords = tableCoordsByTableId[link.sourceTableId];
-    const sourceTableConfig = tableConfigsByTableId[link.sourceTableId];
-    const sourceFieldIndex = sourceTableConfig.fieldNodes.findIndex(n => n.id === link.sourceId);
-    if (sourceFieldIndex === -1) {
-        throw new Error(`Could not find field ${link.sourceId} in table ${link.sourceTableId}`);
-    }
-    const sourceYOffset = ROW_HEIGHT + sourceFieldIndex * ROW_HEIGHT;
-    const sourceNodeCoords = {
-        x: sourceTableCoords.x + TABLE_BORDER_WIDTH,
-        y: sourceTableCoords.y + sourceYOffset + TABLE_BORDER_WIDTH + ROW_HEIGHT / 2,
-    };
+    // Source is always a field row (never will be a table header), unless the field isn't rendered
+    const sourceNodeCoords = getRowCoords(
+        tableCoordsByTableId[link.sourceTableId],
+        tableConfigsByTableId[link.sourceTableId],
+        link.sourceId,
+    );
 
     // Target can be a table header if the link is a self-linking linked record
-    const targetTableCoords = tableCoordsByTableId[link.targetTableId];
-    const targetTableConfig = tableConfigsByTableId[link.targetTableId];
-    let targetYOffset;
-    if (link.targetId === link.targetTableId) {
-        // self-linking linked record; link target is the table header
-        targetYOffset = 0;
-    } else {
-        const targetFieldIndex = targetTableConfig.fieldNodes.findIndex(
-            n => n.id === link.targetId,
-        );
-        if (targetFieldIndex === -1) {
-            throw new Error(`Could not find field ${link.targetId} in table ${link.targetTableId}`);
-        }
-        targetYOffset = ROW_HEIGHT + targetFieldIndex * ROW_HEIGHT;
-    }
-    const targetNodeCoords = {
-        x: targetTableCoords.x + TABLE_BORDER_WIDTH,
-        y: targetTableCoords.y + targetYOffset + TABLE_BORDER_WIDTH + ROW_HEIGHT / 2,
-    };
+    const targetNodeCoords = getRowCoords(
+        tableCoordsByTableId[link.targetTableId],
+        tableConfigsByTableId[link.targetTableId],
+        link.targetId,
+    );
 
     if (sourceNodeCoords.x - targetNodeCoords.x > ROW_WIDTH) {
         // source row completely to the right of target row, with no overlap:
@@ -225,13 +473,29 @@ export function calculateLinkCoords(link, tableCoordsByTableId, tableConfigsByTa
     };
 }
 
+/**
+ * Given the coordinates for the ends of a link (@see calculateLinkCoords), determine which way the
+ * link leaves the source row and enters the target row: -1 for the left edge, 1 for the right edge.
+ * The ends of a direct path face each other, otherwise both ends are on the right edge.
+ *
+ * @param {Object} linkCoords x,y coordinates for the source and target, and whether to use the
+ *     direct path between them
+ * @returns {{sourceSide: number, targetSide: number}}
+ */
+function getLinkSides({sourceCoords, targetCoords, useDirectPath}) {
+    return {
+        sourceSide: useDirectPath && sourceCoords.x > targetCoords.x ? -1 : 1,
+        targetSide: useDirectPath && targetCoords.x > sourceCoords.x ? -1 : 1,
+    };
+}
+
 /**
  * Given source and target coordinates, and whether to use direct path (S-shaped), construct the
  * `d` value attribute for the link connecting these two points.
  *
  * NOTE: This implementation uses simple bezier curves with some assumptions regarding the control
- * points. This could be refactored to build "taxi-cab" paths, straight-edge paths, direct lines,
- * etc.
+ * points, and doesn't avoid tables in the way. Links can also be drawn as orthogonal paths that are
+ * routed around tables (@see routeOrthogonalLink).
  *
  * @param {Object} sourceCoords x,y coordinates for the source
  * @param {Object} targetCoords x,y coordinates for the target
@@ -239,8 +503,23 @@ export function calculateLinkCoords(link, tableCoordsByTableId, tableConfigsByTa
  * @returns {string} `d` value attribute
  */
 export function calculateLinkPath({sourceCoords, targetCoords, useDirectPath}) {
-    // initialize with the starting point
-    let result = `M ${sourceCoords.x} ${sourceCoords.y}`;
+    return (
+        `M ${sourceCoords.x} ${sourceCoords.y}` +
+        calculateLinkCurve({sourceCoords, targetCoords, useDirectPath})
+    );
+}
+
+/**
+ * Construct the bezier curve of a link (@see calculateLinkPath), without moving to the starting
+ * point first, so that it can be joined to other parts of a path.
+ *
+ * @param {Object} sourceCoords x,y coordinates for the source
+ * @param {Object} targetCoords x,y coordinates for the target
+ * @param {boolean} useDirectPath whether to use the direct S-shaped path to connect the points
+ * @returns {string} part of a `d` value attribute
+ */
+function calculateLinkCurve({sourceCoords, targetCoords, useDirectPath}) {
+    let result = '';
 
     if (useDirectPath) {
         // For direct paths, we want to scale the X value of the control points with how close
@@ -274,6 +553,766 @@ export function calculateLinkPath({sourceCoords, targetCoords, useDirectPath}) {
     return result;
 }
 
+/**
+ * Given the visible links, group the links between each pair of tables into a bundle, once there
+ * are enough of them. Links connecting a table to itself aren't bundled.
+ *
+ * Which edge of each table a link connects to only depends on the relative position of the two
+ * tables (@see calculateLinkCoords), so every link in a bundle runs between the same two edges.
+ *
+ * @param {Object} linksById link objects, by link id
+ * @param {Object} tableConfigsByTableId rendered table configuration of fieldNodes & table header,
+ *     by table id
+ * @param {Object} hiddenNodeIds `true` for each hidden table id and field id
+ * @param {Object} enabledLinksByType whether each link type is enabled, by link type
+ * @returns {Object.<string, {id: string, tableIds: string[], links: Object[]}>} bundles, by bundle id
+ */
+export function getLinkBundles(
+    linksById,
+    tableConfigsByTableId,
+    hiddenNodeIds,
+    enabledLinksByType,
+) {
+    const linksByBundleId = _.groupBy(
+        Object.values(linksById).filter(
+            link =>
+                enabledLinksByType[link.type] &&
+                link.sourceTableId !== link.targetTableId &&
+                getHiddenLinkEnd(link, tableConfigsByTableId, hiddenNodeIds) === null,
+        ),
+        link => `bnd_${[link.sourceTableId, link.targetTableId].sort().join('_')}`,
+    );
+    const linkBundlesById = {};
+    for (const [bundleId, links] of Object.entries(linksByBundleId)) {
+        if (links.length >= MIN_LINKS_PER_BUNDLE) {
+            linkBundlesById[bundleId] = {
+                id: bundleId,
+                tableIds: [links[0].sourceTableId, links[0].targetTableId].sort(),
+                links,
+            };
+        }
+    }
+    return linkBundlesById;
+}
+
+/**
+ * Spreads out the ends of bundled links that connect to the same row, so that each link can be
+ * seen (and hovered) where it leaves the row. Ends are ordered by the height of the other end of
+ * their link, so that the links don't cross as they fan out.
+ *
+ * Mutates the given ends.
+ *
+ * @param {Array<{x: number, y: number}>} ends coordinates of the links at one table
+ * @param {Array<{x: number, y: number}>} otherEnds coordinates of the same links at the other table
+ */
+function spreadBundlePorts(ends, otherEnds) {
+    const endIndexesByRowY = _.groupBy(_.range(ends.length), index => ends[index].y);
+    for (const endIndexes of Object.values(endIndexesByRowY)) {
+        if (endIndexes.length < 2) {
+            continue;
+        }
+        // Keep the ends within the row
+        const spacing = Math.min(BUNDLE_PORT_SPACING, (ROW_HEIGHT - 8) / (endIndexes.length - 1));
+        const sortedEndIndexes = _.sortBy(endIndexes, index => otherEnds[index].y);
+        for (const [position, index] of sortedEndIndexes.entries()) {
+            ends[index].y += (position - (sortedEndIndexes.length - 1) / 2) * spacing;
+        }
+    }
+}
+
+/**
+ * Construct the part of a bundled link's path that fans out between a row and the trunk of the
+ * bundle, leaving and arriving horizontally.
+ *
+ * @param {Object} from x,y coordinates to start from
+ * @param {Object} to x,y coordinates to end at
+ * @returns {string} part of a `d` value attribute
+ */
+function calculateFanCurve(from, to) {
+    const middleX = (from.x + to.x) / 2;
+    return `C ${middleX} ${from.y} ${middleX} ${to.y} ${to.x} ${to.y}`;
+}
+
+/**
+ * Given a bundle of links between two tables (@see getLinkBundles), calculate the path `d`
+ * attribute values for the trunk of the bundle and for each of its links.
+ *
+ * The trunk runs between a point just outside each table, level with the middle of the links' ends
+ * at that table. Each link fans out from its row to the trunk, follows the trunk exactly, and fans
+ * out again to the row at the other end, so that the links in a bundle overlap as one thick line
+ * while still being separate elements.
+ *
+ * @param {Object} bundle links between two tables
+ * @param {Object} tableCoordsByTableId x,y coordinates for each table, by table id
+ * @param {Object} tableConfigsByTableId rendered table configuration of fieldNodes & table header,
+ *     by table id
+ * @returns {{trunkPath: string, linkPathsByLinkId: Object.<string, string>}}
+ */
+export function calculateBundledLinkPaths(
+    {tableIds, links},
+    tableCoordsByTableId,
+    tableConfigsByTableId,
+) {
+    // Ends of each link at each table of the bundle, and the side of the table they're on
+    const endsByTableId = {[tableIds[0]]: [], [tableIds[1]]: []};
+    const sidesByTableId = {};
+    let useDirectPath = false;
+    for (const link of links) {
+        const linkCoords = calculateLinkCoords(link, tableCoordsByTableId, tableConfigsByTableId);
+        const {sourceSide, targetSide} = getLinkSides(linkCoords);
+        endsByTableId[link.sourceTableId].push({...linkCoords.sourceCoords});
+        endsByTableId[link.targetTableId].push({...linkCoords.targetCoords});
+        sidesByTableId[link.sourceTableId] = sourceSide;
+        sidesByTableId[link.targetTableId] = targetSide;
+        useDirectPath = linkCoords.useDirectPath;
+    }
+    const [firstEnds, secondEnds] = tableIds.map(tableId => endsByTableId[tableId]);
+    spreadBundlePorts(firstEnds, secondEnds);
+    spreadBundlePorts(secondEnds, firstEnds);
+
+    // Keep the fans short enough that the trunk doesn't double back between tables that are close
+    const fanLength = useDirectPath
+        ? Math.min(BUNDLE_FAN_LENGTH, Math.abs(firstEnds[0].x - secondEnds[0].x) / 3)
+        : BUNDLE_FAN_LENGTH;
+    const trunkEndsByTableId = _.mapValues(endsByTableId, (ends, tableId) => ({
+        x: ends[0].x + sidesByTableId[tableId] * fanLength,
+        y: _.meanBy(ends, 'y'),
+    }));
+    const [firstTrunkEnd, secondTrunkEnd] = tableIds.map(tableId => trunkEndsByTableId[tableId]);
+
+    const linkPathsByLinkId = {};
+    for (const [index, link] of links.entries()) {
+        const isReversed = link.sourceTableId !== tableIds[0];
+        const sourceEnd = (isReversed ? secondEnds : firstEnds)[index];
+        const targetEnd = (isReversed ? firstEnds : secondEnds)[index];
+        const sourceTrunkEnd = isReversed ? secondTrunkEnd : firstTrunkEnd;
+        const targetTrunkEnd = isReversed ? firstTrunkEnd : secondTrunkEnd;
+        linkPathsByLinkId[link.id] = [
+            `M ${sourceEnd.x} ${sourceEnd.y}`,
+            calculateFanCurve(sourceEnd, sourceTrunkEnd),
+            calculateLinkCurve({
+                sourceCoords: sourceTrunkEnd,
+                targetCoords: targetTrunkEnd,
+                useDirectPath,
+            }),
+            calculateFanCurve(targetTrunkEnd, targetEnd),
+        ].join(' ');
+    }
+    return {
+        trunkPath: calculateLinkPath({
+            sourceCoords: firstTrunkEnd,
+            targetCoords: secondTrunkEnd,
+            useDirectPath,
+        }),
+        linkPathsByLinkId,
+    };
+}
+
+/**
+ * Returns the obstacles that orthogonal links are routed around for the given tables: the bounds of
+ * each table, grown by the routing clearance.
+ *
+ * @param {Iterable<string>} tableIds
+ * @param {Object} tableConfigsByTableId rendered table configuration of fieldNodes & table header,
+ *     by table id
+ * @param {Object} tableCoordsByTableId x,y coordinates for each table, by table id
+ * @returns {Array<{left: number, right: number, top: number, bottom: number}>}
+ */
+function getTableObstacles(tableIds, tableConfigsByTableId, tableCoordsByTableId) {
+    const obstacles = [];
+    for (const tableId of tableIds) {
+        const tableConfig = tableConfigsByTableId[tableId];
+        const tableCoords = tableCoordsByTableId[tableId];
+        if (!tableConfig || !tableCoords) {
+            continue;
+        }
+        obstacles.push({
+            left: tableCoords.x - LINK_ROUTING_CLEARANCE,
+            right: tableCoords.x + ROW_WIDTH + 2 * TABLE_BORDER_WIDTH + LINK_ROUTING_CLEARANCE,
+            top: tableCoords.y - LINK_ROUTING_CLEARANCE,
+            bottom: tableCoords.y + getTableHeight(tableConfig) + LINK_ROUTING_CLEARANCE,
+        });
+    }
+    return obstacles;
+}
+
+/**
+ * Whether an obstacle overlaps (or touches) the bounding box of an orthogonal route.
+ *
+ * @param {Array<{x: number, y: number}>} route corner points of the route
+ * @param {{left: number, right: number, top: number, bottom: number}} obstacle
+ * @returns {boolean}
+ */
+function isRouteNearObstacle(route, {left, right, top, bottom}) {
+    const xs = route.map(point => point.x);
+    const ys = route.map(point => point.y);
+    return _.min(xs) <= right && _.max(xs) >= left && _.min(ys) <= bottom && _.max(ys) >= top;
+}
+
+/**
+ * Returns the given numbers in ascending order, without duplicates.
+ *
+ * @param {number[]} values
+ * @returns {number[]}
+ */
+function getSortedUniqValues(values) {
+    return _.sortedUniq([...values].sort((a, b) => a - b));
+}
+
+/**
+ * Returns the values of a sorted array of numbers that are within the given range.
+ *
+ * @param {number[]} sortedValues
+ * @param {number} min
+ * @param {number} max
+ * @returns {number[]}
+ */
+function getSortedValuesInRange(sortedValues, min, max) {
+    return sortedValues.slice(
+        _.sortedIndex(sortedValues, min),
+        _.sortedLastIndex(sortedValues, max),
+    );
+}
+
+/**
+ * Returns a copy of a sorted array of unique numbers (@see getSortedUniqValues), with the given
+ * numbers added where they belong, unless they're already in it.
+ *
+ * @param {number[]} sortedValues
+ * @param {number[]} values
+ * @returns {number[]}
+ */
+function addToSortedUniqValues(sortedValues, values) {
+    const result = [...sortedValues];
+    for (const value of values) {
+        const index = _.sortedIndex(result, value);
+        if (result[index] !== value) {
+            result.splice(index, 0, value);
+        }
+    }
+    return result;
+}
+
+/**
+ * Given the rendered tables, create the router used to draw orthogonal links around them. The
+ * obstacles are the bounds of each table, grown by the routing clearance, and links travel along
+ * the grid of lines through the edges of the obstacles, which are kept sorted.
+ *
+ * Whether a segment between two grid points is clear of obstacles is cached on the router, since
+ * most of the grid is shared by every link. The arrays used by the search are kept on the router
+ * too, so they're only allocated once for every link routed with it.
+ *
+ * @param {Object} tableConfigsByTableId rendered table configuration of fieldNodes & table header,
+ *     by table id
+ * @param {Object} tableCoordsByTableId x,y coordinates for each table, by table id
+ * @returns {{
+ *     obstacles: Object[],
+ *     xs: number[],
+ *     ys: number[],
+ *     clearSegments: Map,
+ *     costs: Float64Array,
+ *     previousStates: Int32Array
+ * }}
+ */
+function createLinkRouter(tableConfigsByTableId, tableCoordsByTableId) {
+    const obstacles = getTableObstacles(
+        Object.keys(tableConfigsByTableId),
+        tableConfigsByTableId,
+        tableCoordsByTableId,
+    );
+    return {
+        obstacles,
+        xs: getSortedUniqValues(_.flatMap(obstacles, ({left, right}) => [left, right])),
+        ys: getSortedUniqValues(_.flatMap(obstacles, ({top, bottom}) => [top, bottom])),
+        clearSegments: new Map(),
+        costs: new Float64Array(0),
+        previousStates: new Int32Array(0),
+    };
+}
+
+/**
+ * Whether a horizontal or vertical segment stays clear of every obstacle. Segments may run along
+ * the edge of an obstacle, but not through it.
+ *
+ * @param {Object} router (@see createLinkRouter)
+ * @param {{x: number, y: number}} from
+ * @param {{x: number, y: number}} to
+ * @returns {boolean}
+ */
+function isSegmentClear(router, from, to) {
+    const key = `${from.x},${from.y},${to.x},${to.y}`;
+    if (!router.clearSegments.has(key)) {
+        const minX = Math.min(from.x, to.x);
+        const maxX = Math.max(from.x, to.x);
+        const minY = Math.min(from.y, to.y);
+        const maxY = Math.max(from.y, to.y);
+        router.clearSegments.set(
+            key,
+            router.obstacles.every(
+                ({left, right, top, bottom}) =>
+                    maxX <= left + ROUTING_EPSILON ||
+                    minX >= right - ROUTING_EPSILON ||
+                    maxY <= top + ROUTING_EPSILON ||
+                    minY >= bottom - ROUTING_EPSILON,
+            ),
+        );
+    }
+    return router.clearSegments.get(key);
+}
+
+/**
+ * Adds an item to a binary min-heap of `[priority, value]` items.
+ *
+ * @param {Array} heap
+ * @param {[number, number]} item
+ */
+function pushToHeap(heap, item) {
+    heap.push(item);
+    let index = heap.length - 1;
+    while (index > 0) {
+        const parentIndex = (index - 1) >> 1;
+        if (heap[parentIndex][0] <= heap[index][0]) {
+            break;
+        }
+        [heap[parentIndex], heap[index]] = [heap[index], heap[parentIndex]];
+        index = parentIndex;
+    }
+}
+
+/**
+ * Removes and returns the item with the lowest priority from a binary min-heap.
+ *
+ * @param {Array} heap
+ * @returns {[number, number]}
+ */
+function popFromHeap(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+        heap[0] = last;
+        let index = 0;
+        for (;;) {
+            const leftIndex = 2 * index + 1;
+            const rightIndex = leftIndex + 1;
+            let smallestIndex = index;
+            if (leftIndex < heap.length && heap[leftIndex][0] < heap[smallestIndex][0]) {
+                smallestIndex = leftIndex;
+            }
+            if (rightIndex < heap.length && heap[rightIndex][0] < heap[smallestIndex][0]) {
+                smallestIndex = rightIndex;
+            }
+            if (smallestIndex === index) {
+                break;
+            }
+            [heap[smallestIndex], heap[index]] = [heap[index], heap[smallestIndex]];
+            index = smallestIndex;
+        }
+    }
+    return top;
+}
+
+/**
+ * Removes the points of a route that lie on a straight line between their neighbours.
+ *
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {Array<{x: number, y: number}>}
+ */
+function simplifyRoute(points) {
+    const uniquePoints = points.filter(
+        (point, index) =>
+            index === 0 || point.x !== points[index - 1].x || point.y !== points[index - 1].y,
+    );
+    return uniquePoints.filter((point, index) => {
+        if (index === 0 || index === uniquePoints.length - 1) {
+            return true;
+        }
+        const previous = uniquePoints[index - 1];
+        const next = uniquePoints[index + 1];
+        return !(
+            (previous.x === point.x && point.x === next.x) ||
+            (previous.y === point.y && point.y === next.y)
+        );
+    });
+}
+
+/**
+ * Given the coordinates for the ends of a link (@see calculateLinkCoords), find an orthogonal route
+ * between them that goes around the tables in the way.
+ *
+ * The link leaves the source row, and enters the target row, horizontally on the side given by the
+ * link coords. In between, the route is the shortest path along the routing grid (@see
+ * createLinkRouter), found with A* search, where each bend adds to the length of the path. Only the
+ * part of the grid around the ends of the link is searched, and the search gives up after exploring
+ * a limited number of states, so a link can't take long to route however large the base is.
+ *
+ * @param {Object} router (@see createLinkRouter)
+ * @param {Object} linkCoords x,y coordinates for the source and target, and whether to use the
+ *     direct path between them
+ * @returns {Array<{x: number, y: number}> | null} corner points of the route, from the source to
+ *     the target, or null if there's no room to leave the source or enter the target, or no route
+ *     was found near the link
+ */
+function routeOrthogonalLink(router, {sourceCoords, targetCoords, useDirectPath}) {
+    const {sourceSide, targetSide} = getLinkSides({sourceCoords, targetCoords, useDirectPath});
+    // Points just outside the source and target tables, where the link joins the routing grid
+    const start = {
+        x: sourceCoords.x + sourceSide * (TABLE_BORDER_WIDTH + LINK_ROUTING_CLEARANCE),
+        y: sourceCoords.y,
+    };
+    const end = {
+        x: targetCoords.x + targetSide * (TABLE_BORDER_WIDTH + LINK_ROUTING_CLEARANCE),
+        y: targetCoords.y,
+    };
+    const isInsideObstacle = ({x, y}) =>
+        router.obstacles.some(
+            ({left, right, top, bottom}) =>
+                x > left + ROUTING_EPSILON &&
+                x < right - ROUTING_EPSILON &&
+                y > top + ROUTING_EPSILON &&
+                y < bottom - ROUTING_EPSILON,
+        );
+    if (isInsideObstacle(start) || isInsideObstacle(end)) {
+        return null;
+    }
+
+    const xs = addToSortedUniqValues(
+        getSortedValuesInRange(
+            router.xs,
+            Math.min(start.x, end.x) - LINK_ROUTING_SEARCH_MARGIN,
+            Math.max(start.x, end.x) + LINK_ROUTING_SEARCH_MARGIN,
+        ),
+        [start.x, end.x],
+    );
+    const ys = addToSortedUniqValues(
+        getSortedValuesInRange(
+            router.ys,
+            Math.min(start.y, end.y) - LINK_ROUTING_SEARCH_MARGIN,
+            Math.max(start.y, end.y) + LINK_ROUTING_SEARCH_MARGIN,
+        ),
+        [start.y, end.y],
+    );
+    const getPoint = nodeIndex => ({
+        x: xs[Math.floor(nodeIndex / ys.length)],
+        y: ys[nodeIndex % ys.length],
+    });
+    const startNodeIndex = _.sortedIndexOf(xs, start.x) * ys.length + _.sortedIndexOf(ys, start.y);
+    const endNodeIndex = _.sortedIndexOf(xs, end.x) * ys.length + _.sortedIndexOf(ys, end.y);
+    // The route leaves the start, and arrives at the end, travelling away from the source table
+    // and towards the target table
+    const startDirection = sourceSide === 1 ? 0 : 1;
+    const endDirection = targetSide === 1 ? 1 : 0;
+
+    // Each search state is a grid point, and the direction the route was travelling in to get there
+    const numStates = xs.length * ys.length * ROUTING_DIRECTIONS.length;
+    if (router.costs.length < numStates) {
+        router.costs = new Float64Array(numStates);
+        router.previousStates = new Int32Array(numStates);
+    }
+    const {costs, previousStates} = router;
+    costs.fill(Infinity, 0, numStates);
+    previousStates.fill(-1, 0, numStates);
+    const startState = startNodeIndex * ROUTING_DIRECTIONS.length + startDirection;
+    costs[startState] = 0;
+    const heap = [[0, startState]];
+    let endState = -1;
+    let numSearchedStates = 0;
+    while (heap.length > 0 && numSearchedStates < MAX_LINK_ROUTING_SEARCH_STATES) {
+        const [priority, state] = popFromHeap(heap);
+        const nodeIndex = Math.floor(state / ROUTING_DIRECTIONS.length);
+        const direction = state % ROUTING_DIRECTIONS.length;
+        const point = getPoint(nodeIndex);
+        if (priority > costs[state] + Math.abs(point.x - end.x) + Math.abs(point.y - end.y)) {
+            // Stale heap entry, this state was already reached more cheaply
+            continue;
+        }
+        if (nodeIndex === endNodeIndex) {
+            endState = state;
+            break;
+        }
+        numSearchedStates++;
+        const xIndex = Math.floor(nodeIndex / ys.length);
+        const yIndex = nodeIndex % ys.length;
+        for (const [nextDirection, {dx, dy}] of ROUTING_DIRECTIONS.entries()) {
+            const nextXIndex = xIndex + dx;
+            const nextYIndex = yIndex + dy;
+            // Don't turn back on ourselves
+            if (
+                nextXIndex < 0 ||
+                nextXIndex >= xs.length ||
+                nextYIndex < 0 ||
+                nextYIndex >= ys.length ||
+                (nextDirection ^ 1) === direction
+            ) {
+                continue;
+            }
+            const nextNodeIndex = nextXIndex * ys.length + nextYIndex;
+            const nextPoint = getPoint(nextNodeIndex);
+            // A segment into a point inside an obstacle always crosses the obstacle's edge
+            if (!isSegmentClear(router, point, nextPoint)) {
+                continue;
+            }
+            let nextCost =
+                costs[state] +
+                Math.abs(nextPoint.x - point.x) +
+                Math.abs(nextPoint.y - point.y) +
+                (nextDirection === direction ? 0 : LINK_BEND_COST);
+            if (nextNodeIndex === endNodeIndex && nextDirection !== endDirection) {
+                // Turning into the target row, or turning around to enter it from the far side
+                nextCost +=
+                    (nextDirection ^ 1) === endDirection ? 2 * LINK_BEND_COST : LINK_BEND_COST;
+            }
+            const nextState = nextNodeIndex * ROUTING_DIRECTIONS.length + nextDirection;
+            if (nextCost < costs[nextState]) {
+                costs[nextState] = nextCost;
+                previousStates[nextState] = state;
+                pushToHeap(heap, [
+                    nextCost + Math.abs(nextPoint.x - end.x) + Math.abs(nextPoint.y - end.y),
+                    nextState,
+                ]);
+            }
+        }
+    }
+    if (endState === -1) {
+        return null;
+    }
+
+    const gridPoints = [];
+    for (let state = endState; state !== -1; state = previousStates[state]) {
+        gridPoints.unshift(getPoint(Math.floor(state / ROUTING_DIRECTIONS.length)));
+    }
+    return simplifyRoute([{...sourceCoords}, ...gridPoints, {...targetCoords}]);
+}
+
+/**
+ * Given the coordinates for the ends of a link (@see calculateLinkCoords), return the orthogonal
+ * route between them with the fewest bends, ignoring the tables in the way.
+ *
+ * Like a routed link, it leaves the source row and enters the target row horizontally, on the sides
+ * given by the link coords, and the two ends are joined by a vertical segment: half way between
+ * them if they face each other, or beside the furthest end otherwise.
+ *
+ * @param {Object} linkCoords x,y coordinates for the source and target, and whether to use the
+ *     direct path between them
+ * @returns {Array<{x: number, y: number}>} corner points of the route, from the source to the
+ *     target
+ */
+function getDirectOrthogonalRoute({sourceCoords, targetCoords, useDirectPath}) {
+    const {sourceSide, targetSide} = getLinkSides({sourceCoords, targetCoords, useDirectPath});
+    const startX = sourceCoords.x + sourceSide * (TABLE_BORDER_WIDTH + LINK_ROUTING_CLEARANCE);
+    const endX = targetCoords.x + targetSide * (TABLE_BORDER_WIDTH + LINK_ROUTING_CLEARANCE);
+    let middleX = (startX + endX) / 2;
+    if (sourceSide === targetSide) {
+        middleX = sourceSide === 1 ? Math.max(startX, endX) : Math.min(startX, endX);
+    }
+    return simplifyRoute([
+        {...sourceCoords},
+        {x: middleX, y: sourceCoords.y},
+        {x: middleX, y: targetCoords.y},
+        {...targetCoords},
+    ]);
+}
+
+/**
+ * Spreads out orthogonal links that run along the same line between tables, so that they can be
+ * told apart. The first and last segments of each route are never moved, since they connect to
+ * the source and target rows.
+ *
+ * Mutates the points of the given routes.
+ *
+ * @param {Object.<string, Array<{x: number, y: number}>>} routesByLinkId corner points of each
+ *     route, by link id
+ */
+function nudgeParallelRoutes(routesByLinkId) {
+    // Group the inner segments of every route by the line they run along
+    const segmentsByLine = {};
+    for (const points of Object.values(routesByLinkId)) {
+        for (let index = 1; index < points.length - 2; index++) {
+            const from = points[index];
+            const to = points[index + 1];
+            const isVertical = from.x === to.x;
+            const line = isVertical ? `x${from.x}` : `y${from.y}`;
+            const [min, max] = isVertical
+                ? [Math.min(from.y, to.y), Math.max(from.y, to.y)]
+                : [Math.min(from.x, to.x), Math.max(from.x, to.x)];
+            segmentsByLine[line] = segmentsByLine[line] || [];
+            segmentsByLine[line].push({from, to, isVertical, min, max});
+        }
+    }
+
+    // Calculate every offset before moving any points, since points are shared by segments
+    const offsets = [];
+    for (const segments of Object.values(segmentsByLine)) {
+        // Only segments that overlap along the line need to be spread out
+        const sortedSegments = _.sortBy(segments, ['min', 'max']);
+        let overlappingSegments = [];
+        let overlapEnd = -Infinity;
+        const spreadOut = () => {
+            const numSegments = overlappingSegments.length;
+            if (numSegments < 2) {
+                return;
+            }
+            // Keep the links within the clearance around the tables
+            const spacing = Math.min(
+                LINK_NUDGE_SPACING,
+                (2 * (LINK_ROUTING_CLEARANCE - 2)) / (numSegments - 1),
+            );
+            for (const [index, segment] of overlappingSegments.entries()) {
+                offsets.push({segment, offset: (index - (numSegments - 1) / 2) * spacing});
+            }
+        };
+        for (const segment of sortedSegments) {
+            if (segment.min >= overlapEnd) {
+                spreadOut();
+                overlappingSegments = [];
+            }
+            overlappingSegments.push(segment);
+            overlapEnd = Math.max(overlapEnd, segment.max);
+        }
+        spreadOut();
+    }
+
+    for (const {segment, offset} of offsets) {
+        const axis = segment.isVertical ? 'x' : 'y';
+        segment.from[axis] += offset;
+        segment.to[axis] += offset;
+    }
+}
+
+/**
+ * Given the corner points of an orthogonal route, construct the `d` value attribute for the link,
+ * with rounded corners.
+ *
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {string} `d` value attribute
+ */
+function calculateOrthogonalLinkPath(points) {
+    // Returns the point at the given distance from `from`, along a horizontal or vertical line
+    const moveTowards = (from, to, distance) => ({
+        x: from.x + Math.sign(to.x - from.x) * distance,
+        y: from.y + Math.sign(to.y - from.y) * distance,
+    });
+    const getLength = (from, to) => Math.abs(to.x - from.x) + Math.abs(to.y - from.y);
+
+    let result = `M ${points[0].x} ${points[0].y}`;
+    for (let index = 1; index < points.length - 1; index++) {
+        const previous = points[index - 1];
+        const corner = points[index];
+        const next = points[index + 1];
+        const radius = Math.min(
+            LINK_CORNER_RADIUS,
+            getLength(previous, corner) / 2,
+            getLength(corner, next) / 2,
+        );
+        const cornerStart = moveTowards(corner, previous, radius);
+        const cornerEnd = moveTowards(corner, next, radius);
+        result += ` L ${cornerStart.x} ${cornerStart.y}`;
+        result += ` Q ${corner.x} ${corner.y} ${cornerEnd.x} ${cornerEnd.y}`;
+    }
+    const last = points[points.length - 1];
+    result += ` L ${last.x} ${last.y}`;
+    return result;
+}
+
+/**
+ * Given the coordinates of the left edge of a row, construct the `d` value attribute for a stub
+ * link: a short line leaving the right edge of the row, ending in a small circle. This marks a
+ * link whose other end is hidden, rather than dropping the link silently.
+ *
+ * @param {Object} rowCoords x,y coordinates of the left edge of the row
+ * @returns {string} `d` value attribute
+ */
+export function calculateLinkStubPath(rowCoords) {
+    const startX = rowCoords.x + ROW_WIDTH;
+    const {y} = rowCoords;
+    return `
+        M ${startX} ${y}
+        L ${startX + LINK_STUB_LENGTH} ${y}
+        a ${LINK_STUB_BADGE_RADIUS} ${LINK_STUB_BADGE_RADIUS} 0 1 0 ${2 * LINK_STUB_BADGE_RADIUS} 0
+        a ${LINK_STUB_BADGE_RADIUS} ${LINK_STUB_BADGE_RADIUS} 0 1 0 ${-2 * LINK_STUB_BADGE_RADIUS} 0
+    `;
+}
+
+/**
+ * Calculate the bounds of the given tables, ie the smallest rectangle that contains every visible
+ * table, including its border.
+ *
+ * @param {string[]} tableIds
+ * @param {Object} tableCoordsByTableId x,y coordinates for each table, by table id
+ * @param {Object} tableConfigsByTableId rendered table configuration of fieldNodes & table header,
+ *     by table id
+ * @returns {{x: number, y: number, width: number, height: number} | null} null if none of the
+ *     tables are visible
+ */
+export function calculateTablesBounds(tableIds, tableCoordsByTableId, tableConfigsByTableId) {
+    const visibleTableIds = tableIds.filter(
+        tableId => tableConfigsByTableId[tableId] && tableCoordsByTableId[tableId],
+    );
+    if (visibleTableIds.length === 0) {
+        return null;
+    }
+
+    const minX = _.min(visibleTableIds.map(tableId => tableCoordsByTableId[tableId].x));
+    const minY = _.min(visibleTableIds.map(tableId => tableCoordsByTableId[tableId].y));
+    const maxX = _.max(
+        visibleTableIds.map(
+            tableId => tableCoordsByTableId[tableId].x + ROW_WIDTH + 2 * TABLE_BORDER_WIDTH,
+        ),
+    );
+    const maxY = _.max(
+        visibleTableIds.map(
+            tableId =>
+                tableCoordsByTableId[tableId].y + getTableHeight(tableConfigsByTableId[tableId]),
+        ),
+    );
+    return {x: minX, y: minY, width: maxX - minX, height: maxY - minY};
+}
+
+/**
+ * Whether two rectangles overlap. Rectangles that only touch along an edge count as overlapping.
+ *
+ * @param {{x: number, y: number, width: number, height: number}} bounds
+ * @param {{x: number, y: number, width: number, height: number}} otherBounds
+ * @returns {boolean}
+ */
+export function doBoundsIntersect(bounds, otherBounds) {
+    return (
+        bounds.x <= otherBounds.x + otherBounds.width &&
+        otherBounds.x <= bounds.x + bounds.width &&
+        bounds.y <= otherBounds.y + otherBounds.height &&
+        otherBounds.y <= bounds.y + bounds.height
+    );
+}
+
+/**
+ * Given the tables in a group, calculate the bounds of the frame drawn behind them. The frame fits
+ * around every visible member table, with room for the group name above the tables.
+ *
+ * @param {string[]} tableIds ids of the tables in the group
+ * @param {Object} tableCoordsByTableId x,y coordinates for each table, by table id
+ * @param {Object} tableConfigsByTableId rendered table configuration of fieldNodes & table header,
+ *     by table id
+ * @returns {{x: number, y: number, width: number, height: number} | null} null if none of the
+ *     tables are visible
+ */
+export function calculateGroupFrameBounds(tableIds, tableCoordsByTableId, tableConfigsByTableId) {
+    const tablesBounds = calculateTablesBounds(
+        tableIds,
+        tableCoordsByTableId,
+        tableConfigsByTableId,
+    );
+    if (!tablesBounds) {
+        return null;
+    }
+
+    const {x, y, width, height} = tablesBounds;
+    return {
+        x: x - GROUP_FRAME_PADDING,
+        y: y - GROUP_FRAME_PADDING - GROUP_FRAME_LABEL_HEIGHT,
+        width: width + 2 * GROUP_FRAME_PADDING,
+        height: height + 2 * GROUP_FRAME_PADDING + GROUP_FRAME_LABEL_HEIGHT,
+    };
+}
+
 /**
  * Given a table height, calculates a path element to place behind the SvgTable element. It is
  * larger than the SvgTable, creating a border of width TABLE_BORDER_WIDTH around the table.
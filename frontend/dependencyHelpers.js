@@ -0,0 +1,171 @@
+import {FieldType} from '@airtable/blocks/models';
+
+export const TraceDirections = Object.freeze({
+    UPSTREAM: 'upstream',
+    DOWNSTREAM: 'downstream',
+    BOTH: 'both',
+});
+
+// Linked record links are a relationship between two tables rather than a dependency of one
+// field's value on another, so they aren't followed when tracing.
+const TRACED_LINK_TYPES = new Set([
+    FieldType.FORMULA,
+    FieldType.MULTIPLE_LOOKUP_VALUES,
+    FieldType.ROLLUP,
+    FieldType.COUNT,
+]);
+
+/**
+ * Whether a link is a dependency of one field's value on another (rather than a relationship
+ * between two tables).
+ *
+ * @param {Object} link
+ * @returns {boolean}
+ */
+export function isDependencyLink(link) {
+    return TRACED_LINK_TYPES.has(link.type);
+}
+
+/**
+ * Breadth-first walk of the dependency graph from a node, in a single direction.
+ *
+ * Links point from the dependent field (source) to the field it depends on (target). Walking
+ * upstream follows links from source to target (what feeds this field); walking downstream
+ * follows links from target to source (what consumes this field).
+ *
+ * @param {string} nodeId node to start from
+ * @param {boolean} isUpstream whether to walk upstream (or downstream)
+ * @param {Object} dependentLinksByNodeId list of links connected to each node, by node id
+ * @returns {{distancesByNodeId: Object.<string, number>, linksById: Object}}
+ */
+function walkDependencies(nodeId, isUpstream, dependentLinksByNodeId) {
+    const distancesByNodeId = {[nodeId]: 0};
+    const linksById = {};
+    const queue = [nodeId];
+    while (queue.length > 0) {
+        const currentNodeId = queue.shift();
+        for (const link of dependentLinksByNodeId[currentNodeId] || []) {
+            if (!isDependencyLink(link)) {
+                continue;
+            }
+            const fromId = isUpstream ? link.sourceId : link.targetId;
+            const toId = isUpstream ? link.targetId : link.sourceId;
+            if (fromId !== currentNodeId) {
+                continue;
+            }
+            linksById[link.id] = link;
+            if (distancesByNodeId[toId] === undefined) {
+                distancesByNodeId[toId] = distancesByNodeId[currentNodeId] + 1;
+                queue.push(toId);
+            }
+        }
+    }
+    return {distancesByNodeId, linksById};
+}
+
+/**
+ * Given a node, find every node that transitively feeds into it (upstream), that transitively
+ * consumes it (downstream), or both, following formula, lookup, rollup and count dependencies
+ * across tables to any depth. Cycles are tolerated; each node is only visited once.
+ *
+ * @param {string} nodeId node to trace from
+ * @param {'upstream' | 'downstream' | 'both'} direction
+ * @param {Object} dependentLinksByNodeId list of links connected to each node, by node id
+ * @returns {{
+ *     distancesByNodeId: Object.<string, number>,
+ *     linksById: Object
+ * }} number of dependency steps from the traced node (which is included, at distance 0), by node
+ *     id; and the links that were followed, by link id
+ */
+export function traceDependencies(nodeId, direction, dependentLinksByNodeId) {
+    const walks = [];
+    if (direction !== TraceDirections.DOWNSTREAM) {
+        walks.push(walkDependencies(nodeId, true, dependentLinksByNodeId));
+    }
+    if (direction !== TraceDirections.UPSTREAM) {
+        walks.push(walkDependencies(nodeId, false, dependentLinksByNodeId));
+    }
+
+    const distancesByNodeId = {};
+    const linksById = {};
+    for (const walk of walks) {
+        for (const [tracedNodeId, distance] of Object.entries(walk.distancesByNodeId)) {
+            if (
+                distancesByNodeId[tracedNodeId] === undefined ||
+                distance < distancesByNodeId[tracedNodeId]
+            ) {
+                distancesByNodeId[tracedNodeId] = distance;
+            }
+        }
+        Object.assign(linksById, walk.linksById);
+    }
+    return {distancesByNodeId, linksById};
+}
+
+/**
+ * Given a field or table, find every field that would become invalid if it were deleted: every
+ * field that transitively consumes it (@see traceDependencies). Deleting a table deletes all of
+ * its fields, so fields that consume any of them are included, and the table's own fields aren't.
+ * Deleting a linked record field also deletes its inverse field in the linked table, so deleting a
+ * table deletes the linked record fields of other tables that link to it, and fields that consume
+ * those are included too.
+ *
+ * @param {string} nodeId id of the field or table being deleted
+ * @param {Object} nodesById all nodes (field or table header), by node id
+ * @param {Object} tableConfigsByTableId table header & field nodes for each table, by table id
+ * @param {Object} dependentLinksByNodeId list of links connected to each node, by node id
+ * @returns {{
+ *     deletedNodeIds: string[],
+ *     distancesByNodeId: Object.<string, number>,
+ *     linksById: Object
+ * }} the nodes that would be deleted; the number of dependency steps from the nearest deleted
+ *     node, by id of each impacted field; and the links that were followed, by link id
+ */
+export function getDeletionImpact(
+    nodeId,
+    nodesById,
+    tableConfigsByTableId,
+    dependentLinksByNodeId,
+) {
+    const node = nodesById[nodeId];
+    const deletedNodeIds =
+        node.type === 'table'
+            ? [nodeId, ...tableConfigsByTableId[nodeId].fieldNodes.map(fieldNode => fieldNode.id)]
+            : [nodeId];
+
+    const linksById = {};
+    // A linked record field & its inverse field share a single link, so the inverse field is the
+    // other end of it. Self-linking fields link to their own table header instead.
+    for (const deletedNodeId of [...deletedNodeIds]) {
+        for (const link of dependentLinksByNodeId[deletedNodeId] || []) {
+            if (link.type !== FieldType.MULTIPLE_RECORD_LINKS) {
+                continue;
+            }
+            linksById[link.id] = link;
+            const linkedNodeId = link.sourceId === deletedNodeId ? link.targetId : link.sourceId;
+            if (
+                nodesById[linkedNodeId] &&
+                nodesById[linkedNodeId].type === 'field' &&
+                !deletedNodeIds.includes(linkedNodeId)
+            ) {
+                deletedNodeIds.push(linkedNodeId);
+            }
+        }
+    }
+
+    const distancesByNodeId = {};
+    for (const deletedNodeId of deletedNodeIds) {
+        const walk = walkDependencies(deletedNodeId, false, dependentLinksByNodeId);
+        for (const [impactedNodeId, distance] of Object.entries(walk.distancesByNodeId)) {
+            if (
+                !deletedNodeIds.includes(impactedNodeId) &&
+                (distancesByNodeId[impactedNodeId] === undefined ||
+                    distance < distancesByNodeId[impactedNodeId])
+            ) {
+                distancesByNodeId[impactedNodeId] = distance;
+            }
+        }
+        Object.assign(linksById, walk.linksById);
+    }
+    return {deletedNodeIds, distancesByNodeId, linksById};
+}
@@ -0,0 +1,161 @@
+import {css} from './loadCss';
+import {renderWithoutCulling} from './ViewportCullingWrapper';
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const BACKGROUND_COLOR = '#F3F2F1';
+// Padding around the diagram bounds, so table borders and curved links aren't clipped
+const EXPORT_PADDING = 20;
+// Classes marking the hovered, pinned, deleting & selected rows and links, which only reflect what
+// the user is doing in the app
+const TRANSIENT_CLASS_NAMES = ['highlighted', 'pinned', 'deleting', 'selected'];
+
+export const ExportFormats = Object.freeze({
+    SVG: 'svg',
+    PNG: 'png',
+});
+
+/**
+ * Serializes the diagram rendered by SchemaVisualizer into a self-contained SVG document.
+ *
+ * The `svgPanZoom` viewport is cloned without its pan/zoom transform, and the document is sized to
+ * the bounds of everything in the diagram (rather than the visible window). Styles from loadCss
+ * are inlined in a `<style>` element, since the exported file can't rely on the page's stylesheets.
+ * Hidden links (ie, disabled link types) and transient hover, pinned, deleting & selection state
+ * are stripped from the clone.
+ * Every table & link is included, including those not rendered because they're out of view
+ * (@see ViewportCullingWrapper).
+ *
+ * @returns {{svgString: string, width: number, height: number}}
+ */
+export function serializeDiagram() {
+    const rootElement = document.getElementById('root');
+    const viewportElement = rootElement.querySelector('.svg-pan-zoom_viewport');
+    if (!viewportElement) {
+        throw new Error('Could not find the diagram to export');
+    }
+
+    // Tables & links out of view are only rendered while the diagram is read. The bounding box is
+    // in the viewport's own coordinate space, ie without pan/zoom applied.
+    const {bounds, clonedViewportElement} = renderWithoutCulling(() => ({
+        bounds: viewportElement.getBBox(),
+        clonedViewportElement: viewportElement.cloneNode(true),
+    }));
+    const x = Math.floor(bounds.x - EXPORT_PADDING);
+    const y = Math.floor(bounds.y - EXPORT_PADDING);
+    const width = Math.ceil(bounds.width + 2 * EXPORT_PADDING);
+    const height = Math.ceil(bounds.height + 2 * EXPORT_PADDING);
+
+    clonedViewportElement.removeAttribute('transform');
+    clonedViewportElement.removeAttribute('style');
+    // Drop hidden elements, and interactive controls that don't mean anything in a static image
+    for (const hiddenElement of clonedViewportElement.querySelectorAll(
+        '[display="none"], .TableHeaderButton',
+    )) {
+        hiddenElement.remove();
+    }
+    for (const markedElement of clonedViewportElement.querySelectorAll(
+        TRANSIENT_CLASS_NAMES.map(className => `.${className}`).join(', '),
+    )) {
+        markedElement.classList.remove(...TRANSIENT_CLASS_NAMES);
+    }
+
+    const svgElement = document.createElementNS(SVG_NAMESPACE, 'svg');
+    svgElement.setAttribute('xmlns', SVG_NAMESPACE);
+    svgElement.setAttribute('class', 'SchemaVisualizer');
+    svgElement.setAttribute('width', width);
+    svgElement.setAttribute('height', height);
+    svgElement.setAttribute('viewBox', `${x} ${y} ${width} ${height}`);
+
+    const styleElement = document.createElementNS(SVG_NAMESPACE, 'style');
+    styleElement.textContent = css;
+    svgElement.appendChild(styleElement);
+
+    const backgroundElement = document.createElementNS(SVG_NAMESPACE, 'rect');
+    backgroundElement.setAttribute('x', x);
+    backgroundElement.setAttribute('y', y);
+    backgroundElement.setAttribute('width', width);
+    backgroundElement.setAttribute('height', height);
+    backgroundElement.setAttribute('fill', BACKGROUND_COLOR);
+    svgElement.appendChild(backgroundElement);
+
+    svgElement.appendChild(clonedViewportElement);
+
+    return {
+        svgString: new XMLSerializer().serializeToString(svgElement),
+        width,
+        height,
+    };
+}
+
+/**
+ * Rasterizes an SVG document by drawing it onto a canvas.
+ *
+ * @param {string} svgString serialized SVG document
+ * @param {number} width width of the SVG document
+ * @param {number} height height of the SVG document
+ * @param {number} scale multiplier applied to the width & height of the image
+ * @returns {Promise<Blob>} PNG image
+ */
+function rasterizeSvg(svgString, width, height, scale) {
+    return new Promise((resolve, reject) => {
+        const svgUrl = URL.createObjectURL(new Blob([svgString], {type: 'image/svg+xml'}));
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(svgUrl);
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(width * scale);
+            canvas.height = Math.round(height * scale);
+            const context = canvas.getContext('2d');
+            context.drawImage(image, 0, 0, canvas.width, canvas.height);
+            canvas.toBlob(pngBlob => {
+                if (pngBlob) {
+                    resolve(pngBlob);
+                } else {
+                    // Browsers fail to encode canvases that exceed their maximum size
+                    reject(new Error('The diagram is too large to export at this scale'));
+                }
+            }, 'image/png');
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(svgUrl);
+            reject(new Error('Could not render the diagram as an image'));
+        };
+        image.src = svgUrl;
+    });
+}
+
+/**
+ * Prompts the browser to download a blob as a file.
+ *
+ * @param {Blob} blob file contents
+ * @param {string} fileName
+ */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const anchorElement = document.createElement('a');
+    anchorElement.href = url;
+    anchorElement.download = fileName;
+    document.body.appendChild(anchorElement);
+    anchorElement.click();
+    anchorElement.remove();
+    // Revoke asynchronously, as some browsers start the download after the click handler returns
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Exports the full diagram as a downloadable SVG or PNG file.
+ *
+ * @param {string} fileName file name, without extension
+ * @param {'svg' | 'png'} format
+ * @param {number} scale multiplier applied to the size of PNG images
+ * @returns {Promise<void>}
+ */
+export async function exportDiagram(fileName, format, scale = 1) {
+    const {svgString, width, height} = serializeDiagram();
+    if (format === ExportFormats.PNG) {
+        const pngBlob = await rasterizeSvg(svgString, width, height, scale);
+        downloadBlob(pngBlob, `${fileName}.png`);
+    } else {
+        downloadBlob(new Blob([svgString], {type: 'image/svg+xml'}), `${fileName}.svg`);
+    }
+}
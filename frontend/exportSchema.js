@@ -0,0 +1,336 @@
+import {FieldType} from '@airtable/blocks/models';
+
+import {FIELD_LABELS_BY_TYPE, LINK_LABELS_BY_TYPE} from './constants';
+
+export const SchemaExportFormats = Object.freeze({
+    MERMAID: 'mermaid',
+    DBML: 'dbml',
+    DOT: 'dot',
+    JSON: 'json',
+});
+
+export const SCHEMA_EXPORT_FILE_EXTENSIONS = Object.freeze({
+    [SchemaExportFormats.MERMAID]: 'mmd',
+    [SchemaExportFormats.DBML]: 'dbml',
+    [SchemaExportFormats.DOT]: 'dot',
+    [SchemaExportFormats.JSON]: 'json',
+});
+
+// The version of the JSON export format, bumped on breaking changes to its shape
+const JSON_EXPORT_VERSION = 1;
+
+const DOT_EDGE_COLORS_BY_LINK_TYPE = Object.freeze({
+    [FieldType.MULTIPLE_RECORD_LINKS]: '#666666',
+    [FieldType.FORMULA]: '#2d7ff9',
+    [FieldType.COUNT]: '#f82b60',
+    [FieldType.MULTIPLE_LOOKUP_VALUES]: '#ff6f2c',
+    [FieldType.ROLLUP]: '#8b46ff',
+});
+
+/**
+ * Returns the human-readable type of a field, falling back to the raw field type for types that
+ * don't have a label.
+ *
+ * @param {Object} fieldNode
+ * @returns {string}
+ */
+function getFieldTypeLabel(fieldNode) {
+    return FIELD_LABELS_BY_TYPE[fieldNode.fieldType] || fieldNode.fieldType;
+}
+
+/**
+ * Returns the links whose type is enabled, in a stable order.
+ *
+ * @param {Object} linksById link objects, by link id
+ * @param {Object} enabledLinksByType whether each link type is enabled, by link type
+ * @returns {Object[]}
+ */
+function getEnabledLinks(linksById, enabledLinksByType) {
+    return Object.values(linksById).filter(link => enabledLinksByType[link.type]);
+}
+
+/**
+ * Returns whether a link's target is a table (rather than a field), which is the case for
+ * self-linking linked record fields.
+ *
+ * @param {Object} link
+ * @returns {boolean}
+ */
+function isTableTarget(link) {
+    return link.targetId === link.targetTableId;
+}
+
+/**
+ * Creates a function that maps arbitrary names to unique identifiers made up of word characters,
+ * for formats that don't allow quoting names.
+ *
+ * @returns {function(string, string): string} (id, name) => identifier
+ */
+function createIdentifierGenerator() {
+    const identifiersById = {};
+    const usedIdentifiers = new Set();
+    return (id, name) => {
+        if (!identifiersById[id]) {
+            const baseIdentifier = name.replace(/[^A-Za-z0-9_]+/g, '_').replace(/^(?=\d|$)/, '_');
+            let identifier = baseIdentifier;
+            for (let suffix = 2; usedIdentifiers.has(identifier); suffix++) {
+                identifier = `${baseIdentifier}_${suffix}`;
+            }
+            usedIdentifiers.add(identifier);
+            identifiersById[id] = identifier;
+        }
+        return identifiersById[id];
+    };
+}
+
+/**
+ * Serializes the schema as a Mermaid `erDiagram`.
+ *
+ * Mermaid relationships are between entities rather than attributes, so only links between two
+ * different tables (or self-linking linked records) are included. The names of the fields on
+ * either end are kept in the relationship label.
+ *
+ * @param {Object} schema
+ * @returns {string}
+ */
+function serializeMermaid({tableConfigsByTableId, linksById, nodesById, enabledLinksByType}) {
+    const getIdentifier = createIdentifierGenerator();
+    const escapeLabel = text => text.replace(/"/g, "'");
+    const lines = ['erDiagram'];
+
+    for (const {tableNode, fieldNodes} of Object.values(tableConfigsByTableId)) {
+        lines.push(`    ${getIdentifier(tableNode.id, tableNode.name)} {`);
+        const getFieldIdentifier = createIdentifierGenerator();
+        for (const fieldNode of fieldNodes) {
+            lines.push(
+                `        ${fieldNode.fieldType} ${getFieldIdentifier(
+                    fieldNode.id,
+                    fieldNode.name,
+                )} "${escapeLabel(getFieldTypeLabel(fieldNode))}"`,
+            );
+        }
+        lines.push('    }');
+    }
+
+    for (const link of getEnabledLinks(linksById, enabledLinksByType)) {
+        const isLinkedRecord = link.type === FieldType.MULTIPLE_RECORD_LINKS;
+        if (!isLinkedRecord && link.sourceTableId === link.targetTableId) {
+            continue;
+        }
+        const sourceNode = nodesById[link.sourceId];
+        const targetNode = nodesById[link.targetId];
+        const sourceTable = tableConfigsByTableId[link.sourceTableId].tableNode;
+        const targetTable = tableConfigsByTableId[link.targetTableId].tableNode;
+        // Linked records are an identifying (solid) many-to-many relationship, dependencies are
+        // non-identifying (dotted)
+        const relationship = isLinkedRecord ? '}o--o{' : '}o..o{';
+        const label = isTableTarget(link)
+            ? `${link.tooltipLabel}: ${sourceNode.name}`
+            : `${link.tooltipLabel}: ${sourceNode.name} to ${targetNode.name}`;
+        lines.push(
+            `    ${getIdentifier(sourceTable.id, sourceTable.name)} ${relationship} ${getIdentifier(
+                targetTable.id,
+                targetTable.name,
+            )} : "${escapeLabel(label)}"`,
+        );
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Serializes the schema as DBML (https://dbml.dbdiagram.io).
+ *
+ * Linked records become many-to-many refs, and lookups & rollups of fields in other tables become
+ * many-to-one refs. DBML refs are between columns, so dependencies within a single table and
+ * self-linking linked records are written as comments.
+ *
+ * @param {Object} schema
+ * @returns {string}
+ */
+function serializeDbml({tableConfigsByTableId, linksById, nodesById, enabledLinksByType}) {
+    const quote = text => `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    const getColumnReference = (tableId, fieldId) =>
+        `${quote(tableConfigsByTableId[tableId].tableNode.name)}.${quote(nodesById[fieldId].name)}`;
+    const lines = [];
+
+    for (const {tableNode, fieldNodes} of Object.values(tableConfigsByTableId)) {
+        lines.push(`Table ${quote(tableNode.name)} {`);
+        for (const fieldNode of fieldNodes) {
+            lines.push(`    ${quote(fieldNode.name)} ${quote(getFieldTypeLabel(fieldNode))}`);
+        }
+        lines.push('}', '');
+    }
+
+    for (const link of getEnabledLinks(linksById, enabledLinksByType)) {
+        const source = getColumnReference(link.sourceTableId, link.sourceId);
+        if (isTableTarget(link)) {
+            lines.push(`// ${link.tooltipLabel}: ${source} links to records in the same table`);
+        } else if (link.sourceTableId === link.targetTableId) {
+            const target = getColumnReference(link.targetTableId, link.targetId);
+            lines.push(`// ${link.tooltipLabel}: ${source} depends on ${target}`);
+        } else {
+            const target = getColumnReference(link.targetTableId, link.targetId);
+            const relationship = link.type === FieldType.MULTIPLE_RECORD_LINKS ? '<>' : '>';
+            lines.push(`Ref: ${source} ${relationship} ${target} // ${link.tooltipLabel}`);
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Serializes the schema as a Graphviz DOT digraph.
+ *
+ * Each table is a node with an HTML-like label, with one port per field, so that every link
+ * (including dependencies within a single table) is drawn between the exact fields it connects.
+ *
+ * @param {Object} schema
+ * @returns {string}
+ */
+function serializeDot({tableConfigsByTableId, linksById, enabledLinksByType}) {
+    const quote = text => `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    const escapeHtml = text =>
+        text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    const lines = [
+        'digraph schema {',
+        '    rankdir=LR;',
+        '    node [shape=plaintext, fontname="Helvetica"];',
+        '    edge [fontname="Helvetica", fontsize=10];',
+        '',
+    ];
+
+    for (const {tableNode, fieldNodes} of Object.values(tableConfigsByTableId)) {
+        const rows = [
+            `<tr><td port=${quote(tableNode.id)} bgcolor="#cccccc"><b>${escapeHtml(
+                tableNode.name,
+            )}</b></td></tr>`,
+            ...fieldNodes.map(
+                fieldNode =>
+                    `<tr><td port=${quote(fieldNode.id)} align="left">${escapeHtml(
+                        fieldNode.name,
+                    )} <font color="#888888">${escapeHtml(
+                        getFieldTypeLabel(fieldNode),
+                    )}</font></td></tr>`,
+            ),
+        ];
+        lines.push(
+            `    ${quote(tableNode.id)} [label=<<table border="0" cellborder="1" cellspacing="0">${rows.join(
+                '',
+            )}</table>>];`,
+        );
+    }
+    lines.push('');
+
+    for (const link of getEnabledLinks(linksById, enabledLinksByType)) {
+        const attributes = [
+            `label=${quote(link.tooltipLabel)}`,
+            `color=${quote(DOT_EDGE_COLORS_BY_LINK_TYPE[link.type])}`,
+        ];
+        if (link.type === FieldType.MULTIPLE_RECORD_LINKS) {
+            attributes.push('dir=none');
+        } else {
+            attributes.push('style=dashed');
+        }
+        lines.push(
+            `    ${quote(link.sourceTableId)}:${quote(link.sourceId)} -> ${quote(
+                link.targetTableId,
+            )}:${quote(link.targetId)} [${attributes.join(', ')}];`,
+        );
+    }
+
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Serializes the schema as JSON, in the following format:
+ *
+ * {
+ *     // incremented on breaking changes to this format
+ *     version: 1,
+ *     tables: Array<{
+ *         id: TableId,
+ *         name: string,
+ *         fields: Array<{
+ *             id: FieldId,
+ *             name: string,
+ *             // the field type, eg 'multipleLookupValues'
+ *             type: string,
+ *             // human-readable field type, eg 'Lookup field'
+ *             typeLabel: string,
+ *         }>,
+ *     }>,
+ *     links: Array<{
+ *         id: string,
+ *         // 'multipleRecordLinks' | 'formula' | 'rollup' | 'multipleLookupValues' | 'count'
+ *         type: string,
+ *         // human-readable link type, eg 'Lookup dependency'
+ *         typeLabel: string,
+ *         // the field that depends on (or links to) the target
+ *         source: {tableId: TableId, fieldId: FieldId},
+ *         // fieldId is null when the target is a table (ie, self-linking linked records)
+ *         target: {tableId: TableId, fieldId: FieldId | null},
+ *     }>,
+ * }
+ *
+ * @param {Object} schema
+ * @returns {string}
+ */
+function serializeJson({tableConfigsByTableId, linksById, enabledLinksByType}) {
+    const result = {
+        version: JSON_EXPORT_VERSION,
+        tables: Object.values(tableConfigsByTableId).map(({tableNode, fieldNodes}) => ({
+            id: tableNode.id,
+            name: tableNode.name,
+            fields: fieldNodes.map(fieldNode => ({
+                id: fieldNode.id,
+                name: fieldNode.name,
+                type: fieldNode.fieldType,
+                typeLabel: getFieldTypeLabel(fieldNode),
+            })),
+        })),
+        links: getEnabledLinks(linksById, enabledLinksByType).map(link => ({
+            id: link.id,
+            type: link.type,
+            typeLabel: LINK_LABELS_BY_TYPE[link.type],
+            source: {tableId: link.sourceTableId, fieldId: link.sourceId},
+            target: {
+                tableId: link.targetTableId,
+                fieldId: isTableTarget(link) ? null : link.targetId,
+            },
+        })),
+    };
+    return JSON.stringify(result, null, 4) + '\n';
+}
+
+const SERIALIZERS_BY_FORMAT = Object.freeze({
+    [SchemaExportFormats.MERMAID]: serializeMermaid,
+    [SchemaExportFormats.DBML]: serializeDbml,
+    [SchemaExportFormats.DOT]: serializeDot,
+    [SchemaExportFormats.JSON]: serializeJson,
+});
+
+/**
+ * Given the parsed schema of a base, serialize it into a text format that can be used outside of
+ * this app. Links whose type is disabled in the settings are left out.
+ *
+ * @param {'mermaid' | 'dbml' | 'dot' | 'json'} format
+ * @param {Object} schema
+ * @param {Object} schema.tableConfigsByTableId table header & field nodes for each table, by table id
+ * @param {Object} schema.linksById link objects, by link id
+ * @param {Object} schema.nodesById all nodes (field or table header), by node id
+ * @param {Object} schema.enabledLinksByType whether each link type is enabled, by link type
+ * @returns {string}
+ */
+export default function exportSchema(format, schema) {
+    const serializer = SERIALIZERS_BY_FORMAT[format];
+    if (!serializer) {
+        throw new Error(`Unknown schema export format: ${format}`);
+    }
+    return serializer(schema);
+}
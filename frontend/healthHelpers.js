@@ -0,0 +1,412 @@
+import _ from 'lodash';
+import {FieldType} from '@airtable/blocks/models';
+
+import {isDependencyLink} from './dependencyHelpers';
+
+export const HealthSeverities = Object.freeze({
+    ERROR: 'error',
+    WARNING: 'warning',
+    INFO: 'info',
+});
+
+export const HealthCheckTypes = Object.freeze({
+    INVALID_FIELD: 'invalidField',
+    MISSING_RECORD_LINK_FIELD: 'missingRecordLinkField',
+    MISSING_REFERENCED_FIELD: 'missingReferencedField',
+    CIRCULAR_DEPENDENCY: 'circularDependency',
+    DEEP_DEPENDENCY_CHAIN: 'deepDependencyChain',
+    DUPLICATE_FIELD_NAMES: 'duplicateFieldNames',
+    ONE_SIDED_LINK: 'oneSidedLink',
+    ORPHAN_FIELD: 'orphanField',
+});
+
+// Title & severity of each check, in the order they're reported
+export const HEALTH_CHECKS = Object.freeze([
+    {
+        checkType: HealthCheckTypes.INVALID_FIELD,
+        severity: HealthSeverities.ERROR,
+        title: 'Invalid fields',
+    },
+    {
+        checkType: HealthCheckTypes.MISSING_RECORD_LINK_FIELD,
+        severity: HealthSeverities.ERROR,
+        title: 'Missing linked record fields',
+    },
+    {
+        checkType: HealthCheckTypes.MISSING_REFERENCED_FIELD,
+        severity: HealthSeverities.ERROR,
+        title: 'Missing referenced fields',
+    },
+    {
+        checkType: HealthCheckTypes.CIRCULAR_DEPENDENCY,
+        severity: HealthSeverities.ERROR,
+        title: 'Circular dependencies',
+    },
+    {
+        checkType: HealthCheckTypes.DEEP_DEPENDENCY_CHAIN,
+        severity: HealthSeverities.WARNING,
+        title: 'Deep dependency chains',
+    },
+    {
+        checkType: HealthCheckTypes.DUPLICATE_FIELD_NAMES,
+        severity: HealthSeverities.WARNING,
+        title: 'Near-duplicate field names',
+    },
+    {
+        checkType: HealthCheckTypes.ONE_SIDED_LINK,
+        severity: HealthSeverities.WARNING,
+        title: 'One-sided links',
+    },
+    {
+        checkType: HealthCheckTypes.ORPHAN_FIELD,
+        severity: HealthSeverities.INFO,
+        title: 'Unreferenced fields',
+    },
+]);
+
+// Dependency chains with more steps than this are reported, since they're slow to recalculate and
+// hard to follow
+export const MAX_DEPENDENCY_CHAIN_LENGTH = 5;
+
+/**
+ * Utility helper to push an item into an array at given object key, initializing the array if
+ * it doesn't yet exist.
+ *
+ * @param {Object} obj
+ * @param {string} key
+ * @param {unknown} value
+ */
+function pushTo(obj, key, value) {
+    (obj[key] = obj[key] || []).push(value);
+}
+
+/**
+ * Returns the name of a field, prefixed with its table name.
+ *
+ * @param {Object} node
+ * @returns {string}
+ */
+function getNodeLabel(node) {
+    return `${node.tableName}: ${node.name}`;
+}
+
+/**
+ * Returns the ids of the fields a computed field references, by the field option they come from.
+ *
+ * @param {Field} field
+ * @returns {{recordLinkFieldId: string | null, referencedFieldIds: string[]}}
+ */
+function getReferencedFieldIds(field) {
+    const {options} = field;
+    switch (field.type) {
+        case FieldType.FORMULA:
+            return {recordLinkFieldId: null, referencedFieldIds: options.referencedFieldIds};
+        case FieldType.COUNT:
+            return {recordLinkFieldId: options.recordLinkFieldId, referencedFieldIds: []};
+        case FieldType.MULTIPLE_LOOKUP_VALUES:
+            return {
+                recordLinkFieldId: options.recordLinkFieldId,
+                referencedFieldIds: [options.fieldIdInLinkedTable],
+            };
+        case FieldType.ROLLUP:
+            return {
+                recordLinkFieldId: options.recordLinkFieldId,
+                referencedFieldIds: [...options.referencedFieldIds, options.fieldIdInLinkedTable],
+            };
+        default:
+            return {recordLinkFieldId: null, referencedFieldIds: []};
+    }
+}
+
+/**
+ * Finds fields with an invalid configuration, and computed fields that reference fields which no
+ * longer exist. `parseSchema` skips these fields' links, so they'd otherwise go unnoticed.
+ *
+ * @param {Base} base
+ * @param {Object} nodesById all nodes (field or table header), by node id
+ * @param {Function} addFinding
+ */
+function checkFieldConfigs(base, nodesById, addFinding) {
+    for (const table of base.tables) {
+        for (const field of table.fields) {
+            const {options} = field;
+            if (options && options.isValid === false) {
+                addFinding(
+                    HealthCheckTypes.INVALID_FIELD,
+                    [field.id],
+                    `${table.name}: ${field.name} has an invalid configuration`,
+                );
+                continue;
+            }
+            if (!options) {
+                continue;
+            }
+
+            const {recordLinkFieldId, referencedFieldIds} = getReferencedFieldIds(field);
+            if (recordLinkFieldId && !table.getFieldByIdIfExists(recordLinkFieldId)) {
+                addFinding(
+                    HealthCheckTypes.MISSING_RECORD_LINK_FIELD,
+                    [field.id],
+                    `${table.name}: ${field.name} uses a linked record field that no longer exists`,
+                );
+                // The referenced fields can't be resolved without the linked table
+                continue;
+            }
+            const numMissingFields = referencedFieldIds.filter(
+                fieldId => !nodesById[fieldId],
+            ).length;
+            if (numMissingFields > 0) {
+                addFinding(
+                    HealthCheckTypes.MISSING_REFERENCED_FIELD,
+                    [field.id],
+                    `${table.name}: ${field.name} references ${
+                        numMissingFields === 1 ? 'a field' : `${numMissingFields} fields`
+                    } that no longer exist${numMissingFields === 1 ? 's' : ''}`,
+                );
+            }
+        }
+    }
+}
+
+/**
+ * Finds linked record fields without an inverse field. These are drawn as a link to the linked
+ * table's header, since there's no field on the other side to link to.
+ *
+ * @param {Base} base
+ * @param {Function} addFinding
+ */
+function checkOneSidedLinks(base, addFinding) {
+    for (const table of base.tables) {
+        for (const field of table.fields) {
+            if (
+                field.type !== FieldType.MULTIPLE_RECORD_LINKS ||
+                field.options.isValid === false ||
+                field.options.inverseLinkFieldId
+            ) {
+                continue;
+            }
+            const linkedTable = base.getTableByIdIfExists(field.options.linkedTableId);
+            addFinding(
+                HealthCheckTypes.ONE_SIDED_LINK,
+                [field.id],
+                linkedTable === table
+                    ? `${table.name}: ${field.name} links to its own table without an inverse field`
+                    : `${table.name}: ${field.name} links to ${
+                          linkedTable ? linkedTable.name : 'a deleted table'
+                      } without an inverse field`,
+            );
+        }
+    }
+}
+
+/**
+ * Finds circular dependencies, and dependency chains longer than MAX_DEPENDENCY_CHAIN_LENGTH.
+ *
+ * Circular dependencies are found as the strongly connected components of the dependency graph
+ * (using Tarjan's algorithm). Chain lengths are then measured ignoring any field in a cycle. Only
+ * the field at the top of each deep chain is reported, rather than every field along it.
+ *
+ * @param {Object} nodesById all nodes (field or table header), by node id
+ * @param {Object} linksById link objects, by link id
+ * @param {Function} addFinding
+ */
+function checkDependencyChains(nodesById, linksById, addFinding) {
+    const dependencyIdsByNodeId = {};
+    const dependentIdsByNodeId = {};
+    for (const link of Object.values(linksById)) {
+        if (isDependencyLink(link)) {
+            pushTo(dependencyIdsByNodeId, link.sourceId, link.targetId);
+            pushTo(dependentIdsByNodeId, link.targetId, link.sourceId);
+        }
+    }
+
+    // Tarjan's strongly connected components
+    const indexesByNodeId = {};
+    const lowLinksByNodeId = {};
+    const stack = [];
+    const onStack = new Set();
+    const cyclicNodeIds = new Set();
+    let nextIndex = 0;
+    const visit = nodeId => {
+        indexesByNodeId[nodeId] = lowLinksByNodeId[nodeId] = nextIndex++;
+        stack.push(nodeId);
+        onStack.add(nodeId);
+        for (const dependencyId of dependencyIdsByNodeId[nodeId] || []) {
+            if (indexesByNodeId[dependencyId] === undefined) {
+                visit(dependencyId);
+                lowLinksByNodeId[nodeId] = Math.min(
+                    lowLinksByNodeId[nodeId],
+                    lowLinksByNodeId[dependencyId],
+                );
+            } else if (onStack.has(dependencyId)) {
+                lowLinksByNodeId[nodeId] = Math.min(
+                    lowLinksByNodeId[nodeId],
+                    indexesByNodeId[dependencyId],
+                );
+            }
+        }
+        if (lowLinksByNodeId[nodeId] !== indexesByNodeId[nodeId]) {
+            return;
+        }
+        const componentNodeIds = [];
+        let componentNodeId;
+        do {
+            componentNodeId = stack.pop();
+            onStack.delete(componentNodeId);
+            componentNodeIds.push(componentNodeId);
+        } while (componentNodeId !== nodeId);
+        const isCycle =
+            componentNodeIds.length > 1 || (dependencyIdsByNodeId[nodeId] || []).includes(nodeId);
+        if (isCycle) {
+            componentNodeIds.reverse();
+            componentNodeIds.forEach(id => cyclicNodeIds.add(id));
+            const labels = componentNodeIds.map(id => getNodeLabel(nodesById[id]));
+            addFinding(
+                HealthCheckTypes.CIRCULAR_DEPENDENCY,
+                componentNodeIds,
+                labels.length === 1
+                    ? `${labels[0]} depends on itself`
+                    : `${labels.join(', ')} depend on each other`,
+            );
+        }
+    };
+    for (const nodeId of Object.keys(dependencyIdsByNodeId)) {
+        if (indexesByNodeId[nodeId] === undefined) {
+            visit(nodeId);
+        }
+    }
+
+    // Longest chain of dependencies from each field, and the next field along that chain
+    const chainLengthsByNodeId = {};
+    const nextNodeIdsByNodeId = {};
+    const getChainLength = nodeId => {
+        if (chainLengthsByNodeId[nodeId] === undefined) {
+            chainLengthsByNodeId[nodeId] = 0;
+            for (const dependencyId of dependencyIdsByNodeId[nodeId] || []) {
+                if (cyclicNodeIds.has(dependencyId)) {
+                    continue;
+                }
+                const chainLength = getChainLength(dependencyId) + 1;
+                if (chainLength > chainLengthsByNodeId[nodeId]) {
+                    chainLengthsByNodeId[nodeId] = chainLength;
+                    nextNodeIdsByNodeId[nodeId] = dependencyId;
+                }
+            }
+        }
+        return chainLengthsByNodeId[nodeId];
+    };
+    for (const nodeId of Object.keys(dependencyIdsByNodeId)) {
+        if (cyclicNodeIds.has(nodeId) || getChainLength(nodeId) <= MAX_DEPENDENCY_CHAIN_LENGTH) {
+            continue;
+        }
+        // Skip fields partway along a chain that's already being reported
+        const isTopOfChain = (dependentIdsByNodeId[nodeId] || []).every(
+            dependentId =>
+                cyclicNodeIds.has(dependentId) ||
+                getChainLength(dependentId) <= MAX_DEPENDENCY_CHAIN_LENGTH,
+        );
+        if (!isTopOfChain) {
+            continue;
+        }
+        const chainNodeIds = [nodeId];
+        while (nextNodeIdsByNodeId[_.last(chainNodeIds)]) {
+            chainNodeIds.push(nextNodeIdsByNodeId[_.last(chainNodeIds)]);
+        }
+        addFinding(
+            HealthCheckTypes.DEEP_DEPENDENCY_CHAIN,
+            chainNodeIds,
+            `${getNodeLabel(nodesById[nodeId])} is ${getChainLength(nodeId)} dependencies deep`,
+        );
+    }
+}
+
+/**
+ * Finds fields in the same table whose names only differ in case or whitespace.
+ *
+ * @param {Object} tableConfigsByTableId table header & field nodes for each table, by table id
+ * @param {Function} addFinding
+ */
+function checkDuplicateFieldNames(tableConfigsByTableId, addFinding) {
+    for (const {tableNode, fieldNodes} of Object.values(tableConfigsByTableId)) {
+        const fieldNodesByNormalizedName = _.groupBy(fieldNodes, fieldNode =>
+            fieldNode.name.replace(/\s+/g, '').toLowerCase(),
+        );
+        for (const duplicateFieldNodes of Object.values(fieldNodesByNormalizedName)) {
+            if (duplicateFieldNodes.length > 1) {
+                addFinding(
+                    HealthCheckTypes.DUPLICATE_FIELD_NAMES,
+                    duplicateFieldNodes.map(fieldNode => fieldNode.id),
+                    `${tableNode.name} has fields named ${duplicateFieldNodes
+                        .map(fieldNode => `"${fieldNode.name}"`)
+                        .join(', ')}`,
+                );
+            }
+        }
+    }
+}
+
+/**
+ * Finds fields that no other field references. The primary field and linked record fields are
+ * skipped, since they're always in use.
+ *
+ * @param {Base} base
+ * @param {Object} linksById link objects, by link id
+ * @param {Function} addFinding
+ */
+function checkOrphanFields(base, linksById, addFinding) {
+    const referencedNodeIds = new Set(Object.values(linksById).map(link => link.targetId));
+    for (const table of base.tables) {
+        for (const field of table.fields) {
+            if (
+                field.id === table.primaryField.id ||
+                field.type === FieldType.MULTIPLE_RECORD_LINKS ||
+                referencedNodeIds.has(field.id)
+            ) {
+                continue;
+            }
+            addFinding(
+                HealthCheckTypes.ORPHAN_FIELD,
+                [field.id],
+                `${table.name}: ${field.name} isn't used by any other field`,
+            );
+        }
+    }
+}
+
+/**
+ * Runs every health check over the base and its parsed schema.
+ *
+ * Field configuration is read from the base models, since `parseSchema` skips invalid fields and
+ * drops links to fields that no longer exist. The remaining checks run over the parsed graph.
+ *
+ * @param {Base} base
+ * @param {Object} schema parsed schema of the base (@see parseSchema)
+ * @returns {Array<{
+ *     id: string,
+ *     checkType: string,
+ *     severity: 'error' | 'warning' | 'info',
+ *     nodeIds: string[],
+ *     message: string
+ * }>} findings, ordered by check (@see HEALTH_CHECKS)
+ */
+export function runHealthChecks(base, {nodesById, linksById, tableConfigsByTableId}) {
+    const findingsByCheckType = {};
+    const addFinding = (checkType, nodeIds, message) => {
+        const {severity} = HEALTH_CHECKS.find(check => check.checkType === checkType);
+        pushTo(findingsByCheckType, checkType, {
+            id: `${checkType}:${nodeIds.join(',')}`,
+            checkType,
+            severity,
+            nodeIds,
+            message,
+        });
+    };
+
+    checkFieldConfigs(base, nodesById, addFinding);
+    checkDependencyChains(nodesById, linksById, addFinding);
+    checkDuplicateFieldNames(tableConfigsByTableId, addFinding);
+    checkOneSidedLinks(base, addFinding);
+    checkOrphanFields(base, linksById, addFinding);
+
+    return _.flatMap(HEALTH_CHECKS, ({checkType}) => findingsByCheckType[checkType] || []);
+}
@@ -5,6 +5,8 @@ import {viewport} from '@airtable/blocks';
 import SchemaVisualizer from './SchemaVisualizer';
 import FullscreenBox from './FullscreenBox';
 import SettingsForm from './SettingsForm';
+import useSettings from './settings';
+import LayoutHistoryWrapper from './LayoutHistoryWrapper';
 import './loadCss';
 
 viewport.addMinSize({
@@ -14,6 +16,8 @@ viewport.addMinSize({
 
 function SchemaMapApp() {
     const [shouldShowSettings, setShouldShowSettings] = useState(false);
+    const [shouldShowHealthPanel, setShouldShowHealthPanel] = useState(false);
+    const settings = useSettings();
 
     useSettingsButton(() => {
         // Enter fullscreen when settings is opened (but not when closed).
@@ -25,8 +29,20 @@ function SchemaMapApp() {
 
     return (
         <FullscreenBox id="index">
-            <SchemaVisualizer />
-            {shouldShowSettings && <SettingsForm setShouldShowSettings={setShouldShowSettings} />}
+            <LayoutHistoryWrapper activeLayoutId={settings.activeLayoutId}>
+                <SchemaVisualizer
+                    settings={settings}
+                    shouldShowHealthPanel={shouldShowHealthPanel}
+                    setShouldShowHealthPanel={setShouldShowHealthPanel}
+                />
+                {shouldShowSettings && (
+                    <SettingsForm
+                        settings={settings}
+                        setShouldShowSettings={setShouldShowSettings}
+                        setShouldShowHealthPanel={setShouldShowHealthPanel}
+                    />
+                )}
+            </LayoutHistoryWrapper>
         </FullscreenBox>
     );
 }
@@ -0,0 +1,525 @@
+import _ from 'lodash';
+
+import {ROW_WIDTH, TABLE_BORDER_WIDTH} from './constants';
+import {getInitialTableCoords, getTableHeight} from './coordinateHelpers';
+
+export const LayoutAlgorithms = Object.freeze({
+    LAYERED: 'layered',
+    FORCE_DIRECTED: 'forceDirected',
+});
+
+export const DEFAULT_LAYOUT_SPACING = 50;
+
+const TABLE_WIDTH = ROW_WIDTH + 2 * TABLE_BORDER_WIDTH;
+const NUM_CROSSING_REDUCTION_SWEEPS = 8;
+const NUM_FORCE_ITERATIONS = 300;
+const NUM_OVERLAP_REMOVAL_ITERATIONS = 100;
+
+/**
+ * Builds an undirected, weighted graph of tables, where the weight of an edge between two tables
+ * is the number of links between their fields. Links within a single table are ignored, since they
+ * have no bearing on where tables should be placed relative to each other.
+ *
+ * @param {Object} tableConfigsByTableId table header & field nodes for each table, by table id
+ * @param {Object} linksById link objects, by link id
+ * @returns {Object.<string, Object.<string, number>>} edge weights, by table id, by table id
+ */
+function buildTableGraph(tableConfigsByTableId, linksById) {
+    const weightsByTableId = _.mapValues(tableConfigsByTableId, () => ({}));
+    for (const {sourceTableId, targetTableId} of Object.values(linksById)) {
+        if (
+            sourceTableId === targetTableId ||
+            !weightsByTableId[sourceTableId] ||
+            !weightsByTableId[targetTableId]
+        ) {
+            continue;
+        }
+        const sourceWeights = weightsByTableId[sourceTableId];
+        const targetWeights = weightsByTableId[targetTableId];
+        sourceWeights[targetTableId] = (sourceWeights[targetTableId] || 0) + 1;
+        targetWeights[sourceTableId] = (targetWeights[sourceTableId] || 0) + 1;
+    }
+    return weightsByTableId;
+}
+
+/**
+ * Splits the table graph into its connected components. Components are returned largest first, so
+ * the most connected part of the base ends up on the left of the diagram.
+ *
+ * @param {Object} weightsByTableId edge weights, by table id, by table id
+ * @returns {string[][]} table ids for each connected component
+ */
+function getConnectedComponents(weightsByTableId) {
+    const visited = new Set();
+    const components = [];
+    for (const tableId of Object.keys(weightsByTableId)) {
+        if (visited.has(tableId)) {
+            continue;
+        }
+        const component = [];
+        const stack = [tableId];
+        visited.add(tableId);
+        while (stack.length > 0) {
+            const currentTableId = stack.pop();
+            component.push(currentTableId);
+            for (const neighborId of Object.keys(weightsByTableId[currentTableId])) {
+                if (!visited.has(neighborId)) {
+                    visited.add(neighborId);
+                    stack.push(neighborId);
+                }
+            }
+        }
+        components.push(component);
+    }
+    return _.sortBy(components, component => -component.length);
+}
+
+/**
+ * Returns the sum of all edge weights for a table (ie, how many cross-table links it has).
+ *
+ * @param {Object} weightsByTableId edge weights, by table id, by table id
+ * @param {string} tableId
+ * @returns {number}
+ */
+function getWeightedDegree(weightsByTableId, tableId) {
+    return _.sum(Object.values(weightsByTableId[tableId]));
+}
+
+/**
+ * Assigns each table in a component to a layer, by breadth-first distance from the most connected
+ * table. Links between tables are undirected, so this never produces cycles and every edge spans
+ * at most one layer boundary (or none, for tables in the same layer).
+ *
+ * @param {Object} weightsByTableId edge weights, by table id, by table id
+ * @param {string[]} component table ids in this connected component
+ * @returns {string[][]} table ids in each layer
+ */
+function assignLayers(weightsByTableId, component) {
+    const rootTableId = _.maxBy(component, tableId => getWeightedDegree(weightsByTableId, tableId));
+    const layerIndexByTableId = {[rootTableId]: 0};
+    const queue = [rootTableId];
+    while (queue.length > 0) {
+        const currentTableId = queue.shift();
+        // Visit heavier edges first, so strongly related tables are ordered next to each other
+        const neighborIds = _.sortBy(
+            Object.keys(weightsByTableId[currentTableId]),
+            neighborId => -weightsByTableId[currentTableId][neighborId],
+        );
+        for (const neighborId of neighborIds) {
+            if (layerIndexByTableId[neighborId] === undefined) {
+                layerIndexByTableId[neighborId] = layerIndexByTableId[currentTableId] + 1;
+                queue.push(neighborId);
+            }
+        }
+    }
+
+    const layers = [];
+    for (const [tableId, layerIndex] of Object.entries(layerIndexByTableId)) {
+        if (!layers[layerIndex]) {
+            layers[layerIndex] = [];
+        }
+        layers[layerIndex].push(tableId);
+    }
+    return layers;
+}
+
+/**
+ * Splits any layer that would be much taller than the rest of the diagram into several adjacent
+ * layers. This keeps "star" shaped schemas (one table linked to dozens of others) from producing a
+ * single extremely tall column.
+ *
+ * @param {string[][]} layers table ids in each layer
+ * @param {Object} tableConfigsByTableId table header & field nodes for each table, by table id
+ * @param {number} spacing gap between tables
+ * @returns {string[][]} table ids in each layer
+ */
+function splitTallLayers(layers, tableConfigsByTableId, spacing) {
+    const tableIds = _.flatten(layers);
+    const totalArea = _.sumBy(
+        tableIds,
+        tableId =>
+            (getTableHeight(tableConfigsByTableId[tableId]) + spacing) * (TABLE_WIDTH + spacing),
+    );
+    const maxLayerHeight = Math.max(
+        Math.sqrt(totalArea),
+        _.max(tableIds.map(tableId => getTableHeight(tableConfigsByTableId[tableId]))),
+    );
+
+    const result = [];
+    for (const layer of layers) {
+        let currentLayer = [];
+        let currentLayerHeight = 0;
+        for (const tableId of layer) {
+            const tableHeight = getTableHeight(tableConfigsByTableId[tableId]) + spacing;
+            if (currentLayer.length > 0 && currentLayerHeight + tableHeight > maxLayerHeight) {
+                result.push(currentLayer);
+                currentLayer = [];
+                currentLayerHeight = 0;
+            }
+            currentLayer.push(tableId);
+            currentLayerHeight += tableHeight;
+        }
+        result.push(currentLayer);
+    }
+    return result;
+}
+
+/**
+ * Counts the (weighted) edge crossings between two adjacent layers.
+ *
+ * @param {Object} weightsByTableId edge weights, by table id, by table id
+ * @param {string[]} leftLayer
+ * @param {string[]} rightLayer
+ * @returns {number}
+ */
+function countCrossings(weightsByTableId, leftLayer, rightLayer) {
+    const rightIndexByTableId = _.fromPairs(rightLayer.map((tableId, index) => [tableId, index]));
+    const edges = [];
+    leftLayer.forEach((tableId, leftIndex) => {
+        for (const [neighborId, weight] of Object.entries(weightsByTableId[tableId])) {
+            if (rightIndexByTableId[neighborId] !== undefined) {
+                edges.push({leftIndex, rightIndex: rightIndexByTableId[neighborId], weight});
+            }
+        }
+    });
+
+    let crossings = 0;
+    for (let i = 0; i < edges.length; i++) {
+        for (let j = i + 1; j < edges.length; j++) {
+            const a = edges[i];
+            const b = edges[j];
+            if ((a.leftIndex - b.leftIndex) * (a.rightIndex - b.rightIndex) < 0) {
+                crossings += a.weight * b.weight;
+            }
+        }
+    }
+    return crossings;
+}
+
+/**
+ * Re-orders the tables in one layer by the weighted average position (barycenter) of their
+ * neighbors in an adjacent, fixed layer. Tables without neighbors in the fixed layer keep their
+ * current position.
+ *
+ * @param {Object} weightsByTableId edge weights, by table id, by table id
+ * @param {string[]} layer layer to re-order
+ * @param {string[]} fixedLayer adjacent layer whose order is kept
+ * @returns {string[]} re-ordered layer
+ */
+function orderByBarycenter(weightsByTableId, layer, fixedLayer) {
+    const fixedIndexByTableId = _.fromPairs(fixedLayer.map((tableId, index) => [tableId, index]));
+    const barycenters = layer.map((tableId, index) => {
+        let weightedSum = 0;
+        let totalWeight = 0;
+        for (const [neighborId, weight] of Object.entries(weightsByTableId[tableId])) {
+            if (fixedIndexByTableId[neighborId] !== undefined) {
+                weightedSum += fixedIndexByTableId[neighborId] * weight;
+                totalWeight += weight;
+            }
+        }
+        // Scale the current index to the fixed layer's size, so unconnected tables stay put
+        const fallback = (index * fixedLayer.length) / Math.max(layer.length, 1);
+        return {tableId, barycenter: totalWeight > 0 ? weightedSum / totalWeight : fallback};
+    });
+    return _.sortBy(barycenters, 'barycenter').map(({tableId}) => tableId);
+}
+
+/**
+ * Reduces link crossings by repeatedly sweeping left-to-right and right-to-left over the layers,
+ * ordering each layer by barycenter. The best ordering seen is kept.
+ *
+ * @param {Object} weightsByTableId edge weights, by table id, by table id
+ * @param {string[][]} layers table ids in each layer
+ * @returns {string[][]} table ids in each layer, re-ordered
+ */
+function reduceCrossings(weightsByTableId, layers) {
+    const getTotalCrossings = currentLayers =>
+        _.sum(
+            currentLayers
+                .slice(1)
+                .map((layer, index) =>
+                    countCrossings(weightsByTableId, currentLayers[index], layer),
+                ),
+        );
+
+    let bestLayers = layers;
+    let bestCrossings = getTotalCrossings(layers);
+    let currentLayers = layers;
+    for (let sweep = 0; sweep < NUM_CROSSING_REDUCTION_SWEEPS && bestCrossings > 0; sweep++) {
+        currentLayers = [...currentLayers];
+        if (sweep % 2 === 0) {
+            for (let i = 1; i < currentLayers.length; i++) {
+                currentLayers[i] = orderByBarycenter(
+                    weightsByTableId,
+                    currentLayers[i],
+                    currentLayers[i - 1],
+                );
+            }
+        } else {
+            for (let i = currentLayers.length - 2; i >= 0; i--) {
+                currentLayers[i] = orderByBarycenter(
+                    weightsByTableId,
+                    currentLayers[i],
+                    currentLayers[i + 1],
+                );
+            }
+        }
+        const crossings = getTotalCrossings(currentLayers);
+        if (crossings < bestCrossings) {
+            bestLayers = currentLayers;
+            bestCrossings = crossings;
+        }
+    }
+    return bestLayers;
+}
+
+/**
+ * Lays out a single connected component using a layered (Sugiyama-style) approach: tables are
+ * assigned to columns by distance from the most connected table, columns are ordered to reduce
+ * link crossings, and each column is stacked vertically and centered against the tallest column.
+ *
+ * @param {Object} weightsByTableId edge weights, by table id, by table id
+ * @param {string[]} component table ids in this connected component
+ * @param {Object} tableConfigsByTableId table header & field nodes for each table, by table id
+ * @param {number} spacing gap between tables
+ * @returns {{tableCoordsByTableId: Object, width: number, height: number}}
+ */
+function layoutComponentLayered(weightsByTableId, component, tableConfigsByTableId, spacing) {
+    const layers = reduceCrossings(
+        weightsByTableId,
+        splitTallLayers(assignLayers(weightsByTableId, component), tableConfigsByTableId, spacing),
+    );
+
+    const layerHeights = layers.map(
+        layer =>
+            _.sumBy(layer, tableId => getTableHeight(tableConfigsByTableId[tableId])) +
+            (layer.length - 1) * spacing,
+    );
+    const height = _.max(layerHeights);
+    // Columns are spread further apart than rows, to leave room for the links between them
+    const columnWidth = TABLE_WIDTH + 2 * spacing;
+
+    const tableCoordsByTableId = {};
+    layers.forEach((layer, layerIndex) => {
+        let y = (height - layerHeights[layerIndex]) / 2;
+        for (const tableId of layer) {
+            tableCoordsByTableId[tableId] = {x: layerIndex * columnWidth, y};
+            y += getTableHeight(tableConfigsByTableId[tableId]) + spacing;
+        }
+    });
+
+    return {
+        tableCoordsByTableId,
+        width: layers.length * columnWidth - 2 * spacing,
+        height,
+    };
+}
+
+/**
+ * Pushes apart any tables whose rectangles (plus spacing) overlap, moving each pair along the axis
+ * with the smallest overlap.
+ *
+ * @param {Object} tableCoordsByTableId x,y coordinates for each table, by table id (mutated)
+ * @param {Object} tableConfigsByTableId table header & field nodes for each table, by table id
+ * @param {number} spacing gap between tables
+ */
+function removeOverlaps(tableCoordsByTableId, tableConfigsByTableId, spacing) {
+    const tableIds = Object.keys(tableCoordsByTableId);
+    for (let iteration = 0; iteration < NUM_OVERLAP_REMOVAL_ITERATIONS; iteration++) {
+        let didMove = false;
+        for (let i = 0; i < tableIds.length; i++) {
+            for (let j = i + 1; j < tableIds.length; j++) {
+                const a = tableCoordsByTableId[tableIds[i]];
+                const b = tableCoordsByTableId[tableIds[j]];
+                const aHeight = getTableHeight(tableConfigsByTableId[tableIds[i]]);
+                const bHeight = getTableHeight(tableConfigsByTableId[tableIds[j]]);
+                const overlapX =
+                    Math.min(a.x + TABLE_WIDTH, b.x + TABLE_WIDTH) - Math.max(a.x, b.x) + spacing;
+                const overlapY =
+                    Math.min(a.y + aHeight, b.y + bHeight) - Math.max(a.y, b.y) + spacing;
+                if (overlapX <= 0 || overlapY <= 0) {
+                    continue;
+                }
+                didMove = true;
+                if (overlapX < overlapY) {
+                    const direction = a.x + TABLE_WIDTH / 2 < b.x + TABLE_WIDTH / 2 ? -1 : 1;
+                    a.x += (direction * overlapX) / 2;
+                    b.x -= (direction * overlapX) / 2;
+                } else {
+                    const direction = a.y + aHeight / 2 < b.y + bHeight / 2 ? -1 : 1;
+                    a.y += (direction * overlapY) / 2;
+                    b.y -= (direction * overlapY) / 2;
+                }
+            }
+        }
+        if (!didMove) {
+            break;
+        }
+    }
+}
+
+/**
+ * Lays out a single connected component using a force-directed (Fruchterman-Reingold) simulation:
+ * linked tables attract each other proportionally to how many links they share, and all tables
+ * repel each other. The simulation is seeded with the layered layout, so results are
+ * deterministic. Overlapping tables are pushed apart once the simulation has settled.
+ *
+ * @param {Object} weightsByTableId edge weights, by table id, by table id
+ * @param {string[]} component table ids in this connected component
+ * @param {Object} tableConfigsByTableId table header & field nodes for each table, by table id
+ * @param {number} spacing gap between tables
+ * @returns {{tableCoordsByTableId: Object, width: number, height: number}}
+ */
+function layoutComponentForceDirected(weightsByTableId, component, tableConfigsByTableId, spacing) {
+    const seed = layoutComponentLayered(
+        weightsByTableId,
+        component,
+        tableConfigsByTableId,
+        spacing,
+    );
+    const heightsByTableId = _.fromPairs(
+        component.map(tableId => [tableId, getTableHeight(tableConfigsByTableId[tableId])]),
+    );
+    // Simulate using table centers, so tall tables aren't pulled off-center
+    const centersByTableId = _.mapValues(seed.tableCoordsByTableId, ({x, y}, tableId) => ({
+        x: x + TABLE_WIDTH / 2,
+        y: y + heightsByTableId[tableId] / 2,
+    }));
+
+    // Ideal distance between two tables of average size
+    const k = TABLE_WIDTH + spacing + _.mean(Object.values(heightsByTableId)) / 2;
+    let temperature = Math.max(seed.width, seed.height) / 10;
+    const cooling = temperature / (NUM_FORCE_ITERATIONS + 1);
+
+    for (let iteration = 0; iteration < NUM_FORCE_ITERATIONS; iteration++) {
+        const displacementsByTableId = _.fromPairs(
+            component.map(tableId => [tableId, {x: 0, y: 0}]),
+        );
+        for (let i = 0; i < component.length; i++) {
+            for (let j = i + 1; j < component.length; j++) {
+                const a = centersByTableId[component[i]];
+                const b = centersByTableId[component[j]];
+                const dx = a.x - b.x;
+                const dy = a.y - b.y;
+                const distance = Math.max(Math.hypot(dx, dy), 1);
+                const force = (k * k) / distance;
+                displacementsByTableId[component[i]].x += (dx / distance) * force;
+                displacementsByTableId[component[i]].y += (dy / distance) * force;
+                displacementsByTableId[component[j]].x -= (dx / distance) * force;
+                displacementsByTableId[component[j]].y -= (dy / distance) * force;
+            }
+        }
+        for (const tableId of component) {
+            for (const [neighborId, weight] of Object.entries(weightsByTableId[tableId])) {
+                // Each edge is visited from both ends, so only apply it once
+                if (tableId > neighborId) {
+                    continue;
+                }
+                const a = centersByTableId[tableId];
+                const b = centersByTableId[neighborId];
+                const dx = a.x - b.x;
+                const dy = a.y - b.y;
+                const distance = Math.max(Math.hypot(dx, dy), 1);
+                const force = ((distance * distance) / k) * Math.sqrt(weight);
+                displacementsByTableId[tableId].x -= (dx / distance) * force;
+                displacementsByTableId[tableId].y -= (dy / distance) * force;
+                displacementsByTableId[neighborId].x += (dx / distance) * force;
+                displacementsByTableId[neighborId].y += (dy / distance) * force;
+            }
+        }
+        for (const tableId of component) {
+            const displacement = displacementsByTableId[tableId];
+            const length = Math.max(Math.hypot(displacement.x, displacement.y), 1);
+            const step = Math.min(length, temperature);
+            centersByTableId[tableId].x += (displacement.x / length) * step;
+            centersByTableId[tableId].y += (displacement.y / length) * step;
+        }
+        temperature -= cooling;
+    }
+
+    const tableCoordsByTableId = _.mapValues(centersByTableId, ({x, y}, tableId) => ({
+        x: x - TABLE_WIDTH / 2,
+        y: y - heightsByTableId[tableId] / 2,
+    }));
+    removeOverlaps(tableCoordsByTableId, tableConfigsByTableId, spacing);
+    return normalizeTableCoords(tableCoordsByTableId, tableConfigsByTableId);
+}
+
+/**
+ * Translates a set of table coords so that its top-left corner is at 0,0, rounding to whole
+ * pixels, and measures the resulting bounds.
+ *
+ * @param {Object} tableCoordsByTableId x,y coordinates for each table, by table id
+ * @param {Object} tableConfigsByTableId table header & field nodes for each table, by table id
+ * @returns {{tableCoordsByTableId: Object, width: number, height: number}}
+ */
+function normalizeTableCoords(tableCoordsByTableId, tableConfigsByTableId) {
+    const coords = Object.entries(tableCoordsByTableId);
+    const minX = _.min(coords.map(([, {x}]) => x));
+    const minY = _.min(coords.map(([, {y}]) => y));
+    const maxX = _.max(coords.map(([, {x}]) => x + TABLE_WIDTH));
+    const maxY = _.max(
+        coords.map(([tableId, {y}]) => y + getTableHeight(tableConfigsByTableId[tableId])),
+    );
+    return {
+        tableCoordsByTableId: _.mapValues(tableCoordsByTableId, ({x, y}) => ({
+            x: Math.round(x - minX),
+            y: Math.round(y - minY),
+        })),
+        width: maxX - minX,
+        height: maxY - minY,
+    };
+}
+
+/**
+ * Given the schema of a base, determine position coords for each table such that related tables
+ * are placed next to each other and link crossings are kept low.
+ *
+ * Each connected group of tables is laid out on its own with the chosen algorithm, and the groups
+ * are then placed left-to-right, largest first. Tables without any links to other tables carry no
+ * positioning information, so they are packed into columns to the right of everything else.
+ *
+ * @param {Object} tableConfigsByTableId table header & field nodes for each table, by table id
+ * @param {Object} linksById link objects, by link id
+ * @param {Object} options
+ * @param {'layered' | 'forceDirected'} options.algorithm layout algorithm to use
+ * @param {number} options.spacing gap between tables
+ * @returns {Object.<string, {x: number, y: number}>} x,y coordinates for each table, by table id
+ */
+export function calculateAutoLayout(
+    tableConfigsByTableId,
+    linksById,
+    {algorithm = LayoutAlgorithms.LAYERED, spacing = DEFAULT_LAYOUT_SPACING} = {},
+) {
+    const weightsByTableId = buildTableGraph(tableConfigsByTableId, linksById);
+    const components = getConnectedComponents(weightsByTableId);
+    const [linkedComponents, unlinkedComponents] = _.partition(
+        components,
+        component => component.length > 1,
+    );
+    const layoutComponent =
+        algorithm === LayoutAlgorithms.FORCE_DIRECTED
+            ? layoutComponentForceDirected
+            : layoutComponentLayered;
+
+    const tableCoordsByTableId = {};
+    let offsetX = 0;
+    for (const component of linkedComponents) {
+        const layout = layoutComponent(weightsByTableId, component, tableConfigsByTableId, spacing);
+        for (const [tableId, {x, y}] of Object.entries(layout.tableCoordsByTableId)) {
+            tableCoordsByTableId[tableId] = {x: x + offsetX, y};
+        }
+        offsetX += layout.width + 2 * spacing;
+    }
+
+    const unlinkedTableConfigsByTableId = _.pick(
+        tableConfigsByTableId,
+        _.flatten(unlinkedComponents),
+    );
+    const unlinkedTableCoords = getInitialTableCoords(unlinkedTableConfigsByTableId, spacing);
+    for (const [tableId, {x, y}] of Object.entries(unlinkedTableCoords)) {
+        tableCoordsByTableId[tableId] = {x: x + offsetX, y};
+    }
+
+    return tableCoordsByTableId;
+}
@@ -1,12 +1,35 @@
 import {loadCSSFromString, colorUtils, colors} from '@airtable/blocks/ui';
 
 import {FONT_FAMILY, FONT_SIZE} from './constants';
+import {ChangeTypes, CHANGE_TYPE_COLORS} from './snapshotHelpers';
 
-const css = `
+const {ADDED, REMOVED, RENAMED, RETYPED} = ChangeTypes;
+
+/**
+ * Returns the hex value of the bright or light color for a type of change.
+ *
+ * @param {string} changeType
+ * @param {'color' | 'lightColor'} colorKey
+ * @returns {string}
+ */
+function getChangeHex(changeType, colorKey = 'color') {
+    return colorUtils.getHexForColor(CHANGE_TYPE_COLORS[changeType][colorKey]);
+}
+
+export const css = `
     .SchemaVisualizer {
         background-color: #F3F2F1;
     }
 
+    .SelectionMarquee {
+        fill: ${colorUtils.getHexForColor(colors.BLUE_BRIGHT)};
+        fill-opacity: 0.1;
+        stroke: ${colorUtils.getHexForColor(colors.BLUE_BRIGHT)};
+        stroke-width: 1px;
+        vector-effect: non-scaling-stroke;
+        pointer-events: none;
+    }
+
     .TableRow {
         font-family: ${FONT_FAMILY};
         font-size: ${FONT_SIZE};
@@ -18,6 +41,10 @@ const css = `
         fill: rgba(0, 0, 0, 0.1);
     }
 
+    svg.selected > .TableBorder {
+        fill: ${colorUtils.getHexForColor(colors.BLUE_BRIGHT)};
+    }
+
     .TableRow:not(.TableHeader) {
         fill: #fff;
         stroke-width: 0;
@@ -33,10 +60,71 @@ const css = `
         dominant-baseline: central;
     }
 
+    .TableRow.${ADDED} rect {
+        fill: ${getChangeHex(ADDED, 'lightColor')};
+    }
+
+    .TableRow.${RENAMED} rect {
+        fill: ${getChangeHex(RENAMED, 'lightColor')};
+    }
+
+    .TableRow.${RETYPED} rect {
+        fill: ${getChangeHex(RETYPED, 'lightColor')};
+    }
+
+    .TableRow.${REMOVED} rect {
+        fill: ${getChangeHex(REMOVED, 'lightColor')};
+    }
+
+    .TableRow.${REMOVED} {
+        opacity: 0.7;
+    }
+
+    .TableRow.${REMOVED} text {
+        text-decoration: line-through;
+    }
+
+    /* Headers keep their own color, and are outlined instead (the outer half of the stroke is
+    clipped by the row) */
+    .TableRow.TableHeader.${ADDED} path {
+        stroke: ${getChangeHex(ADDED)};
+        stroke-width: 6px;
+    }
+
+    .TableRow.TableHeader.${RENAMED} path {
+        stroke: ${getChangeHex(RENAMED)};
+        stroke-width: 6px;
+    }
+
+    .TableRow.TableHeader.${REMOVED} path {
+        stroke: ${getChangeHex(REMOVED)};
+        stroke-width: 6px;
+    }
+
     .TableRow.highlighted rect {
         fill: hsl(0, 0%, 91%);
     }
 
+    .TableRow.pinned rect {
+        fill: ${colorUtils.getHexForColor(colors.YELLOW_LIGHT_2)};
+    }
+
+    /* Field or table shown in the deletion impact */
+    .TableRow.deleting rect {
+        fill: ${colorUtils.getHexForColor(colors.RED_LIGHT_2)};
+    }
+
+    .TableRow.TableHeader.deleting path {
+        stroke: ${colorUtils.getHexForColor(colors.RED_BRIGHT)};
+        stroke-width: 6px;
+    }
+
+    .SchemaVisualizer.tracing .TableRow:not(.highlighted),
+    .SchemaVisualizer.tracing .Link:not(.highlighted),
+    .SchemaVisualizer.tracing .LinkBundle {
+        opacity: 0.2;
+    }
+
     .TableRow.TableHeader {
         stroke-width: 0;
         font-weight: 600;
@@ -46,10 +134,97 @@ const css = `
         fill: #ffffff;
     }
     
+    .TableRow:focus {
+        outline: none;
+    }
+
+    .TableRow:focus-visible > rect,
+    .TableRow:focus-visible > path {
+        stroke: ${colorUtils.getHexForColor(colors.BLUE_BRIGHT)};
+        stroke-width: 3px;
+    }
+
     .TableRow.draggable {
         cursor: grab;
     }
 
+    .TableHeaderButton {
+        font-family: ${FONT_FAMILY};
+        font-size: ${FONT_SIZE};
+        stroke-width: 0;
+    }
+
+    .TableHeaderButton rect {
+        fill: transparent;
+    }
+
+    .TableHeaderButton.clickable {
+        cursor: pointer;
+    }
+
+    .TableHeaderButton.clickable:hover rect {
+        fill: rgba(255, 255, 255, 0.2);
+    }
+
+    .TableHeaderButton text {
+        fill: #ffffff;
+        text-anchor: middle;
+        dominant-baseline: central;
+    }
+
+    .GroupFrame {
+        font-family: ${FONT_FAMILY};
+        font-size: ${FONT_SIZE};
+        font-weight: 600;
+    }
+
+    .GroupFrameBackground {
+        fill-opacity: 0.08;
+        stroke-width: 2px;
+        stroke-opacity: 0.6;
+    }
+
+    .GroupFrameLabel rect {
+        fill: transparent;
+    }
+
+    .GroupFrameLabel text {
+        dominant-baseline: central;
+    }
+
+    .GroupFrameLabel.draggable {
+        cursor: grab;
+    }
+
+    .AlignmentGuide {
+        stroke: ${colorUtils.getHexForColor(colors.PINK_BRIGHT)};
+        stroke-width: 1px;
+        vector-effect: non-scaling-stroke;
+        pointer-events: none;
+    }
+
+    .Minimap {
+        display: block;
+        background-color: #F3F2F1;
+        cursor: pointer;
+    }
+
+    .MinimapLink {
+        fill: none;
+        stroke: ${colorUtils.getHexForColor(colors.GRAY)};
+        stroke-width: 1px;
+        stroke-opacity: 0.6;
+        vector-effect: non-scaling-stroke;
+    }
+
+    .MinimapVisibleBounds {
+        fill: ${colorUtils.getHexForColor(colors.BLUE_BRIGHT)};
+        fill-opacity: 0.1;
+        stroke: ${colorUtils.getHexForColor(colors.BLUE_BRIGHT)};
+        stroke-width: 2px;
+        vector-effect: non-scaling-stroke;
+    }
+
     .Link {
         fill: none;
         stroke: ${colorUtils.getHexForColor(colors.GRAY)};
@@ -57,6 +232,36 @@ const css = `
         stroke-opacity: 0.6;
     }
 
+    .LinkBundle {
+        fill: none;
+        stroke: ${colorUtils.getHexForColor(colors.GRAY)};
+        stroke-opacity: 0.3;
+        stroke-linecap: round;
+        pointer-events: none;
+    }
+
+    .Link.LinkStub {
+        fill: #ffffff;
+    }
+
+    .Link.${ADDED} {
+        stroke: ${getChangeHex(ADDED)};
+        stroke-opacity: 1;
+        stroke-width: 3px;
+    }
+
+    .Link.${RETYPED} {
+        stroke: ${getChangeHex(RETYPED)};
+        stroke-opacity: 1;
+        stroke-width: 3px;
+    }
+
+    .Link.${REMOVED} {
+        stroke: ${getChangeHex(REMOVED)};
+        stroke-opacity: 1;
+        stroke-dasharray: 4px 4px;
+    }
+
     .Link.highlighted {
         stroke-width: 4px;
         stroke-opacity: 1;
@@ -0,0 +1,128 @@
+// The zoom level (in screen pixels per diagram unit) used when focusing on a single element
+export const FOCUS_REAL_ZOOM = 1.5;
+// Minimum gap between content fitted in view and the edge of the viewport, in pixels
+const FIT_PADDING = 40;
+
+/**
+ * Returns the center of an element, in pixels relative to the top-left corner of the root SVG.
+ *
+ * @param {Element} element
+ * @returns {{x: number, y: number}}
+ */
+function getElementCenter(element) {
+    const rootRect = document.getElementById('root').getBoundingClientRect();
+    const elementRect = element.getBoundingClientRect();
+    return {
+        x: elementRect.left + elementRect.width / 2 - rootRect.left,
+        y: elementRect.top + elementRect.height / 2 - rootRect.top,
+    };
+}
+
+/**
+ * Returns the part of the diagram that's currently visible in the main canvas, in diagram units.
+ *
+ * @param {Object} svgPanZoom `svgPanZoom` instance
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function getVisibleBounds(svgPanZoom) {
+    const {width, height, realZoom} = svgPanZoom.getSizes();
+    const pan = svgPanZoom.getPan();
+    return {
+        x: -pan.x / realZoom,
+        y: -pan.y / realZoom,
+        width: width / realZoom,
+        height: height / realZoom,
+    };
+}
+
+/**
+ * Zooms the `svgPanZoom` instance to the given real zoom level (ie, screen pixels per diagram
+ * unit), around the center of the viewport.
+ *
+ * `svgPanZoom#zoom` is relative to the initial "fit" zoom level, so the requested real zoom is
+ * converted first. The zoom level is still limited to the instance's min & max zoom.
+ *
+ * @param {Object} svgPanZoom `svgPanZoom` instance
+ * @param {number} realZoom
+ */
+export function zoomToRealZoom(svgPanZoom, realZoom) {
+    const {realZoom: currentRealZoom} = svgPanZoom.getSizes();
+    svgPanZoom.zoom((realZoom * svgPanZoom.getZoom()) / currentRealZoom);
+}
+
+/**
+ * Zooms the `svgPanZoom` instance to the given real zoom level, and pans so the element is
+ * centered in the viewport.
+ *
+ * Positions are read back from the DOM after zooming, so this works regardless of how the element
+ * is nested.
+ *
+ * @param {Object} svgPanZoom `svgPanZoom` instance
+ * @param {Element} element element to center on
+ * @param {number} realZoom
+ */
+export function centerOnElement(svgPanZoom, element, realZoom = FOCUS_REAL_ZOOM) {
+    zoomToRealZoom(svgPanZoom, realZoom);
+
+    const {width, height} = svgPanZoom.getSizes();
+    const elementCenter = getElementCenter(element);
+    svgPanZoom.panBy({x: width / 2 - elementCenter.x, y: height / 2 - elementCenter.y});
+}
+
+/**
+ * Pans the `svgPanZoom` instance by as little as possible so that the element is in view, with a
+ * margin around it. The zoom level is left as is.
+ *
+ * Used when moving keyboard focus, where re-centering on every key press would be disorienting.
+ *
+ * @param {Object} svgPanZoom `svgPanZoom` instance
+ * @param {Element} element element to bring into view
+ * @param {number} margin minimum gap between the element and the edge of the viewport, in pixels
+ */
+export function panIntoView(svgPanZoom, element, margin = 40) {
+    const rootRect = document.getElementById('root').getBoundingClientRect();
+    const elementRect = element.getBoundingClientRect();
+    // Returns how far to pan along one axis, preferring to show the start of the element if it's
+    // larger than the viewport
+    const getPanDelta = (elementStart, elementEnd, rootStart, rootEnd) => {
+        if (elementStart < rootStart + margin) {
+            return rootStart + margin - elementStart;
+        }
+        if (elementEnd > rootEnd - margin) {
+            return Math.max(rootEnd - margin - elementEnd, rootStart + margin - elementStart);
+        }
+        return 0;
+    };
+    const x = getPanDelta(elementRect.left, elementRect.right, rootRect.left, rootRect.right);
+    const y = getPanDelta(elementRect.top, elementRect.bottom, rootRect.top, rootRect.bottom);
+    if (x !== 0 || y !== 0) {
+        svgPanZoom.panBy({x, y});
+    }
+}
+
+/**
+ * Zooms & pans the `svgPanZoom` instance so the given bounds fill the viewport, with some padding.
+ * Small bounds (eg, a single table) aren't zoomed in further than `maxRealZoom`.
+ *
+ * @param {Object} svgPanZoom `svgPanZoom` instance
+ * @param {{x: number, y: number, width: number, height: number}} bounds in diagram units
+ * @param {number} maxRealZoom
+ */
+export function fitBounds(svgPanZoom, bounds, maxRealZoom = FOCUS_REAL_ZOOM) {
+    const {width, height} = svgPanZoom.getSizes();
+    zoomToRealZoom(
+        svgPanZoom,
+        Math.min(
+            Math.max(width - 2 * FIT_PADDING, width / 2) / bounds.width,
+            Math.max(height - 2 * FIT_PADDING, height / 2) / bounds.height,
+            maxRealZoom,
+        ),
+    );
+
+    // Read the zoom level back, in case it was limited
+    const {realZoom} = svgPanZoom.getSizes();
+    svgPanZoom.pan({
+        x: width / 2 - (bounds.x + bounds.width / 2) * realZoom,
+        y: height / 2 - (bounds.y + bounds.height / 2) * realZoom,
+    });
+}
@@ -20,244 +20,323 @@ function pushToOrInitializeArray(obj, key, value) {
     obj[key].push(value);
 }
 
-function createLinkId(source, target) {
+/**
+ * Returns the id of the link from the source node to the target node.
+ *
+ * @param {string} source id of the dependent field
+ * @param {string} target id of the field (or table) it depends on
+ * @returns {string}
+ */
+export function createLinkId(source, target) {
     return `${source}_${target}`;
 }
 
+// Tables parsed for each parsed schema, by table id, so that they can be reused by the next parse
+const parsedTablesBySchema = new WeakMap();
+
 /**
- * Given a base, iterate through to construct a list of nodes, links, and their interdependencies.
+ * Parses the nodes of a table, along with the links from its fields. The links are only listed, to
+ * be added to the schema by `parseSchema`, since which links are kept can depend on other tables.
  *
- * @param {Base} base
+ * Also keeps the table's name and the id, name, type and options of each field, which are all that
+ * the result depends on (@see isTableUnchanged).
+ *
+ * @param {Table} table
  * @returns {{
- *     linksById: Object,
- *     nodesById: Obkect,
- *     tableConfigsByTableId: Object,
- *     dependentLinksByNodeId: Object
+ *     source: {name: string, fields: Object[]},
+ *     tableConfig: {tableNode: Object, fieldNodes: Object[]},
+ *     linkEntries: Array<{link: Object, dependentNodeIds: string[], inverseLinkId?: string}>
  * }}
  */
-export default function parseSchema(base) {
-    let linksById = {};
-    const nodesById = {};
-    const tableConfigsByTableId = {};
-    const dependentLinksByNodeId = {};
-
-    base.tables.forEach(table => {
-        const fieldNodes = [];
-        table.fields.forEach(field => {
-            const fieldNode = {
-                id: field.id,
-                name: field.name,
-                type: 'field',
-                tableName: table.name,
-                tableId: table.id,
-                tooltipLabel: FIELD_LABELS_BY_TYPE[field.type],
-            };
-            fieldNodes.push(fieldNode);
-            nodesById[fieldNode.id] = fieldNode;
-            if (field.options && field.options.isValid === false) {
-                return;
-            }
-            switch (field.type) {
-                case FieldType.MULTIPLE_RECORD_LINKS: {
-                    const {inverseLinkFieldId, linkedTableId} = field.options;
-                    if (inverseLinkFieldId) {
-                        // foreign table linked records (links to different table)
-                        // every foreign linked record field MUST contain a mirrored linked record
-                        // field on the inverse table. we only want to add 1 link for this
-                        // relationship, so we check to see if the inverse link has already
-                        // been created and just re-use it if so.
-                        const inverseLinkId = createLinkId(inverseLinkFieldId, field.id);
-                        const inverseLinkOrNull = linksById[inverseLinkId];
-                        if (inverseLinkOrNull) {
-                            pushToOrInitializeArray(
-                                dependentLinksByNodeId,
-                                field.id,
-                                inverseLinkOrNull,
-                            );
-                        } else {
-                            const link = {
-                                id: createLinkId(field.id, inverseLinkFieldId),
-                                sourceId: field.id,
-                                sourceTableId: table.id,
-                                targetId: inverseLinkFieldId,
-                                targetTableId: linkedTableId,
-                                type: field.type,
-                                tooltipLabel: LINK_LABELS_BY_TYPE[field.type],
-                            };
-                            linksById[link.id] = link;
-                            pushToOrInitializeArray(dependentLinksByNodeId, field.id, link);
-                        }
-                    } else {
-                        // self-linking linked records (links to same table)
-                        // in this case, draw a link from the field to the table header itself.
-                        // there is no "inverse field" for self-linking records.
-                        const link = {
-                            id: createLinkId(field.id, linkedTableId),
-                            sourceId: field.id,
-                            sourceTableId: table.id,
-                            targetId: linkedTableId,
-                            targetTableId: linkedTableId,
-                            type: field.type,
-                            tooltipLabel: LINK_LABELS_BY_TYPE[field.type],
-                        };
-                        linksById[link.id] = link;
-                        pushToOrInitializeArray(dependentLinksByNodeId, field.id, link);
-                    }
-                    break;
-                }
-                case FieldType.FORMULA: {
-                    // formulas are dependent on multiple fields in the same table. we want to
-                    // mark the link dependency in both directions, so add it to both the formula
-                    // field and the dependent field for each. we consider the target to be the
-                    // formula field itself, because other fields feed into its value.
-                    const {referencedFieldIds} = field.options;
-                    referencedFieldIds.forEach(dependentFieldId => {
-                        const link = {
-                            id: createLinkId(field.id, dependentFieldId),
-                            sourceId: field.id,
-                            sourceTableId: table.id,
-                            targetId: dependentFieldId,
-                            targetTableId: table.id,
-                            type: field.type,
-                            tooltipLabel: LINK_LABELS_BY_TYPE[field.type],
-                        };
-                        linksById[link.id] = link;
-                        pushToOrInitializeArray(dependentLinksByNodeId, field.id, link);
-                        pushToOrInitializeArray(dependentLinksByNodeId, dependentFieldId, link);
+function parseTable(table) {
+    const {fields} = table;
+    const fieldNodes = [];
+    const linkEntries = [];
+    fields.forEach(field => {
+        const fieldNode = {
+            id: field.id,
+            name: field.name,
+            type: 'field',
+            tableName: table.name,
+            tableId: table.id,
+            fieldType: field.type,
+            tooltipLabel: FIELD_LABELS_BY_TYPE[field.type],
+        };
+        fieldNodes.push(fieldNode);
+        if (field.options && field.options.isValid === false) {
+            return;
+        }
+        switch (field.type) {
+            case FieldType.MULTIPLE_RECORD_LINKS: {
+                const {inverseLinkFieldId, linkedTableId} = field.options;
+                if (inverseLinkFieldId) {
+                    // foreign table linked records (links to different table)
+                    // every foreign linked record field MUST contain a mirrored linked record
+                    // field on the inverse table. we only want to add 1 link for this
+                    // relationship, so the inverse link is re-used if it has already been
+                    // created (see below).
+                    const link = {
+                        id: createLinkId(field.id, inverseLinkFieldId),
+                        sourceId: field.id,
+                        sourceTableId: table.id,
+                        targetId: inverseLinkFieldId,
+                        targetTableId: linkedTableId,
+                        type: field.type,
+                        tooltipLabel: LINK_LABELS_BY_TYPE[field.type],
+                    };
+                    linkEntries.push({
+                        link,
+                        dependentNodeIds: [field.id],
+                        inverseLinkId: createLinkId(inverseLinkFieldId, field.id),
                     });
-                    break;
-                }
-                case FieldType.COUNT: {
-                    // count fields reference a linked record field in the same table. treated
-                    // similar to formula field.
-                    const {recordLinkFieldId} = field.options;
+                } else {
+                    // self-linking linked records (links to same table)
+                    // in this case, draw a link from the field to the table header itself.
+                    // there is no "inverse field" for self-linking records.
                     const link = {
-                        id: createLinkId(field.id, recordLinkFieldId),
+                        id: createLinkId(field.id, linkedTableId),
                         sourceId: field.id,
                         sourceTableId: table.id,
-                        targetId: recordLinkFieldId,
-                        targetTableId: table.id,
+                        targetId: linkedTableId,
+                        targetTableId: linkedTableId,
                         type: field.type,
                         tooltipLabel: LINK_LABELS_BY_TYPE[field.type],
                     };
-                    linksById[link.id] = link;
-                    pushToOrInitializeArray(dependentLinksByNodeId, field.id, link);
-                    pushToOrInitializeArray(dependentLinksByNodeId, recordLinkFieldId, link);
-                    break;
+                    linkEntries.push({link, dependentNodeIds: [field.id]});
                 }
-                case FieldType.MULTIPLE_LOOKUP_VALUES: {
-                    // lookup fields reference a linked record field in the same table and a field
-                    // in the linked foreign table that is being "looked up".
-                    const {recordLinkFieldId, fieldIdInLinkedTable} = field.options;
+                break;
+            }
+            case FieldType.FORMULA: {
+                // formulas are dependent on multiple fields in the same table. we want to
+                // mark the link dependency in both directions, so add it to both the formula
+                // field and the dependent field for each. we consider the target to be the
+                // formula field itself, because other fields feed into its value.
+                const {referencedFieldIds} = field.options;
+                referencedFieldIds.forEach(dependentFieldId => {
                     const link = {
-                        id: createLinkId(field.id, recordLinkFieldId),
+                        id: createLinkId(field.id, dependentFieldId),
                         sourceId: field.id,
                         sourceTableId: table.id,
-                        targetId: recordLinkFieldId,
+                        targetId: dependentFieldId,
                         targetTableId: table.id,
                         type: field.type,
                         tooltipLabel: LINK_LABELS_BY_TYPE[field.type],
                     };
-                    linksById[link.id] = link;
-                    pushToOrInitializeArray(dependentLinksByNodeId, field.id, link);
-                    pushToOrInitializeArray(dependentLinksByNodeId, recordLinkFieldId, link);
-
-                    const recordLinkField = table.getFieldByIdIfExists(recordLinkFieldId);
-                    if (recordLinkField !== null) {
-                        const foreignLink = {
-                            id: createLinkId(field.id, fieldIdInLinkedTable),
-                            sourceId: field.id,
-                            sourceTableId: table.id,
-                            targetId: fieldIdInLinkedTable,
-                            targetTableId: recordLinkField.options.linkedTableId,
-                            type: field.type,
-                            tooltipLabel: LINK_LABELS_BY_TYPE[field.type],
-                        };
-                        linksById[foreignLink.id] = foreignLink;
-                        pushToOrInitializeArray(dependentLinksByNodeId, field.id, foreignLink);
-                        pushToOrInitializeArray(
-                            dependentLinksByNodeId,
-                            fieldIdInLinkedTable,
-                            foreignLink,
-                        );
-                    }
+                    linkEntries.push({link, dependentNodeIds: [field.id, dependentFieldId]});
+                });
+                break;
+            }
+            case FieldType.COUNT: {
+                // count fields reference a linked record field in the same table. treated
+                // similar to formula field.
+                const {recordLinkFieldId} = field.options;
+                const link = {
+                    id: createLinkId(field.id, recordLinkFieldId),
+                    sourceId: field.id,
+                    sourceTableId: table.id,
+                    targetId: recordLinkFieldId,
+                    targetTableId: table.id,
+                    type: field.type,
+                    tooltipLabel: LINK_LABELS_BY_TYPE[field.type],
+                };
+                linkEntries.push({link, dependentNodeIds: [field.id, recordLinkFieldId]});
+                break;
+            }
+            case FieldType.MULTIPLE_LOOKUP_VALUES: {
+                // lookup fields reference a linked record field in the same table and a field
+                // in the linked foreign table that is being "looked up".
+                const {recordLinkFieldId, fieldIdInLinkedTable} = field.options;
+                const link = {
+                    id: createLinkId(field.id, recordLinkFieldId),
+                    sourceId: field.id,
+                    sourceTableId: table.id,
+                    targetId: recordLinkFieldId,
+                    targetTableId: table.id,
+                    type: field.type,
+                    tooltipLabel: LINK_LABELS_BY_TYPE[field.type],
+                };
+                linkEntries.push({link, dependentNodeIds: [field.id, recordLinkFieldId]});
 
-                    break;
+                const recordLinkField = table.getFieldByIdIfExists(recordLinkFieldId);
+                if (recordLinkField !== null) {
+                    const foreignLink = {
+                        id: createLinkId(field.id, fieldIdInLinkedTable),
+                        sourceId: field.id,
+                        sourceTableId: table.id,
+                        targetId: fieldIdInLinkedTable,
+                        targetTableId: recordLinkField.options.linkedTableId,
+                        type: field.type,
+                        tooltipLabel: LINK_LABELS_BY_TYPE[field.type],
+                    };
+                    linkEntries.push({
+                        link: foreignLink,
+                        dependentNodeIds: [field.id, fieldIdInLinkedTable],
+                    });
                 }
-                case FieldType.ROLLUP: {
-                    // rollup fieldss are a combination of lookups with formulas. like rollups,
-                    // they reference a linked record field in the same table and a field in that
-                    // linked foreign table that is being "rolled up". additionally, they can
-                    // reference fields from their own table in the rollup calculation.
-                    for (const referencedFieldId of field.options.referencedFieldIds) {
-                        const link = {
-                            id: createLinkId(field.id, referencedFieldId),
-                            sourceId: field.id,
-                            sourceTableId: table.id,
-                            targetId: referencedFieldId,
-                            targetTableId: table.id,
-                            type: field.type,
-                            tooltipLabel: LINK_LABELS_BY_TYPE[field.type],
-                        };
-                        linksById[link.id] = link;
-                        pushToOrInitializeArray(dependentLinksByNodeId, field.id, link);
-                        pushToOrInitializeArray(dependentLinksByNodeId, referencedFieldId, link);
-                    }
 
-                    const {recordLinkFieldId, fieldIdInLinkedTable} = field.options;
+                break;
+            }
+            case FieldType.ROLLUP: {
+                // rollup fieldss are a combination of lookups with formulas. like rollups,
+                // they reference a linked record field in the same table and a field in that
+                // linked foreign table that is being "rolled up". additionally, they can
+                // reference fields from their own table in the rollup calculation.
+                for (const referencedFieldId of field.options.referencedFieldIds) {
                     const link = {
-                        id: createLinkId(field.id, recordLinkFieldId),
+                        id: createLinkId(field.id, referencedFieldId),
                         sourceId: field.id,
                         sourceTableId: table.id,
-                        targetId: recordLinkFieldId,
+                        targetId: referencedFieldId,
                         targetTableId: table.id,
                         type: field.type,
                         tooltipLabel: LINK_LABELS_BY_TYPE[field.type],
                     };
-                    linksById[link.id] = link;
-                    pushToOrInitializeArray(dependentLinksByNodeId, field.id, link);
-                    pushToOrInitializeArray(dependentLinksByNodeId, recordLinkFieldId, link);
+                    linkEntries.push({link, dependentNodeIds: [field.id, referencedFieldId]});
+                }
+
+                const {recordLinkFieldId, fieldIdInLinkedTable} = field.options;
+                const link = {
+                    id: createLinkId(field.id, recordLinkFieldId),
+                    sourceId: field.id,
+                    sourceTableId: table.id,
+                    targetId: recordLinkFieldId,
+                    targetTableId: table.id,
+                    type: field.type,
+                    tooltipLabel: LINK_LABELS_BY_TYPE[field.type],
+                };
+                linkEntries.push({link, dependentNodeIds: [field.id, recordLinkFieldId]});
 
-                    const recordLinkField = table.getFieldByIdIfExists(recordLinkFieldId);
-                    if (recordLinkField !== null) {
-                        const foreignLink = {
-                            id: createLinkId(field.id, fieldIdInLinkedTable),
-                            sourceId: field.id,
-                            sourceTableId: table.id,
-                            targetId: fieldIdInLinkedTable,
-                            targetTableId: recordLinkField.options.linkedTableId,
-                            type: field.type,
-                            tooltipLabel: LINK_LABELS_BY_TYPE[field.type],
-                        };
-                        linksById[foreignLink.id] = foreignLink;
-                        pushToOrInitializeArray(dependentLinksByNodeId, field.id, foreignLink);
-                        pushToOrInitializeArray(
-                            dependentLinksByNodeId,
-                            fieldIdInLinkedTable,
-                            foreignLink,
-                        );
-                    }
-                    break;
+                const recordLinkField = table.getFieldByIdIfExists(recordLinkFieldId);
+                if (recordLinkField !== null) {
+                    const foreignLink = {
+                        id: createLinkId(field.id, fieldIdInLinkedTable),
+                        sourceId: field.id,
+                        sourceTableId: table.id,
+                        targetId: fieldIdInLinkedTable,
+                        targetTableId: recordLinkField.options.linkedTableId,
+                        type: field.type,
+                        tooltipLabel: LINK_LABELS_BY_TYPE[field.type],
+                    };
+                    linkEntries.push({
+                        link: foreignLink,
+                        dependentNodeIds: [field.id, fieldIdInLinkedTable],
+                    });
                 }
-                default:
-                    break;
+                break;
             }
-        });
+            default:
+                break;
+        }
+    });
 
-        const tableNode = {
-            id: table.id,
+    const tableNode = {
+        id: table.id,
+        name: table.name,
+        type: 'table',
+        tableName: table.name,
+        tableId: table.id,
+        tooltipLabel: 'Table',
+    };
+    return {
+        source: {
             name: table.name,
-            type: 'table',
-            tableName: table.name,
-            tableId: table.id,
-            tooltipLabel: 'Table',
-        };
-        nodesById[tableNode.id] = tableNode;
-        tableConfigsByTableId[table.id] = {
-            tableNode,
-            fieldNodes,
-        };
+            fields: fields.map(({id, name, type, options}) => ({id, name, type, options})),
+        },
+        tableConfig: {tableNode, fieldNodes},
+        linkEntries,
+    };
+}
+
+/**
+ * Whether a table still has the same name, and the same fields with the same names, types and
+ * options, as when it was parsed.
+ *
+ * @param {Table} table
+ * @param {Object} parsedTable (@see parseTable)
+ * @returns {boolean}
+ */
+function isTableUnchanged(table, {source}) {
+    const {fields} = table;
+    return (
+        table.name === source.name &&
+        fields.length === source.fields.length &&
+        fields.every((field, index) => {
+            const sourceField = source.fields[index];
+            return (
+                field.id === sourceField.id &&
+                field.name === sourceField.name &&
+                field.type === sourceField.type &&
+                _.isEqual(field.options, sourceField.options)
+            );
+        })
+    );
+}
+
+/**
+ * Given a base, iterate through to construct a list of nodes, links, and their interdependencies.
+ *
+ * When the previously parsed schema is given, only the tables that changed since (eg, the table
+ * with a renamed field) are parsed again. Every other table keeps its table config, nodes and links
+ * from the previous schema, so their object identity is kept, and memoized calculations and
+ * components that depend on them don't need to be redone. If no table changed, the previous schema
+ * is returned as is.
+ *
+ * @param {Base} base
+ * @param {Object | null} previousSchema the result of the previous call, if any
+ * @returns {{
+ *     linksById: Object,
+ *     nodesById: Object,
+ *     tableConfigsByTableId: Object,
+ *     dependentLinksByNodeId: Object
+ * }}
+ */
+export default function parseSchema(base, previousSchema = null) {
+    const previousParsedTablesByTableId =
+        (previousSchema && parsedTablesBySchema.get(previousSchema)) || {};
+    const previousTableIds = Object.keys(previousParsedTablesByTableId);
+    const {tables} = base;
+    // Adding, removing or reordering tables changes the schema too
+    let hasChanged = !previousSchema || tables.length !== previousTableIds.length;
+    const parsedTablesByTableId = {};
+    tables.forEach((table, index) => {
+        const previousParsedTable = previousParsedTablesByTableId[table.id];
+        if (previousParsedTable && isTableUnchanged(table, previousParsedTable)) {
+            parsedTablesByTableId[table.id] = previousParsedTable;
+            hasChanged = hasChanged || previousTableIds[index] !== table.id;
+        } else {
+            parsedTablesByTableId[table.id] = parseTable(table);
+            hasChanged = true;
+        }
     });
+    if (!hasChanged) {
+        return previousSchema;
+    }
+
+    let linksById = {};
+    const nodesById = {};
+    const tableConfigsByTableId = {};
+    const dependentLinksByNodeId = {};
+
+    for (const [tableId, {tableConfig, linkEntries}] of Object.entries(parsedTablesByTableId)) {
+        for (const fieldNode of tableConfig.fieldNodes) {
+            nodesById[fieldNode.id] = fieldNode;
+        }
+        nodesById[tableId] = tableConfig.tableNode;
+        tableConfigsByTableId[tableId] = tableConfig;
+
+        for (const {link, dependentNodeIds, inverseLinkId} of linkEntries) {
+            // Only 1 link is added for a linked record field and its inverse field
+            const inverseLinkOrNull = inverseLinkId ? linksById[inverseLinkId] : null;
+            if (inverseLinkOrNull) {
+                pushToOrInitializeArray(dependentLinksByNodeId, link.sourceId, inverseLinkOrNull);
+                continue;
+            }
+            linksById[link.id] = link;
+            for (const nodeId of dependentNodeIds) {
+                pushToOrInitializeArray(dependentLinksByNodeId, nodeId, link);
+            }
+        }
+    }
 
     // When a table is deleted, we can get schema updates where fields still refer to that table.
     // Similarly, when a field is deleted, it might still have references.
@@ -277,18 +356,34 @@ export default function parseSchema(base) {
 
     // We can't process dependentLinksByNodeId until we've gone through all fields in
     // all tables because of cross-table links (at least 2 passes required).
-    base.tables.forEach(table => {
-        const dependentLinks = table.fields.reduce((result, field) => {
-            const links = dependentLinksByNodeId[field.id];
+    for (const [tableId, {fieldNodes}] of Object.entries(tableConfigsByTableId)) {
+        const dependentLinks = fieldNodes.reduce((result, fieldNode) => {
+            const links = dependentLinksByNodeId[fieldNode.id];
             return links ? result.concat(links) : result;
         }, []);
-        dependentLinksByNodeId[table.id] = dependentLinks;
-    });
+        dependentLinksByNodeId[tableId] = dependentLinks;
+    }
 
-    return {
+    // Keep the previous lists of links that haven't changed, so they keep their identity too
+    if (previousSchema) {
+        for (const [nodeId, links] of Object.entries(dependentLinksByNodeId)) {
+            const previousLinks = previousSchema.dependentLinksByNodeId[nodeId];
+            if (
+                previousLinks &&
+                previousLinks.length === links.length &&
+                links.every((link, index) => link === previousLinks[index])
+            ) {
+                dependentLinksByNodeId[nodeId] = previousLinks;
+            }
+        }
+    }
+
+    const schema = {
         linksById,
         nodesById,
         tableConfigsByTableId,
         dependentLinksByNodeId,
     };
+    parsedTablesBySchema.set(schema, parsedTablesByTableId);
+    return schema;
 }
@@ -1,4 +1,4 @@
-import {useState} from 'react';
+import {useState, useMemo, useRef} from 'react';
 import {base} from '@airtable/blocks';
 import _ from 'lodash';
 import {useWatchable, useGlobalConfig} from '@airtable/blocks/ui';
@@ -6,45 +6,213 @@ import {FieldType} from '@airtable/blocks/models';
 
 import parseSchema from './parseSchema';
 import {
+    calculateBundledLinkPaths,
     calculateLinkPaths,
+    getLinkBundles,
     getUpdatedTableCoords,
-    getInitialTableCoords,
+    LinkRoutings,
 } from './coordinateHelpers';
+import {calculateAutoLayout, LayoutAlgorithms, DEFAULT_LAYOUT_SPACING} from './layoutHelpers';
+import {getRenderedTableConfigs} from './tableDisplayHelpers';
+import {getHeaderColors, HeaderColorModes} from './tableColorHelpers';
+import {decodeSnapshot, diffSchema} from './snapshotHelpers';
+import {DEFAULT_GRID_SIZE} from './constants';
 
 export const ConfigKeys = Object.freeze({
+    LAYOUTS_BY_ID: 'layoutsById',
+    ACTIVE_LAYOUT_ID: 'activeLayoutId',
+    AUTO_LAYOUT_OPTIONS: 'autoLayoutOptions',
+    HEADER_COLOR_MODE: 'headerColorMode',
+    TABLE_COLORS_BY_TABLE_ID: 'tableColorsByTableId',
+    SNAPSHOTS_BY_ID: 'snapshotsById',
+    LINK_ROUTING: 'linkRouting',
+    SHOULD_BUNDLE_LINKS: 'shouldBundleLinks',
+    GRID_OPTIONS: 'gridOptions',
+    SHOULD_SHOW_ALIGNMENT_GUIDES: 'shouldShowAlignmentGuides',
+    SHOULD_SHOW_MINIMAP_LINKS: 'shouldShowMinimapLinks',
+    // Before named layouts were supported, a single layout was stored at the top level. These are
+    // only read to migrate that layout into `layoutsById`.
+    LEGACY_ENABLED_LINKS_BY_TYPE: 'enabledLinksByType',
+    LEGACY_TABLE_COORDS_BY_TABLE_ID: 'tableCoordsByTableId',
+});
+
+// Keys for the settings stored in each layout, under `[ConfigKeys.LAYOUTS_BY_ID, layoutId]`.
+export const LayoutKeys = Object.freeze({
+    NAME: 'name',
     ENABLED_LINKS_BY_TYPE: 'enabledLinksByType',
     TABLE_COORDS_BY_TABLE_ID: 'tableCoordsByTableId',
+    TABLE_DISPLAY_MODES_BY_TABLE_ID: 'tableDisplayModesByTableId',
+    HIDDEN_NODE_IDS: 'hiddenNodeIds',
+    GROUPS_BY_ID: 'groupsById',
+});
+
+const DEFAULT_LAYOUT_ID = 'lytDefault';
+const DEFAULT_LAYOUT_NAME = 'Default layout';
+const DEFAULT_ENABLED_LINKS_BY_TYPE = Object.freeze({
+    [FieldType.MULTIPLE_RECORD_LINKS]: true,
+    [FieldType.FORMULA]: true,
+    [FieldType.ROLLUP]: true,
+    [FieldType.COUNT]: true,
+    [FieldType.MULTIPLE_LOOKUP_VALUES]: true,
 });
 
+// Shared empty value for unset layout settings, so memoized calculations aren't invalidated
+const NO_ENTRIES = Object.freeze({});
+
+/**
+ * Returns the globalConfig path for a setting of a layout.
+ *
+ * @param {string} layoutId
+ * @param {string} key one of LayoutKeys
+ * @returns {string[]}
+ */
+export function getLayoutConfigPath(layoutId, key) {
+    return [ConfigKeys.LAYOUTS_BY_ID, layoutId, key];
+}
+
+/**
+ * Generates a new, random id with the given prefix.
+ *
+ * @param {string} prefix
+ * @returns {string}
+ */
+function createId(prefix) {
+    return `${prefix}${Math.random().toString(36).slice(2, 12)}`;
+}
+
+/**
+ * Generates a new, random layout id.
+ *
+ * @returns {string}
+ */
+export function createLayoutId() {
+    return createId('lyt');
+}
+
+/**
+ * Generates a new, random group id.
+ *
+ * @returns {string}
+ */
+export function createGroupId() {
+    return createId('grp');
+}
+
+/**
+ * Generates a new, random snapshot id.
+ *
+ * @returns {string}
+ */
+export function createSnapshotId() {
+    return createId('snp');
+}
+
+/**
+ * Creates the settings for a new layout, with every link type enabled.
+ *
+ * @param {string} name
+ * @param {Object} tableCoordsByTableId x,y coordinates for each table, by table id
+ * @returns {{name: string, tableCoordsByTableId: Object, enabledLinksByType: Object}}
+ */
+export function createLayout(name, tableCoordsByTableId) {
+    return {
+        [LayoutKeys.NAME]: name,
+        [LayoutKeys.TABLE_COORDS_BY_TABLE_ID]: tableCoordsByTableId,
+        [LayoutKeys.ENABLED_LINKS_BY_TYPE]: DEFAULT_ENABLED_LINKS_BY_TYPE,
+    };
+}
+
+/**
+ * Returns table configs to measure tables with when assigning coords to new tables. Hidden tables
+ * are measured fully expanded, so that their coords are kept while they're hidden.
+ *
+ * @param {Object} tableConfigsByTableId table header & field nodes for each table, by table id
+ * @param {Object} renderedTableConfigsByTableId rendered table header & field nodes for each
+ *     visible table, by table id
+ * @returns {Object}
+ */
+function getMeasuredTableConfigs(tableConfigsByTableId, renderedTableConfigsByTableId) {
+    return _.mapValues(
+        tableConfigsByTableId,
+        (tableConfig, tableId) => renderedTableConfigsByTableId[tableId] || tableConfig,
+    );
+}
+
 /**
  * Reads values from GlobalConfig and calculates relevant positioning information for the nodes
  * and links.
  *
  * A node represents either a "row" in the visualization - either a table header or a field. A link
- * represents a relationship between two nodes. We persist two types of information in globalConfig:
- * (1) whether a certain link type should be shown; and (2) the x,y position for each table, where
- * position indicates the top-left corner of the table.
+ * represents a relationship between two nodes. We persist a set of named layouts in globalConfig,
+ * along with which layout is active. Each layout stores: (1) whether a certain link type should be
+ * shown; (2) the x,y position for each table, where position indicates the top-left corner of
+ * the table; (3) whether each table is expanded, collapsed to its header, or only shows the
+ * fields that take part in a link; (4) which tables & fields are hidden; and (5) named, colored
+ * groups of tables, which are drawn as frames behind their tables. We also persist the algorithm
+ * and spacing used when auto-arranging tables, how tables snap into place while dragging (to a grid,
+ * and into line with other tables), whether links are drawn in the minimap, how table headers are
+ * colored (either with a color picked for each table, or automatically by a rule), and saved
+ * snapshots of the schema.
  *
  * Positioning calculation takes place as follows:
  * (1) Parse the schema of the base (ie, what tables exist, what fields exist on those tables,
  * and what are the relationships/links between fields & tables).
- * (2) Lookup the persisted position for each table, and check for any recently-created tables that
+ * (1a) If comparing against a snapshot, diff the schema with the snapshot, and merge the removed
+ * tables, fields & links back in so they can be drawn (@see diffSchema). All following steps use
+ * this merged schema, except that only tables in the base are persisted when assigning positions.
+ * (2) Resolve the active layout, creating a default layout on first run (or migrating the single
+ * layout persisted by earlier versions of this app).
+ * (3) Determine which tables are rendered, and which field rows are rendered for each table, based
+ * on the hidden tables & fields and each table's display mode.
+ * (4) Lookup the persisted position for each table, and check for any recently-created tables that
  * are not accounted for in these persisted settings. Assign positions for any new tables.
- * (3) Using the table & link configurations from step 1 and table coordinates from step 2,
+ * (5) Using the rendered table configurations from step 3 and table coordinates from step 4,
  * calculate the paths (ie, the `d` attribute for SVG element) for the links. Because the row widths
  * & heights are constant, we can infer coordinates by adding offsets to the table coordinates.
+ * Links to a field that isn't rendered attach to its table header, and links whose other end is
+ * hidden are drawn as a stub. Links between the same two tables can be bundled (@see
+ * getLinkBundles).
  *
  * When dragging a table and updating positions on `mousemove`, it is inefficient to go through this
  * calculation process / rely on React state updates to propagate down to the child components.
  * Instead, we only calculate required changes and directly manipulate the DOM (@see DragWrapper).
- * The new table coordinates are persisted to globalConfig when dragging is finished, but positions
- * and paths for nodes and links are only recalculated from scratch when the base schema changes.
- * Otherwise, we just rely on the current DOM position.
+ * The new table coordinates are persisted to globalConfig when dragging is finished, and paths for
+ * links are recalculated whenever the base schema or the persisted table coordinates change (eg,
+ * after dragging finishes, or when tables are auto-arranged).
+ *
+ * Small changes to the base schema (eg, renaming a field) are common, so they're applied
+ * incrementally. Only the tables that changed are parsed again, and the rest keep their object
+ * identity (@see parseSchema), as do their rendered table configs. Only the paths of links attached
+ * to a changed table are recalculated (@see calculateLinkPaths). This lets React skip re-rendering
+ * the tables that haven't changed (@see TableContainer).
  *
  * @returns {{
+ *     activeLayoutId: string,
+ *     layoutsById: { LayoutId: { name: string, tableCoordsByTableId: Object, enabledLinksByType: Object }},
  *     enabledLinksByType: { ['multipleRecordLinks' | 'formula' | 'multipleLookupValues' | 'rollup' | 'count']: boolean },
+ *     linkRouting: 'curved' | 'orthogonal',
+ *     linkBundlesById: { BundleId: { id: string, tableIds: TableId[], links: Link[] }},
+ *     bundlePathsByBundleId: { BundleId: string },
+ *     autoLayoutOptions: { algorithm: 'layered' | 'forceDirected', spacing: number },
+ *     gridOptions: { shouldSnap: boolean, shouldShow: boolean, size: number },
+ *     shouldShowAlignmentGuides: boolean,
+ *     shouldShowMinimapLinks: boolean,
+ *     headerColorMode: 'manual' | 'group' | 'fieldCount' | 'synced',
+ *     tableColorsByTableId: { TableId: string },
+ *     headerColorsByTableId: { TableId: string },
+ *     headerColorLegendItems: Array<{ color: string, label: string }>,
+ *     snapshotsById: { SnapshotId: Object },
+ *     comparedSnapshot: Object | null,
+ *     setComparedSnapshot: Function,
+ *     schemaDiff: { changes: Object[], changeTypesById: { NodeId | LinkId: string[] }} | null,
+ *     baseSchema: { tableConfigsByTableId: Object, nodesById: Object, linksById: Object, dependentLinksByNodeId: Object },
  *     tableCoordsByTableId: { TableId: { x: number, y: number }},
+ *     savedTableCoordsByTableId: { TableId: { x: number, y: number }},
+ *     tableDisplayModesByTableId: { TableId: 'expanded' | 'linkedFieldsOnly' | 'headerOnly' },
+ *     hiddenNodeIds: { TableId | FieldId: true },
+ *     groupsById: { GroupId: { name: string, color: string, tableIds: TableId[] }},
  *     tableConfigsByTableId: { TableId: { tableNode: Node, fieldNodes: Node[] }},
+ *     renderedTableConfigsByTableId: { TableId: { tableNode: Node, fieldNodes: Node[] }},
  *     nodesById: { NodeId: Node },
  *     linksById: { LinkId: Link },
  *     linkPathsByLinkId: { LinkId: string },
@@ -53,91 +221,293 @@ export const ConfigKeys = Object.freeze({
  */
 export default function useSettings() {
     const [baseSchema, setBaseSchema] = useState(() => parseSchema(base));
-    const {nodesById, linksById, tableConfigsByTableId, dependentLinksByNodeId} = baseSchema;
+    // Snapshot the diagram is compared against. Comparing is only a view option for the current
+    // user, so it isn't persisted.
+    const [comparedSnapshot, setComparedSnapshot] = useState(null);
+    const schemaDiff = useMemo(
+        () => (comparedSnapshot ? diffSchema(baseSchema, decodeSnapshot(comparedSnapshot)) : null),
+        [baseSchema, comparedSnapshot],
+    );
+    const {nodesById, linksById, tableConfigsByTableId, dependentLinksByNodeId} = schemaDiff
+        ? schemaDiff.schema
+        : baseSchema;
     const globalConfig = useGlobalConfig();
-    let tableCoordsByTableId;
-
-    if (!globalConfig.get(ConfigKeys.TABLE_COORDS_BY_TABLE_ID)) {
-        // First time run, determine initial table coords
-        tableCoordsByTableId = getInitialTableCoords(tableConfigsByTableId);
-        globalConfig.setPathsAsync([
-            {
-                path: [ConfigKeys.TABLE_COORDS_BY_TABLE_ID],
-                value: tableCoordsByTableId,
-            },
-            {
-                path: [ConfigKeys.ENABLED_LINKS_BY_TYPE],
-                value: {
-                    [FieldType.MULTIPLE_RECORD_LINKS]: true,
-                    [FieldType.FORMULA]: true,
-                    [FieldType.ROLLUP]: true,
-                    [FieldType.COUNT]: true,
-                    [FieldType.MULTIPLE_LOOKUP_VALUES]: true,
-                },
-            },
-        ]);
-    } else {
-        // Non-first time run, check for any new tables missing from the old saved coords
-        tableCoordsByTableId = globalConfig.get(ConfigKeys.TABLE_COORDS_BY_TABLE_ID);
-        if (
-            _.difference(Object.keys(tableConfigsByTableId), Object.keys(tableCoordsByTableId))
-                .length > 0
-        ) {
-            tableCoordsByTableId = getUpdatedTableCoords(
-                tableConfigsByTableId,
-                tableCoordsByTableId,
-            );
-            if (globalConfig.hasPermissionToSet()) {
-                globalConfig.setAsync(ConfigKeys.TABLE_COORDS_BY_TABLE_ID, tableCoordsByTableId);
-            }
+    const storedLayoutsById = globalConfig.get(ConfigKeys.LAYOUTS_BY_ID);
+    const legacyTableCoords = globalConfig.get(ConfigKeys.LEGACY_TABLE_COORDS_BY_TABLE_ID);
+    const legacyEnabledLinksByType = globalConfig.get(ConfigKeys.LEGACY_ENABLED_LINKS_BY_TYPE);
+    // First time run (or first run since named layouts were added). Create the default layout from
+    // the legacy settings if there are any, or determine initial table coords otherwise. It's kept
+    // between renders until it's saved, or for good if the user can't save it, since everything
+    // derived from the layout would be recalculated for a new one.
+    const defaultLayoutsById = useMemo(() => {
+        if (storedLayoutsById) {
+            return null;
+        }
+        const defaultLayout = createLayout(
+            DEFAULT_LAYOUT_NAME,
+            legacyTableCoords ||
+                calculateAutoLayout(baseSchema.tableConfigsByTableId, baseSchema.linksById),
+        );
+        if (legacyEnabledLinksByType) {
+            defaultLayout[LayoutKeys.ENABLED_LINKS_BY_TYPE] = legacyEnabledLinksByType;
         }
+        return {[DEFAULT_LAYOUT_ID]: defaultLayout};
+    }, [storedLayoutsById, legacyTableCoords, legacyEnabledLinksByType, baseSchema]);
+    let layoutsById = storedLayoutsById;
+    let activeLayoutId = globalConfig.get(ConfigKeys.ACTIVE_LAYOUT_ID);
+
+    if (!layoutsById) {
+        layoutsById = defaultLayoutsById;
+        activeLayoutId = DEFAULT_LAYOUT_ID;
+        if (globalConfig.hasPermissionToSet()) {
+            globalConfig.setPathsAsync([
+                {path: [ConfigKeys.LAYOUTS_BY_ID], value: layoutsById},
+                {path: [ConfigKeys.ACTIVE_LAYOUT_ID], value: activeLayoutId},
+                {path: [ConfigKeys.LEGACY_TABLE_COORDS_BY_TABLE_ID], value: undefined},
+                {path: [ConfigKeys.LEGACY_ENABLED_LINKS_BY_TYPE], value: undefined},
+            ]);
+        }
+    } else if (!layoutsById[activeLayoutId]) {
+        // The active layout was deleted (or never set), fall back to the first layout
+        activeLayoutId = Object.keys(layoutsById)[0];
     }
-    const [linkPathsByLinkId, setLinkPathsByLinkId] = useState(() =>
-        calculateLinkPaths(linksById, tableConfigsByTableId, tableCoordsByTableId),
+    const activeLayout = layoutsById[activeLayoutId];
+
+    const layoutEnabledLinksByType = activeLayout[LayoutKeys.ENABLED_LINKS_BY_TYPE];
+    const enabledLinksByType = useMemo(
+        () =>
+            _.mapValues(DEFAULT_ENABLED_LINKS_BY_TYPE, (isEnabled, type) =>
+                Boolean(layoutEnabledLinksByType && layoutEnabledLinksByType[type]),
+            ),
+        [layoutEnabledLinksByType],
     );
 
-    // Only re-perform these potentially expensive calclulations when required, when the base
-    // schema changes (ie, table added/removed/renamed, field added/removed/renamed).
-    useWatchable(base, ['schema'], () => {
-        const newSchema = parseSchema(base);
-        const newTableCoords = getUpdatedTableCoords(
-            newSchema.tableConfigsByTableId,
+    // Hidden tables & fields aren't rendered, and collapsed tables render fewer rows, so all
+    // positioning uses the rendered table configs
+    const tableDisplayModesByTableId =
+        activeLayout[LayoutKeys.TABLE_DISPLAY_MODES_BY_TABLE_ID] || NO_ENTRIES;
+    const hiddenNodeIds = activeLayout[LayoutKeys.HIDDEN_NODE_IDS] || NO_ENTRIES;
+    const groupsById = activeLayout[LayoutKeys.GROUPS_BY_ID] || NO_ENTRIES;
+    // Results of the previous calculations, so unchanged parts can be reused
+    const previousRenderedTableConfigsRef = useRef(NO_ENTRIES);
+    const previousLinkPathsCalculationRef = useRef(null);
+    const renderedTableConfigsByTableId = useMemo(() => {
+        const newRenderedTableConfigs = getRenderedTableConfigs(
+            tableConfigsByTableId,
+            tableDisplayModesByTableId,
+            hiddenNodeIds,
+            linksById,
+            enabledLinksByType,
+            previousRenderedTableConfigsRef.current,
+        );
+        previousRenderedTableConfigsRef.current = newRenderedTableConfigs;
+        return newRenderedTableConfigs;
+    }, [
+        tableConfigsByTableId,
+        tableDisplayModesByTableId,
+        hiddenNodeIds,
+        linksById,
+        enabledLinksByType,
+    ]);
+
+    // Check for any new tables missing from the saved coords. The updated coords are kept between
+    // renders too, in case the user can't save them.
+    const storedTableCoordsByTableId =
+        activeLayout[LayoutKeys.TABLE_COORDS_BY_TABLE_ID] || NO_ENTRIES;
+    const tableCoordsByTableId = useMemo(
+        () =>
+            _.difference(
+                Object.keys(baseSchema.tableConfigsByTableId),
+                Object.keys(storedTableCoordsByTableId),
+            ).length > 0
+                ? getUpdatedTableCoords(
+                      getMeasuredTableConfigs(
+                          baseSchema.tableConfigsByTableId,
+                          renderedTableConfigsByTableId,
+                      ),
+                      storedTableCoordsByTableId,
+                  )
+                : storedTableCoordsByTableId,
+        [baseSchema, renderedTableConfigsByTableId, storedTableCoordsByTableId],
+    );
+    if (tableCoordsByTableId !== storedTableCoordsByTableId && globalConfig.hasPermissionToSet()) {
+        globalConfig.setAsync(
+            getLayoutConfigPath(activeLayoutId, LayoutKeys.TABLE_COORDS_BY_TABLE_ID),
             tableCoordsByTableId,
         );
-        const newLinkPaths = calculateLinkPaths(
-            newSchema.linksById,
+    }
+    // Removed tables are drawn where they were when the snapshot was taken, but aren't persisted
+    const displayedTableCoordsByTableId = useMemo(
+        () =>
+            schemaDiff
+                ? getUpdatedTableCoords(
+                      getMeasuredTableConfigs(tableConfigsByTableId, renderedTableConfigsByTableId),
+                      {...schemaDiff.removedTableCoordsByTableId, ...tableCoordsByTableId},
+                  )
+                : tableCoordsByTableId,
+        [schemaDiff, tableConfigsByTableId, renderedTableConfigsByTableId, tableCoordsByTableId],
+    );
+    const linkRouting = globalConfig.get(ConfigKeys.LINK_ROUTING) || LinkRoutings.CURVED;
+    // Only curved links are bundled, since orthogonal links are spread apart instead
+    const shouldBundleLinks =
+        linkRouting === LinkRoutings.CURVED &&
+        Boolean(globalConfig.get(ConfigKeys.SHOULD_BUNDLE_LINKS));
+    const linkBundlesById = useMemo(
+        () =>
+            shouldBundleLinks
+                ? getLinkBundles(
+                      linksById,
+                      renderedTableConfigsByTableId,
+                      hiddenNodeIds,
+                      enabledLinksByType,
+                  )
+                : NO_ENTRIES,
+        [
+            shouldBundleLinks,
+            linksById,
+            renderedTableConfigsByTableId,
+            hiddenNodeIds,
+            enabledLinksByType,
+        ],
+    );
+    const {linkPathsByLinkId, bundlePathsByBundleId} = useMemo(() => {
+        const linkPathsCalculation = {
+            linksById,
+            tableConfigsByTableId: renderedTableConfigsByTableId,
+            tableCoordsByTableId: displayedTableCoordsByTableId,
+            hiddenNodeIds,
+            linkRouting,
+        };
+        linkPathsCalculation.linkPathsByLinkId = calculateLinkPaths(
+            linksById,
+            renderedTableConfigsByTableId,
+            displayedTableCoordsByTableId,
+            hiddenNodeIds,
+            linkRouting,
+            previousLinkPathsCalculationRef.current,
+        );
+        previousLinkPathsCalculationRef.current = linkPathsCalculation;
+
+        // Bundled links are drawn differently, so they're kept out of the reusable paths
+        const newLinkPathsByLinkId = {...linkPathsCalculation.linkPathsByLinkId};
+        const newBundlePathsByBundleId = {};
+        for (const bundle of Object.values(linkBundlesById)) {
+            const {trunkPath, linkPathsByLinkId: bundledLinkPaths} = calculateBundledLinkPaths(
+                bundle,
+                displayedTableCoordsByTableId,
+                renderedTableConfigsByTableId,
+            );
+            Object.assign(newLinkPathsByLinkId, bundledLinkPaths);
+            newBundlePathsByBundleId[bundle.id] = trunkPath;
+        }
+        return {
+            linkPathsByLinkId: newLinkPathsByLinkId,
+            bundlePathsByBundleId: newBundlePathsByBundleId,
+        };
+    }, [
+        linksById,
+        renderedTableConfigsByTableId,
+        displayedTableCoordsByTableId,
+        hiddenNodeIds,
+        linkRouting,
+        linkBundlesById,
+    ]);
+
+    // Only re-perform this potentially expensive calculation when required, when the base schema
+    // changes (ie, table added/removed/renamed, field added/removed/renamed).
+    useWatchable(base, ['schema'], () => {
+        const newSchema = parseSchema(base, baseSchema);
+        if (newSchema === baseSchema) {
+            return;
+        }
+        const newRenderedTableConfigs = getRenderedTableConfigs(
             newSchema.tableConfigsByTableId,
-            newTableCoords,
+            tableDisplayModesByTableId,
+            hiddenNodeIds,
+            newSchema.linksById,
+            enabledLinksByType,
+            previousRenderedTableConfigsRef.current,
+        );
+        const newTableCoords = getUpdatedTableCoords(
+            getMeasuredTableConfigs(newSchema.tableConfigsByTableId, newRenderedTableConfigs),
+            tableCoordsByTableId,
         );
 
-        if (globalConfig.hasPermissionToSet()) {
-            globalConfig.setAsync(ConfigKeys.TABLE_COORDS_BY_TABLE_ID, newTableCoords);
+        // Only tables that were added or removed change the coords
+        if (globalConfig.hasPermissionToSet() && !_.isEqual(newTableCoords, tableCoordsByTableId)) {
+            globalConfig.setAsync(
+                getLayoutConfigPath(activeLayoutId, LayoutKeys.TABLE_COORDS_BY_TABLE_ID),
+                newTableCoords,
+            );
         }
         setBaseSchema(newSchema);
-        setLinkPathsByLinkId(newLinkPaths);
     });
 
-    const enabledLinksByType = {
-        [FieldType.MULTIPLE_RECORD_LINKS]: globalConfig.get([
-            ConfigKeys.ENABLED_LINKS_BY_TYPE,
-            FieldType.MULTIPLE_RECORD_LINKS,
-        ]),
-        [FieldType.FORMULA]: globalConfig.get([
-            ConfigKeys.ENABLED_LINKS_BY_TYPE,
-            FieldType.FORMULA,
-        ]),
-        [FieldType.ROLLUP]: globalConfig.get([ConfigKeys.ENABLED_LINKS_BY_TYPE, FieldType.ROLLUP]),
-        [FieldType.MULTIPLE_LOOKUP_VALUES]: globalConfig.get([
-            ConfigKeys.ENABLED_LINKS_BY_TYPE,
-            FieldType.MULTIPLE_LOOKUP_VALUES,
-        ]),
-        [FieldType.COUNT]: globalConfig.get([ConfigKeys.ENABLED_LINKS_BY_TYPE, FieldType.COUNT]),
+    const autoLayoutOptions = {
+        algorithm:
+            globalConfig.get([ConfigKeys.AUTO_LAYOUT_OPTIONS, 'algorithm']) ||
+            LayoutAlgorithms.LAYERED,
+        spacing:
+            globalConfig.get([ConfigKeys.AUTO_LAYOUT_OPTIONS, 'spacing']) || DEFAULT_LAYOUT_SPACING,
+    };
+
+    const gridOptions = {
+        shouldSnap: Boolean(globalConfig.get([ConfigKeys.GRID_OPTIONS, 'shouldSnap'])),
+        shouldShow: Boolean(globalConfig.get([ConfigKeys.GRID_OPTIONS, 'shouldShow'])),
+        size: globalConfig.get([ConfigKeys.GRID_OPTIONS, 'size']) || DEFAULT_GRID_SIZE,
     };
+    const shouldShowAlignmentGuides = Boolean(
+        globalConfig.get(ConfigKeys.SHOULD_SHOW_ALIGNMENT_GUIDES),
+    );
+    const shouldShowMinimapLinks = Boolean(globalConfig.get(ConfigKeys.SHOULD_SHOW_MINIMAP_LINKS));
+
+    const headerColorMode =
+        globalConfig.get(ConfigKeys.HEADER_COLOR_MODE) || HeaderColorModes.MANUAL;
+    const tableColorsByTableId =
+        globalConfig.get(ConfigKeys.TABLE_COLORS_BY_TABLE_ID) || NO_ENTRIES;
+    const {headerColorsByTableId, legendItems: headerColorLegendItems} = useMemo(
+        () =>
+            getHeaderColors(
+                headerColorMode,
+                tableConfigsByTableId,
+                tableColorsByTableId,
+                groupsById,
+            ),
+        [headerColorMode, tableConfigsByTableId, tableColorsByTableId, groupsById],
+    );
+
+    const snapshotsById = globalConfig.get(ConfigKeys.SNAPSHOTS_BY_ID) || NO_ENTRIES;
 
     return {
+        activeLayoutId,
+        layoutsById,
         enabledLinksByType,
-        tableCoordsByTableId,
+        linkRouting,
+        linkBundlesById,
+        bundlePathsByBundleId,
+        autoLayoutOptions,
+        gridOptions,
+        shouldShowAlignmentGuides,
+        shouldShowMinimapLinks,
+        headerColorMode,
+        tableColorsByTableId,
+        headerColorsByTableId,
+        headerColorLegendItems,
+        snapshotsById,
+        comparedSnapshot,
+        setComparedSnapshot,
+        schemaDiff,
+        // The parsed schema of the base, without anything merged in from a compared snapshot
+        baseSchema,
+        tableCoordsByTableId: displayedTableCoordsByTableId,
+        // The persisted coords, without the tables removed since a compared snapshot. Changes to
+        // the coords are made to these, so removed tables aren't saved to the layout.
+        savedTableCoordsByTableId: tableCoordsByTableId,
+        tableDisplayModesByTableId,
+        hiddenNodeIds,
+        groupsById,
         tableConfigsByTableId,
+        renderedTableConfigsByTableId,
         nodesById,
         linksById,
         linkPathsByLinkId,
@@ -0,0 +1,178 @@
+import _ from 'lodash';
+
+import {calculateTablesBounds} from './coordinateHelpers';
+
+// Max distance (in screen px) from another table's edge or center at which a dragged table snaps
+// into line with it
+const ALIGNMENT_SNAP_DISTANCE = 6;
+// Distance guides extend past the tables they line up
+const ALIGNMENT_GUIDE_OVERHANG = 8;
+// Positions closer than this are considered lined up, to allow for rounding
+const ALIGNMENT_EPSILON = 0.5;
+
+// Names of the bounds properties along each axis, so both axes can be aligned by the same code
+const AXES = Object.freeze({
+    x: {start: 'x', size: 'width', crossStart: 'y', crossSize: 'height'},
+    y: {start: 'y', size: 'height', crossStart: 'x', crossSize: 'width'},
+});
+
+/**
+ * Rounds a coordinate to the nearest grid line.
+ *
+ * @param {number} value
+ * @param {number} gridSize
+ * @returns {number}
+ */
+export function snapToGrid(value, gridSize) {
+    return Math.round(value / gridSize) * gridSize;
+}
+
+/**
+ * Returns the start, center and end of some bounds along an axis.
+ *
+ * @param {{x: number, y: number, width: number, height: number}} bounds
+ * @param {Object} axis one of AXES
+ * @returns {number[]}
+ */
+function getAlignmentLines(bounds, axis) {
+    const start = bounds[axis.start];
+    const size = bounds[axis.size];
+    return [start, start + size / 2, start + size];
+}
+
+/**
+ * Finds the smallest offset along an axis that lines up the start, center or end of the moving
+ * bounds with the start, center or end of any of the other bounds.
+ *
+ * @param {Object} movingBounds
+ * @param {Object[]} otherBoundsList
+ * @param {Object} axis one of AXES
+ * @param {number} maxDistance offsets larger than this are ignored
+ * @returns {number | null} null if nothing is close enough to line up with
+ */
+function findAlignmentOffset(movingBounds, otherBoundsList, axis, maxDistance) {
+    let bestOffset = null;
+    for (const line of getAlignmentLines(movingBounds, axis)) {
+        for (const otherBounds of otherBoundsList) {
+            for (const otherLine of getAlignmentLines(otherBounds, axis)) {
+                const offset = otherLine - line;
+                if (
+                    Math.abs(offset) <= maxDistance &&
+                    (bestOffset === null || Math.abs(offset) < Math.abs(bestOffset))
+                ) {
+                    bestOffset = offset;
+                }
+            }
+        }
+    }
+    return bestOffset;
+}
+
+/**
+ * Returns a guide for every line the moving bounds share with any of the other bounds along an
+ * axis. Each guide spans the moving bounds and all of the bounds lined up with it.
+ *
+ * @param {Object} movingBounds
+ * @param {Object[]} otherBoundsList
+ * @param {Object} axis one of AXES
+ * @returns {Array<{x1: number, y1: number, x2: number, y2: number}>}
+ */
+function getAlignmentGuides(movingBounds, otherBoundsList, axis) {
+    const guides = [];
+    for (const line of _.uniq(getAlignmentLines(movingBounds, axis))) {
+        const alignedBoundsList = otherBoundsList.filter(otherBounds =>
+            getAlignmentLines(otherBounds, axis).some(
+                otherLine => Math.abs(otherLine - line) < ALIGNMENT_EPSILON,
+            ),
+        );
+        if (alignedBoundsList.length === 0) {
+            continue;
+        }
+        const spannedBoundsList = [movingBounds, ...alignedBoundsList];
+        const crossStart =
+            _.min(spannedBoundsList.map(bounds => bounds[axis.crossStart])) -
+            ALIGNMENT_GUIDE_OVERHANG;
+        const crossEnd =
+            _.max(
+                spannedBoundsList.map(bounds => bounds[axis.crossStart] + bounds[axis.crossSize]),
+            ) + ALIGNMENT_GUIDE_OVERHANG;
+        guides.push(
+            axis === AXES.x
+                ? {x1: line, y1: crossStart, x2: line, y2: crossEnd}
+                : {x1: crossStart, y1: line, x2: crossEnd, y2: line},
+        );
+    }
+    return guides;
+}
+
+/**
+ * Given how far the mouse has moved some tables, returns how far to actually move them so they snap
+ * into place, along with the alignment guides to show.
+ *
+ * The tables are snapped as a whole, by their combined bounds. Along each axis, lining up with
+ * another table's edge or center takes precedence over snapping to the grid.
+ *
+ * @param {string[]} tableIds ids of the tables being moved
+ * @param {{x: number, y: number}} delta distance the tables have been moved by the mouse
+ * @param {Object} tableCoordsByTableId x,y coordinates for each table before the move, by table id
+ * @param {Object} tableConfigsByTableId rendered table configuration of fieldNodes & table header,
+ *     by table id
+ * @param {Object} options
+ * @param {number | null} options.gridSize grid to snap to, or null if snapping to the grid is off
+ * @param {boolean} options.shouldAlign whether to line the tables up with other tables
+ * @param {number} options.realZoom current zoom level, to keep the snap distance constant on screen
+ * @returns {{
+ *     delta: {x: number, y: number},
+ *     guides: Array<{x1: number, y1: number, x2: number, y2: number}>
+ * }}
+ */
+export function snapTableMove(
+    tableIds,
+    delta,
+    tableCoordsByTableId,
+    tableConfigsByTableId,
+    {gridSize, shouldAlign, realZoom},
+) {
+    const bounds = calculateTablesBounds(tableIds, tableCoordsByTableId, tableConfigsByTableId);
+    if (!bounds || (!gridSize && !shouldAlign)) {
+        return {delta, guides: []};
+    }
+
+    const otherBoundsList = shouldAlign
+        ? Object.keys(tableConfigsByTableId)
+              .filter(tableId => !tableIds.includes(tableId))
+              .map(tableId =>
+                  calculateTablesBounds([tableId], tableCoordsByTableId, tableConfigsByTableId),
+              )
+              .filter(Boolean)
+        : [];
+    const movedBounds = {...bounds, x: bounds.x + delta.x, y: bounds.y + delta.y};
+    const snappedDelta = {...delta};
+    for (const [key, axis] of Object.entries(AXES)) {
+        const alignmentOffset = shouldAlign
+            ? findAlignmentOffset(
+                  movedBounds,
+                  otherBoundsList,
+                  axis,
+                  ALIGNMENT_SNAP_DISTANCE / realZoom,
+              )
+            : null;
+        if (alignmentOffset !== null) {
+            snappedDelta[key] += alignmentOffset;
+        } else if (gridSize) {
+            snappedDelta[key] = snapToGrid(bounds[key] + delta[key], gridSize) - bounds[key];
+        }
+    }
+
+    if (!shouldAlign) {
+        return {delta: snappedDelta, guides: []};
+    }
+    const snappedBounds = {...bounds, x: bounds.x + snappedDelta.x, y: bounds.y + snappedDelta.y};
+    return {
+        delta: snappedDelta,
+        guides: [
+            ...getAlignmentGuides(snappedBounds, otherBoundsList, AXES.x),
+            ...getAlignmentGuides(snappedBounds, otherBoundsList, AXES.y),
+        ],
+    };
+}
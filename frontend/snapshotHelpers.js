@@ -0,0 +1,445 @@
+import _ from 'lodash';
+import {colors} from '@airtable/blocks/ui';
+
+import {createLinkId} from './parseSchema';
+import {FIELD_LABELS_BY_TYPE, LINK_LABELS_BY_TYPE} from './constants';
+
+// The version of the snapshot format, bumped on breaking changes to its shape
+export const SNAPSHOT_VERSION = 1;
+
+// globalConfig is limited to 150kB in total, which is shared with the saved layouts and every other
+// saved snapshot
+export const MAX_GLOBAL_CONFIG_SIZE = 150000;
+// A single saved snapshot can take up at most a third of that once compressed, so larger snapshots
+// can only be downloaded as a file
+export const MAX_SAVED_SNAPSHOT_SIZE = 50000;
+
+// Number of bytes converted to characters at a time when encoding compressed snapshots as base64
+const BASE64_CHUNK_SIZE = 0x8000;
+
+export const ChangeTypes = Object.freeze({
+    ADDED: 'added',
+    REMOVED: 'removed',
+    RENAMED: 'renamed',
+    RETYPED: 'retyped',
+});
+
+// Colors used to mark each type of change in the diagram: the bright color for table headers &
+// links, and the light color for field rows
+export const CHANGE_TYPE_COLORS = Object.freeze({
+    [ChangeTypes.ADDED]: {color: colors.GREEN_BRIGHT, lightColor: colors.GREEN_LIGHT_2},
+    [ChangeTypes.REMOVED]: {color: colors.RED_BRIGHT, lightColor: colors.RED_LIGHT_2},
+    [ChangeTypes.RENAMED]: {color: colors.CYAN_BRIGHT, lightColor: colors.CYAN_LIGHT_2},
+    [ChangeTypes.RETYPED]: {color: colors.ORANGE_BRIGHT, lightColor: colors.ORANGE_LIGHT_2},
+});
+
+/**
+ * Creates a snapshot of the parsed schema, along with the position of each table.
+ *
+ * Snapshots are stored in a compact form, since they're saved in globalConfig: each table is a
+ * tuple of its id, name, position and a flat list of its fields' ids, names and types. Field types
+ * are stored once and referenced by index. Links are stored as a flat list of (source, target)
+ * pairs of node indexes, counting table and field nodes in order, since everything else about a
+ * link can be derived from its ends.
+ *
+ * Snapshots saved in globalConfig are compressed further (@see compressSnapshot), while downloaded
+ * snapshots are kept as plain JSON.
+ *
+ * @param {string} name
+ * @param {Object} schema parsed schema (@see parseSchema)
+ * @param {Object} tableCoordsByTableId x,y coordinates for each table, by table id
+ * @returns {Object}
+ */
+export function createSnapshot(name, {tableConfigsByTableId, linksById}, tableCoordsByTableId) {
+    const fieldTypes = [];
+    const nodeIndexesByNodeId = {};
+    let numNodes = 0;
+
+    const tables = Object.values(tableConfigsByTableId).map(({tableNode, fieldNodes}) => {
+        nodeIndexesByNodeId[tableNode.id] = numNodes++;
+        const fields = [];
+        for (const fieldNode of fieldNodes) {
+            nodeIndexesByNodeId[fieldNode.id] = numNodes++;
+            let fieldTypeIndex = fieldTypes.indexOf(fieldNode.fieldType);
+            if (fieldTypeIndex === -1) {
+                fieldTypeIndex = fieldTypes.push(fieldNode.fieldType) - 1;
+            }
+            fields.push(fieldNode.id, fieldNode.name, fieldTypeIndex);
+        }
+        const coords = tableCoordsByTableId[tableNode.id];
+        return [
+            tableNode.id,
+            tableNode.name,
+            coords ? Math.round(coords.x) : null,
+            coords ? Math.round(coords.y) : null,
+            fields,
+        ];
+    });
+
+    const links = [];
+    for (const {sourceId, targetId} of Object.values(linksById)) {
+        links.push(nodeIndexesByNodeId[sourceId], nodeIndexesByNodeId[targetId]);
+    }
+
+    return {
+        version: SNAPSHOT_VERSION,
+        name,
+        createdTime: Date.now(),
+        fieldTypes,
+        tables,
+        links,
+    };
+}
+
+/**
+ * Encodes bytes as a base64 string, since globalConfig can only store JSON.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function encodeBase64(bytes) {
+    let binaryString = '';
+    // Convert in chunks, to stay within the maximum number of function arguments
+    for (let index = 0; index < bytes.length; index += BASE64_CHUNK_SIZE) {
+        binaryString += String.fromCharCode(...bytes.subarray(index, index + BASE64_CHUNK_SIZE));
+    }
+    return btoa(binaryString);
+}
+
+/**
+ * Decodes a base64 string back into bytes.
+ *
+ * @param {string} base64String
+ * @returns {Uint8Array}
+ */
+function decodeBase64(base64String) {
+    const binaryString = atob(base64String);
+    const bytes = new Uint8Array(binaryString.length);
+    for (let index = 0; index < binaryString.length; index++) {
+        bytes[index] = binaryString.charCodeAt(index);
+    }
+    return bytes;
+}
+
+/**
+ * Compresses a snapshot, to be saved in globalConfig. The tables & links are gzipped and encoded as
+ * base64, while the name & creation time are kept as they are, so saved snapshots can be listed
+ * without decompressing them.
+ *
+ * @param {Object} snapshot (@see createSnapshot)
+ * @returns {Promise<Object>}
+ */
+export async function compressSnapshot({version, name, createdTime, fieldTypes, tables, links}) {
+    const compressedStream = new Blob([JSON.stringify({fieldTypes, tables, links})])
+        .stream()
+        .pipeThrough(new CompressionStream('gzip'));
+    const compressedBuffer = await new Response(compressedStream).arrayBuffer();
+    return {
+        version,
+        name,
+        createdTime,
+        compressedData: encodeBase64(new Uint8Array(compressedBuffer)),
+    };
+}
+
+/**
+ * Expands a snapshot saved in globalConfig back into a snapshot (@see compressSnapshot).
+ *
+ * @param {Object} savedSnapshot
+ * @returns {Promise<Object>}
+ */
+export async function decompressSnapshot({compressedData, ...savedSnapshot}) {
+    const decompressedStream = new Blob([decodeBase64(compressedData)])
+        .stream()
+        .pipeThrough(new DecompressionStream('gzip'));
+    const {fieldTypes, tables, links} = await new Response(decompressedStream).json();
+    return {...savedSnapshot, fieldTypes, tables, links};
+}
+
+/**
+ * Whether a value is a table tuple of a snapshot (@see createSnapshot), with a flat list of field
+ * id, name & field type index triples.
+ *
+ * @param {unknown} table
+ * @param {number} numFieldTypes
+ * @returns {boolean}
+ */
+function isValidSnapshotTable(table, numFieldTypes) {
+    if (!Array.isArray(table) || table.length !== 5) {
+        return false;
+    }
+    const [tableId, tableName, x, y, fields] = table;
+    return (
+        typeof tableId === 'string' &&
+        typeof tableName === 'string' &&
+        (x === null || Number.isFinite(x)) &&
+        (y === null || Number.isFinite(y)) &&
+        Array.isArray(fields) &&
+        fields.length % 3 === 0 &&
+        _.chunk(fields, 3).every(
+            ([fieldId, fieldName, fieldTypeIndex]) =>
+                typeof fieldId === 'string' &&
+                typeof fieldName === 'string' &&
+                Number.isInteger(fieldTypeIndex) &&
+                fieldTypeIndex >= 0 &&
+                fieldTypeIndex < numFieldTypes,
+        )
+    );
+}
+
+/**
+ * Whether a value (eg, parsed from an uploaded file) is a snapshot that can be decoded. Every table
+ * and link is checked, so a malformed file is rejected here rather than failing to decode.
+ *
+ * @param {unknown} snapshot
+ * @returns {boolean}
+ */
+export function isValidSnapshot(snapshot) {
+    return Boolean(
+        snapshot &&
+        snapshot.version === SNAPSHOT_VERSION &&
+        typeof snapshot.name === 'string' &&
+        Array.isArray(snapshot.fieldTypes) &&
+        snapshot.fieldTypes.every(fieldType => typeof fieldType === 'string') &&
+        Array.isArray(snapshot.tables) &&
+        snapshot.tables.every(table => isValidSnapshotTable(table, snapshot.fieldTypes.length)) &&
+        Array.isArray(snapshot.links) &&
+        snapshot.links.length % 2 === 0 &&
+        snapshot.links.every(nodeIndex => Number.isInteger(nodeIndex)),
+    );
+}
+
+/**
+ * Expands a snapshot back into the shape of a parsed schema (@see parseSchema), along with the
+ * position each table had when the snapshot was taken.
+ *
+ * @param {Object} snapshot (@see createSnapshot)
+ * @returns {{
+ *     linksById: Object,
+ *     nodesById: Object,
+ *     tableConfigsByTableId: Object,
+ *     tableCoordsByTableId: Object
+ * }}
+ */
+export function decodeSnapshot(snapshot) {
+    const nodes = [];
+    const nodesById = {};
+    const tableConfigsByTableId = {};
+    const tableCoordsByTableId = {};
+
+    for (const [tableId, tableName, x, y, fields] of snapshot.tables) {
+        const tableNode = {
+            id: tableId,
+            name: tableName,
+            type: 'table',
+            tableName,
+            tableId,
+            tooltipLabel: 'Table',
+        };
+        nodes.push(tableNode);
+        nodesById[tableId] = tableNode;
+
+        const fieldNodes = [];
+        for (const [fieldId, fieldName, fieldTypeIndex] of _.chunk(fields, 3)) {
+            const fieldType = snapshot.fieldTypes[fieldTypeIndex];
+            const fieldNode = {
+                id: fieldId,
+                name: fieldName,
+                type: 'field',
+                tableName,
+                tableId,
+                fieldType,
+                tooltipLabel: FIELD_LABELS_BY_TYPE[fieldType],
+            };
+            nodes.push(fieldNode);
+            nodesById[fieldId] = fieldNode;
+            fieldNodes.push(fieldNode);
+        }
+
+        tableConfigsByTableId[tableId] = {tableNode, fieldNodes};
+        if (x !== null && y !== null) {
+            tableCoordsByTableId[tableId] = {x, y};
+        }
+    }
+
+    const linksById = {};
+    for (const [sourceIndex, targetIndex] of _.chunk(snapshot.links, 2)) {
+        const source = nodes[sourceIndex];
+        const target = nodes[targetIndex];
+        if (!source || !target) {
+            continue;
+        }
+        // Links always have the type of their source field
+        const link = {
+            id: createLinkId(source.id, target.id),
+            sourceId: source.id,
+            sourceTableId: source.tableId,
+            targetId: target.id,
+            targetTableId: target.tableId,
+            type: source.fieldType,
+            tooltipLabel: LINK_LABELS_BY_TYPE[source.fieldType],
+        };
+        linksById[link.id] = link;
+    }
+
+    return {linksById, nodesById, tableConfigsByTableId, tableCoordsByTableId};
+}
+
+/**
+ * Returns a copy of a node or link that only exists in a snapshot, labelled as removed.
+ *
+ * @param {Object} nodeOrLink
+ * @returns {Object}
+ */
+function markAsRemoved(nodeOrLink) {
+    return {...nodeOrLink, tooltipLabel: `${nodeOrLink.tooltipLabel} (removed)`};
+}
+
+/**
+ * Compares the live schema with a snapshot of an earlier schema.
+ *
+ * Tables, fields & links are matched by id, so a table or field that was renamed is reported as
+ * renamed (rather than removed and added). Fields can also be retyped, as can links, since a link
+ * has the type of its source field.
+ *
+ * So that removed items can still be drawn (and marked as removed), they are merged back into the
+ * returned schema: removed tables are placed where they were when the snapshot was taken, and
+ * removed fields are put back in their old position in their table.
+ *
+ * Adding or removing a table adds or removes all of its fields too. Only the table is listed in
+ * `changes` in that case, but the fields are also marked in `changeTypesById`.
+ *
+ * @param {Object} liveSchema parsed schema of the base (@see parseSchema)
+ * @param {Object} snapshotSchema decoded snapshot (@see decodeSnapshot)
+ * @returns {{
+ *     schema: Object,
+ *     changes: Array<{
+ *         id: string,
+ *         itemType: 'table' | 'field' | 'link',
+ *         changeType: 'added' | 'removed' | 'renamed' | 'retyped',
+ *         previousValue?: string
+ *     }>,
+ *     changeTypesById: Object.<string, string[]>,
+ *     removedTableCoordsByTableId: Object
+ * }}
+ */
+export function diffSchema(liveSchema, snapshotSchema) {
+    const changes = [];
+    const changeTypesById = {};
+    const addChange = (id, itemType, changeType, previousValue, shouldList = true) => {
+        if (shouldList) {
+            changes.push({id, itemType, changeType, previousValue});
+        }
+        changeTypesById[id] = [...(changeTypesById[id] || []), changeType];
+    };
+
+    const nodesById = {...liveSchema.nodesById};
+    const linksById = {...liveSchema.linksById};
+    const tableConfigsByTableId = {...liveSchema.tableConfigsByTableId};
+    const dependentLinksByNodeId = {...liveSchema.dependentLinksByNodeId};
+    const removedTableCoordsByTableId = {};
+
+    // Added, renamed & retyped tables and fields
+    for (const {tableNode, fieldNodes} of Object.values(liveSchema.tableConfigsByTableId)) {
+        const oldTableNode = snapshotSchema.nodesById[tableNode.id];
+        if (!oldTableNode) {
+            addChange(tableNode.id, 'table', ChangeTypes.ADDED);
+        } else if (oldTableNode.name !== tableNode.name) {
+            addChange(tableNode.id, 'table', ChangeTypes.RENAMED, oldTableNode.name);
+        }
+        for (const fieldNode of fieldNodes) {
+            const oldFieldNode = snapshotSchema.nodesById[fieldNode.id];
+            if (!oldFieldNode) {
+                addChange(
+                    fieldNode.id,
+                    'field',
+                    ChangeTypes.ADDED,
+                    undefined,
+                    Boolean(oldTableNode),
+                );
+                continue;
+            }
+            if (oldFieldNode.name !== fieldNode.name) {
+                addChange(fieldNode.id, 'field', ChangeTypes.RENAMED, oldFieldNode.name);
+            }
+            if (oldFieldNode.fieldType !== fieldNode.fieldType) {
+                addChange(fieldNode.id, 'field', ChangeTypes.RETYPED, oldFieldNode.fieldType);
+            }
+        }
+    }
+
+    // Removed tables and fields
+    for (const [tableId, oldTableConfig] of Object.entries(snapshotSchema.tableConfigsByTableId)) {
+        const tableConfig = tableConfigsByTableId[tableId];
+        if (!tableConfig) {
+            addChange(tableId, 'table', ChangeTypes.REMOVED);
+            const tableNode = markAsRemoved(oldTableConfig.tableNode);
+            const fieldNodes = oldTableConfig.fieldNodes.map(markAsRemoved);
+            for (const node of [tableNode, ...fieldNodes]) {
+                nodesById[node.id] = node;
+                dependentLinksByNodeId[node.id] = [];
+            }
+            for (const fieldNode of fieldNodes) {
+                addChange(fieldNode.id, 'field', ChangeTypes.REMOVED, undefined, false);
+            }
+            tableConfigsByTableId[tableId] = {tableNode, fieldNodes};
+            if (snapshotSchema.tableCoordsByTableId[tableId]) {
+                removedTableCoordsByTableId[tableId] = snapshotSchema.tableCoordsByTableId[tableId];
+            }
+            continue;
+        }
+
+        const removedFieldNodes = oldTableConfig.fieldNodes.filter(
+            fieldNode => !liveSchema.nodesById[fieldNode.id],
+        );
+        if (removedFieldNodes.length === 0) {
+            continue;
+        }
+        const fieldNodes = [...tableConfig.fieldNodes];
+        for (const oldFieldNode of removedFieldNodes) {
+            addChange(oldFieldNode.id, 'field', ChangeTypes.REMOVED);
+            const fieldNode = markAsRemoved(oldFieldNode);
+            nodesById[fieldNode.id] = fieldNode;
+            dependentLinksByNodeId[fieldNode.id] = [];
+            const oldIndex = oldTableConfig.fieldNodes.indexOf(oldFieldNode);
+            fieldNodes.splice(Math.min(oldIndex, fieldNodes.length), 0, fieldNode);
+        }
+        tableConfigsByTableId[tableId] = {...tableConfig, fieldNodes};
+    }
+
+    // Added & retyped links
+    for (const link of Object.values(liveSchema.linksById)) {
+        const oldLink = snapshotSchema.linksById[link.id];
+        if (!oldLink) {
+            addChange(link.id, 'link', ChangeTypes.ADDED);
+        } else if (oldLink.type !== link.type) {
+            addChange(link.id, 'link', ChangeTypes.RETYPED, oldLink.type);
+        }
+    }
+
+    // Removed links, which are connected to the live or removed nodes at each end
+    for (const oldLink of Object.values(snapshotSchema.linksById)) {
+        if (linksById[oldLink.id]) {
+            continue;
+        }
+        addChange(oldLink.id, 'link', ChangeTypes.REMOVED);
+        const link = markAsRemoved(oldLink);
+        linksById[link.id] = link;
+        const endIds = _.uniq([
+            link.sourceId,
+            link.sourceTableId,
+            link.targetId,
+            link.targetTableId,
+        ]);
+        for (const nodeId of endIds) {
+            dependentLinksByNodeId[nodeId] = [...(dependentLinksByNodeId[nodeId] || []), link];
+        }
+    }
+
+    return {
+        schema: {nodesById, linksById, tableConfigsByTableId, dependentLinksByNodeId},
+        changes,
+        changeTypesById,
+        removedTableCoordsByTableId,
+    };
+}
@@ -0,0 +1,133 @@
+import {FieldType} from '@airtable/blocks/models';
+import {colors} from '@airtable/blocks/ui';
+
+export const HeaderColorModes = Object.freeze({
+    MANUAL: 'manual',
+    GROUP: 'group',
+    FIELD_COUNT: 'fieldCount',
+    SYNCED: 'synced',
+});
+
+// Colors that can be used for table headers, which all have enough contrast for white text
+export const TABLE_HEADER_COLORS = [
+    colors.BLUE_BRIGHT,
+    colors.CYAN_BRIGHT,
+    colors.GREEN_BRIGHT,
+    colors.YELLOW_BRIGHT,
+    colors.ORANGE_BRIGHT,
+    colors.RED_BRIGHT,
+    colors.PINK_BRIGHT,
+    colors.PURPLE_BRIGHT,
+    colors.GRAY_BRIGHT,
+    colors.GRAY_DARK_1,
+];
+
+// Used for tables without a color in the group and synced modes
+const NEUTRAL_HEADER_COLOR = colors.GRAY_DARK_1;
+
+// Tables with fewer fields than `maxNumFields` get the bucket's color, from smallest to largest
+const FIELD_COUNT_BUCKETS = [
+    {maxNumFields: 10, color: colors.GREEN_BRIGHT, label: 'Fewer than 10 fields'},
+    {maxNumFields: 25, color: colors.YELLOW_DARK_1, label: '10 to 24 fields'},
+    {maxNumFields: 50, color: colors.ORANGE_BRIGHT, label: '25 to 49 fields'},
+    {maxNumFields: Infinity, color: colors.RED_DARK_1, label: '50 or more fields'},
+];
+
+const SYNCED_HEADER_COLOR = colors.PURPLE_BRIGHT;
+
+/**
+ * Returns the default color for a table header: a deterministic color based off the table id.
+ *
+ * @param {string} tableId
+ * @returns {string}
+ */
+export function getDefaultTableColor(tableId) {
+    const colorIndex = tableId.charCodeAt(tableId.length - 1) % TABLE_HEADER_COLORS.length;
+    return TABLE_HEADER_COLORS[colorIndex];
+}
+
+/**
+ * Whether a table is synced from another base or an external source. Synced tables always have a
+ * sync source field.
+ *
+ * @param {Object} tableConfig table header & field nodes
+ * @returns {boolean}
+ */
+function isTableSynced(tableConfig) {
+    return tableConfig.fieldNodes.some(
+        fieldNode => fieldNode.fieldType === FieldType.EXTERNAL_SYNC_SOURCE,
+    );
+}
+
+/**
+ * Determine the header color of every table for the given color mode, along with the legend that
+ * explains what each color means.
+ *
+ * - manual: the color the user picked for each table, or the default color (no legend)
+ * - group: the color of the group the table belongs to
+ * - fieldCount: a color for each range of field counts
+ * - synced: whether the table is synced
+ *
+ * @param {'manual' | 'group' | 'fieldCount' | 'synced'} headerColorMode
+ * @param {Object} tableConfigsByTableId table header & field nodes for each table, by table id
+ * @param {Object} tableColorsByTableId colors picked by the user, by table id
+ * @param {Object} groupsById groups of tables, by group id
+ * @returns {{
+ *     headerColorsByTableId: Object.<string, string>,
+ *     legendItems: Array<{color: string, label: string}>
+ * }}
+ */
+export function getHeaderColors(
+    headerColorMode,
+    tableConfigsByTableId,
+    tableColorsByTableId,
+    groupsById,
+) {
+    const headerColorsByTableId = {};
+    const legendItems = [];
+
+    switch (headerColorMode) {
+        case HeaderColorModes.GROUP: {
+            for (const group of Object.values(groupsById)) {
+                for (const tableId of group.tableIds) {
+                    headerColorsByTableId[tableId] = group.color;
+                }
+                legendItems.push({color: group.color, label: group.name});
+            }
+            legendItems.push({color: NEUTRAL_HEADER_COLOR, label: 'Not in a group'});
+            for (const tableId of Object.keys(tableConfigsByTableId)) {
+                headerColorsByTableId[tableId] =
+                    headerColorsByTableId[tableId] || NEUTRAL_HEADER_COLOR;
+            }
+            break;
+        }
+        case HeaderColorModes.FIELD_COUNT:
+            for (const [tableId, tableConfig] of Object.entries(tableConfigsByTableId)) {
+                const bucket = FIELD_COUNT_BUCKETS.find(
+                    ({maxNumFields}) => tableConfig.fieldNodes.length < maxNumFields,
+                );
+                headerColorsByTableId[tableId] = bucket.color;
+            }
+            legendItems.push(...FIELD_COUNT_BUCKETS.map(({color, label}) => ({color, label})));
+            break;
+        case HeaderColorModes.SYNCED:
+            for (const [tableId, tableConfig] of Object.entries(tableConfigsByTableId)) {
+                headerColorsByTableId[tableId] = isTableSynced(tableConfig)
+                    ? SYNCED_HEADER_COLOR
+                    : NEUTRAL_HEADER_COLOR;
+            }
+            legendItems.push(
+                {color: SYNCED_HEADER_COLOR, label: 'Synced table'},
+                {color: NEUTRAL_HEADER_COLOR, label: 'Not synced'},
+            );
+            break;
+        default:
+            for (const tableId of Object.keys(tableConfigsByTableId)) {
+                headerColorsByTableId[tableId] =
+                    tableColorsByTableId[tableId] || getDefaultTableColor(tableId);
+            }
+            break;
+    }
+
+    return {headerColorsByTableId, legendItems};
+}
@@ -0,0 +1,134 @@
+export const TableDisplayModes = Object.freeze({
+    EXPANDED: 'expanded',
+    LINKED_FIELDS_ONLY: 'linkedFieldsOnly',
+    HEADER_ONLY: 'headerOnly',
+});
+
+// Order in which the collapse toggle on a table header cycles through the display modes
+const DISPLAY_MODE_CYCLE = [
+    TableDisplayModes.EXPANDED,
+    TableDisplayModes.LINKED_FIELDS_ONLY,
+    TableDisplayModes.HEADER_ONLY,
+];
+
+/**
+ * Returns the display mode that follows the given one when toggling a table's collapse state.
+ *
+ * @param {string} displayMode one of TableDisplayModes
+ * @returns {string}
+ */
+export function getNextTableDisplayMode(displayMode) {
+    const index = DISPLAY_MODE_CYCLE.indexOf(displayMode);
+    return DISPLAY_MODE_CYCLE[(index + 1) % DISPLAY_MODE_CYCLE.length];
+}
+
+export const LinkEnds = Object.freeze({
+    SOURCE: 'source',
+    TARGET: 'target',
+    BOTH: 'both',
+});
+
+/**
+ * Given the full table configs, the hidden tables & fields, and the display mode of each table,
+ * return the table configs as they are rendered. Hidden tables are left out, and hidden fields are
+ * removed from their table. A table collapsed to its header has no field nodes, and a table showing
+ * only linked fields keeps the visible fields that are the source or target of an enabled link.
+ *
+ * Tables that are expanded and have no hidden fields keep the same table config object, so
+ * consumers can rely on identity. Other tables keep their previously rendered table config object
+ * if given one with the same nodes. Anything that positions rows or measures tables (link coords,
+ * dragging, layout) should use the rendered table configs; links to a field that isn't rendered
+ * because its table is collapsed attach to the table header instead.
+ *
+ * @param {Object} tableConfigsByTableId table header & field nodes for each table, by table id
+ * @param {Object} tableDisplayModesByTableId display mode for each table, by table id. Tables
+ *     without an entry are expanded.
+ * @param {Object} hiddenNodeIds `true` for each hidden table id and field id
+ * @param {Object} linksById link objects, by link id
+ * @param {Object} enabledLinksByType whether each type of link is shown, by field type
+ * @param {Object} previousRenderedTableConfigsByTableId the result of a previous call, if any
+ * @returns {Object} rendered table header & field nodes for each visible table, by table id
+ */
+export function getRenderedTableConfigs(
+    tableConfigsByTableId,
+    tableDisplayModesByTableId,
+    hiddenNodeIds,
+    linksById,
+    enabledLinksByType,
+    previousRenderedTableConfigsByTableId = {},
+) {
+    let linkedNodeIds = null;
+    const getLinkedNodeIds = () => {
+        if (!linkedNodeIds) {
+            linkedNodeIds = new Set();
+            for (const link of Object.values(linksById)) {
+                if (enabledLinksByType[link.type]) {
+                    linkedNodeIds.add(link.sourceId);
+                    linkedNodeIds.add(link.targetId);
+                }
+            }
+        }
+        return linkedNodeIds;
+    };
+
+    const renderedTableConfigsByTableId = {};
+    for (const [tableId, tableConfig] of Object.entries(tableConfigsByTableId)) {
+        if (hiddenNodeIds[tableId]) {
+            continue;
+        }
+        let {fieldNodes} = tableConfig;
+        switch (tableDisplayModesByTableId[tableId]) {
+            case TableDisplayModes.HEADER_ONLY:
+                fieldNodes = [];
+                break;
+            case TableDisplayModes.LINKED_FIELDS_ONLY:
+                fieldNodes = fieldNodes.filter(fieldNode => getLinkedNodeIds().has(fieldNode.id));
+                break;
+            default:
+                break;
+        }
+        if (fieldNodes.some(fieldNode => hiddenNodeIds[fieldNode.id])) {
+            fieldNodes = fieldNodes.filter(fieldNode => !hiddenNodeIds[fieldNode.id]);
+        }
+        const previousRenderedTableConfig = previousRenderedTableConfigsByTableId[tableId];
+        if (fieldNodes.length === tableConfig.fieldNodes.length) {
+            renderedTableConfigsByTableId[tableId] = tableConfig;
+        } else if (
+            previousRenderedTableConfig &&
+            previousRenderedTableConfig.tableNode === tableConfig.tableNode &&
+            previousRenderedTableConfig.fieldNodes.length === fieldNodes.length &&
+            previousRenderedTableConfig.fieldNodes.every(
+                (fieldNode, index) => fieldNode === fieldNodes[index],
+            )
+        ) {
+            renderedTableConfigsByTableId[tableId] = previousRenderedTableConfig;
+        } else {
+            renderedTableConfigsByTableId[tableId] = {...tableConfig, fieldNodes};
+        }
+    }
+    return renderedTableConfigsByTableId;
+}
+
+/**
+ * Determine which ends of a link are hidden, either because the table or field at that end was
+ * hidden by the user.
+ *
+ * @param {Object} link link object
+ * @param {Object} renderedTableConfigsByTableId rendered table header & field nodes for each
+ *     visible table, by table id
+ * @param {Object} hiddenNodeIds `true` for each hidden table id and field id
+ * @returns {'source' | 'target' | 'both' | null} the hidden end(s), or null if both are visible
+ */
+export function getHiddenLinkEnd(link, renderedTableConfigsByTableId, hiddenNodeIds) {
+    const isSourceHidden =
+        !renderedTableConfigsByTableId[link.sourceTableId] || Boolean(hiddenNodeIds[link.sourceId]);
+    const isTargetHidden =
+        !renderedTableConfigsByTableId[link.targetTableId] || Boolean(hiddenNodeIds[link.targetId]);
+    if (isSourceHidden && isTargetHidden) {
+        return LinkEnds.BOTH;
+    }
+    if (isSourceHidden) {
+        return LinkEnds.SOURCE;
+    }
+    return isTargetHidden ? LinkEnds.TARGET : null;
+}
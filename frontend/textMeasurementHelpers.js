@@ -0,0 +1,82 @@
+import {FONT_FAMILY, FONT_SIZE} from './constants';
+
+const ELLIPSIS = '...';
+
+// Font weight of each kind of row name, matching the styles in loadCss
+const FONT_WEIGHT = 'normal';
+const HEADER_FONT_WEIGHT = 600;
+
+// Measured text widths, by CSS font and then by text. Kept for the whole session, since the same
+// names (and the same prefixes of long names) are measured on every render.
+const textWidthsByFont = new Map();
+let measurementContext = null;
+
+/**
+ * Returns the CSS font used for a row name.
+ *
+ * @param {boolean} isHeader Whether this is a table header (which uses a larger font weight)
+ * @returns {string}
+ */
+export function getRowFont(isHeader) {
+    return `${isHeader ? HEADER_FONT_WEIGHT : FONT_WEIGHT} ${FONT_SIZE} ${FONT_FAMILY}`;
+}
+
+/**
+ * Returns the width of some text in the given font, in pixels.
+ *
+ * Text is measured on a canvas that's never added to the page, so measuring doesn't cause a layout
+ * reflow, and each width is only measured once per font.
+ *
+ * @param {string} text
+ * @param {string} font CSS font shorthand, eg from `getRowFont`
+ * @returns {number}
+ */
+export function measureTextWidth(text, font) {
+    let textWidthsByText = textWidthsByFont.get(font);
+    if (!textWidthsByText) {
+        textWidthsByText = new Map();
+        textWidthsByFont.set(font, textWidthsByText);
+    }
+    if (!textWidthsByText.has(text)) {
+        if (!measurementContext) {
+            measurementContext = document.createElement('canvas').getContext('2d');
+        }
+        measurementContext.font = font;
+        textWidthsByText.set(text, measurementContext.measureText(text).width);
+    }
+    return textWidthsByText.get(text);
+}
+
+/**
+ * Truncates text with an ellipsis so that it fits in a certain width. SVG does not support overflow
+ * controls for text.
+ *
+ * Finds the longest prefix that fits along with the ellipsis using a binary search, so only a few
+ * prefixes are measured however long the text is. Text is split by code point, so emoji aren't cut
+ * in half.
+ *
+ * @param {string} text Text to truncate
+ * @param {string} font CSS font shorthand, eg from `getRowFont`
+ * @param {number} width Allowed width, in pixels
+ * @returns {string} the text as is if it already fits
+ */
+export function truncateTextForWidth(text, font, width) {
+    if (measureTextWidth(text, font) <= width) {
+        return text;
+    }
+
+    const characters = Array.from(text);
+    // Longest prefix known to fit, and shortest known not to
+    let fittingLength = 0;
+    let overflowingLength = characters.length;
+    while (overflowingLength - fittingLength > 1) {
+        const length = Math.floor((fittingLength + overflowingLength) / 2);
+        const truncatedText = characters.slice(0, length).join('') + ELLIPSIS;
+        if (measureTextWidth(truncatedText, font) <= width) {
+            fittingLength = length;
+        } else {
+            overflowingLength = length;
+        }
+    }
+    return characters.slice(0, fittingLength).join('') + ELLIPSIS;
+}